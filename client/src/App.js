@@ -8,6 +8,8 @@ import Login from './pages/Login';
 import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
 import Analysis from './pages/Analysis';
+import HomeMap from './pages/HomeMap';
+import Settings from './pages/Settings';
 import './App.css';
 
 // Protected Route component
@@ -115,6 +117,22 @@ function App() {
                   </ProtectedRoute>
                 } 
               />
+              <Route 
+                path="/home-map" 
+                element={
+                  <ProtectedRoute>
+                    <HomeMap />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/settings" 
+                element={
+                  <ProtectedRoute>
+                    <Settings />
+                  </ProtectedRoute>
+                } 
+              />
             </Routes>
           </main>
         </div>
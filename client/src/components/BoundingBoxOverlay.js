@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { FaChartBar } from 'react-icons/fa';
+import './BoundingBoxOverlay.css';
+
+/**
+ * Image with colour-coded detection boxes drawn on top
+ * Boxes use the detector's normalised bbox [x, y, width, height], so they are
+ * positioned in percentages and scale with the rendered image.
+ *
+ * @param {string} src - Image URL
+ * @param {string} alt - Alt text
+ * @param {Array} detections - [{ name, confidence, bbox }]
+ * @param {Object} confidenceScores - Per-object { riskLevel } used for colours
+ * @param {Set} hiddenIndexes - Indexes of detections that are toggled off
+ * @param {number|null} highlightedIndex - Detection to emphasise
+ * @param {Function} onSelect - Called with an index when a box is clicked
+ * @param {Function} onLoadError - Called with the src when the image fails to
+ * load; resolves true if a new src is on its way
+ */
+const BoundingBoxOverlay = ({
+  src,
+  alt,
+  detections = [],
+  confidenceScores = {},
+  hiddenIndexes = new Set(),
+  highlightedIndex = null,
+  onSelect,
+  onLoadError
+}) => {
+  const [hoveredIndex, setHoveredIndex] = useState(null);
+  const [imageError, setImageError] = useState(false);
+
+  if (imageError) {
+    return (
+      <div className="image-placeholder" style={{ display: 'flex' }}>
+        <FaChartBar />
+        <p>Image not available</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bbox-overlay">
+      <img
+        src={src}
+        alt={alt}
+        onError={async (e) => {
+          const { src: failedSrc } = e.target;
+          if (!onLoadError || !(await onLoadError(failedSrc))) {
+            console.error('Modal image failed to load:', failedSrc);
+            setImageError(true);
+          }
+        }}
+      />
+
+      {detections.map((detection, index) => {
+        if (hiddenIndexes.has(index) || !Array.isArray(detection.bbox)) {
+          return null;
+        }
+
+        const [x, y, width, height] = detection.bbox;
+        const riskLevel = confidenceScores?.[detection.name]?.riskLevel || 'none';
+        const isActive = hoveredIndex === index || highlightedIndex === index;
+
+        return (
+          <div
+            key={index}
+            className={`bbox risk-${riskLevel} ${isActive ? 'active' : ''} ${
+              highlightedIndex !== null && highlightedIndex !== index ? 'dimmed' : ''
+            }`}
+            style={{
+              left: `${x * 100}%`,
+              top: `${y * 100}%`,
+              width: `${width * 100}%`,
+              height: `${height * 100}%`
+            }}
+            onMouseEnter={() => setHoveredIndex(index)}
+            onMouseLeave={() => setHoveredIndex(null)}
+            onClick={() => onSelect && onSelect(index)}
+          >
+            {isActive && (
+              <span className="bbox-label">
+                {detection.name.replace(/_/g, ' ')} · {(detection.confidence * 100).toFixed(1)}%
+              </span>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default BoundingBoxOverlay;
@@ -0,0 +1,205 @@
+import React, { useState, useEffect } from 'react';
+import {
+  FaClipboardCheck, FaEye, FaCheck, FaBan, FaUndo, FaStickyNote, FaSave, FaTimes
+} from 'react-icons/fa';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import API_BASE_URL from '../config';
+import { useAuth } from '../contexts/AuthContext';
+import './HazardChecklist.css';
+
+// SQLite timestamps are UTC without a zone marker
+const formatDate = (value) => new Date(`${value.replace(' ', 'T')}Z`).toLocaleDateString();
+
+const VERIFICATION_LABELS = {
+  pending: 'Awaiting re-scan',
+  verified: 'Verified by re-scan',
+  failed: 'Still there after fix'
+};
+
+/**
+ * The household's hazard items as a checklist: open and acknowledged hazards
+ * by default, or the fixed and dismissed ones. Caregivers can change an
+ * item's status and notes; re-scans of a room verify or reopen fixed items.
+ *
+ * @param {number} refreshKey - Changes when analysis results change
+ */
+const HazardChecklist = ({ refreshKey = 0 }) => {
+  const [items, setItems] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [showResolved, setShowResolved] = useState(false);
+  const [editingNotes, setEditingNotes] = useState(null);
+  const { household } = useAuth();
+  const householdId = household?.id;
+  const canEdit = household && household.role !== 'viewer';
+
+  useEffect(() => {
+    setEditingNotes(null);
+  }, [householdId, showResolved]);
+
+  // New analyses open items and re-scans verify fixed ones
+  useEffect(() => {
+    fetchItems(showResolved);
+  }, [householdId, showResolved, refreshKey]);
+
+  const fetchItems = async (resolved) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/remediation`, {
+        params: { status: resolved ? 'fixed,dismissed' : 'open,acknowledged' }
+      });
+      setItems(response.data.items || []);
+      setCounts(response.data.counts || {});
+    } catch (error) {
+      console.error('Error fetching hazard items:', error);
+    }
+  };
+
+  const updateItem = async (item, changes, message) => {
+    try {
+      await axios.put(`${API_BASE_URL}/api/remediation/${item.id}`, changes);
+      toast.success(message);
+      fetchItems(showResolved);
+      return true;
+    } catch (error) {
+      console.error('Error updating hazard item:', error);
+      toast.error(error.response?.data?.error || 'Failed to update hazard');
+      return false;
+    }
+  };
+
+  const saveNotes = async (item) => {
+    if (await updateItem(item, { notes: editingNotes.text }, 'Notes saved')) {
+      setEditingNotes(null);
+    }
+  };
+
+  const outstanding = (counts.open || 0) + (counts.acknowledged || 0);
+
+  return (
+    <div className="hazard-checklist">
+      <div className="hazard-checklist-header">
+        <h2><FaClipboardCheck /> Hazard Checklist</h2>
+        <div className="hazard-checklist-tabs">
+          <button
+            type="button"
+            className={!showResolved ? 'active' : ''}
+            onClick={() => setShowResolved(false)}
+          >
+            To do ({outstanding})
+          </button>
+          <button
+            type="button"
+            className={showResolved ? 'active' : ''}
+            onClick={() => setShowResolved(true)}
+          >
+            Resolved ({(counts.fixed || 0) + (counts.dismissed || 0)})
+          </button>
+        </div>
+      </div>
+
+      {items.length === 0 ? (
+        <p className="hazard-checklist-empty">
+          {showResolved
+            ? 'Nothing marked fixed or dismissed yet'
+            : 'No open hazards - everything found so far has been dealt with'}
+        </p>
+      ) : (
+        <ul className="hazard-item-list">
+          {items.map(item => (
+            <li key={item.id} className={`hazard-item hazard-item-${item.status}`}>
+              <div className="hazard-item-main">
+                <span className={`hazard-item-risk risk-${item.riskLevel}`}>
+                  {item.riskLevel.toUpperCase()}
+                </span>
+                <div className="hazard-item-text">
+                  <strong>{item.hazardName.replace(/_/g, ' ')}</strong>
+                  <span className="hazard-item-meta">
+                    {item.roomName || 'No room'} · last seen {item.lastSeenAt ? formatDate(item.lastSeenAt) : '-'}
+                    {item.status === 'acknowledged' && ' · acknowledged'}
+                    {item.status === 'dismissed' && ' · dismissed as false positive'}
+                    {item.resolvedBy && ` by ${item.resolvedBy}`}
+                  </span>
+                  {item.verification && (
+                    <span className={`hazard-item-verification verification-${item.verification}`}>
+                      {VERIFICATION_LABELS[item.verification]}
+                    </span>
+                  )}
+                  {editingNotes?.id === item.id ? (
+                    <div className="hazard-item-notes-edit">
+                      <textarea
+                        className="input"
+                        value={editingNotes.text}
+                        onChange={(e) => setEditingNotes({ ...editingNotes, text: e.target.value })}
+                        placeholder="e.g. Ordered outlet covers"
+                        maxLength={1000}
+                        rows={2}
+                      />
+                      <button className="btn btn-primary" onClick={() => saveNotes(item)} title="Save notes">
+                        <FaSave />
+                      </button>
+                      <button className="btn btn-secondary" onClick={() => setEditingNotes(null)} title="Cancel">
+                        <FaTimes />
+                      </button>
+                    </div>
+                  ) : item.notes && (
+                    <p className="hazard-item-notes">{item.notes}</p>
+                  )}
+                </div>
+              </div>
+
+              {canEdit && (
+                <div className="hazard-item-actions">
+                  {item.status === 'open' && (
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => updateItem(item, { status: 'acknowledged' }, 'Hazard acknowledged')}
+                      title="Acknowledge"
+                    >
+                      <FaEye />
+                    </button>
+                  )}
+                  {(item.status === 'open' || item.status === 'acknowledged') && (
+                    <>
+                      <button
+                        className="btn btn-primary"
+                        onClick={() => updateItem(item, { status: 'fixed' }, 'Marked fixed - re-scan the room to verify')}
+                        title="Mark fixed"
+                      >
+                        <FaCheck />
+                      </button>
+                      <button
+                        className="btn btn-secondary"
+                        onClick={() => updateItem(item, { status: 'dismissed' }, 'Dismissed as a false positive')}
+                        title="Dismiss as false positive"
+                      >
+                        <FaBan />
+                      </button>
+                    </>
+                  )}
+                  {(item.status === 'fixed' || item.status === 'dismissed') && (
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => updateItem(item, { status: 'open' }, 'Hazard reopened')}
+                      title="Reopen"
+                    >
+                      <FaUndo />
+                    </button>
+                  )}
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => setEditingNotes({ id: item.id, text: item.notes || '' })}
+                    title="Edit notes"
+                  >
+                    <FaStickyNote />
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default HazardChecklist;
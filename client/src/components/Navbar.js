@@ -1,7 +1,7 @@
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { FaShieldAlt, FaSignOutAlt, FaUser, FaUpload, FaChartBar } from 'react-icons/fa';
+import { FaShieldAlt, FaSignOutAlt, FaUser, FaUpload, FaChartBar, FaCog, FaMap } from 'react-icons/fa';
 import './Navbar.css';
 
 const Navbar = () => {
@@ -37,6 +37,20 @@ const Navbar = () => {
                 <FaChartBar />
                 <span>Analysis</span>
               </Link>
+              <Link 
+                to="/home-map" 
+                className={`navbar-link ${isActive('/home-map') ? 'active' : ''}`}
+              >
+                <FaMap />
+                <span>Home Map</span>
+              </Link>
+              <Link 
+                to="/settings" 
+                className={`navbar-link ${isActive('/settings') ? 'active' : ''}`}
+              >
+                <FaCog />
+                <span>Settings</span>
+              </Link>
               <div className="navbar-user">
                 <span className="username">
                   <FaUser />
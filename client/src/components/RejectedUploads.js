@@ -0,0 +1,40 @@
+import React from 'react';
+import { FaBan } from 'react-icons/fa';
+import { describeUploadRejection } from '../utils/imageUtils';
+import './RejectedUploads.css';
+
+const formatDate = (value) => new Date(`${value.replace(' ', 'T')}Z`).toLocaleString();
+
+/**
+ * The household's recently rejected uploads, with why each was blocked
+ *
+ * @param {Array} rejections - From GET /api/images/rejections
+ */
+const RejectedUploads = ({ rejections = [] }) => {
+  if (rejections.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="rejected-uploads">
+      <h3><FaBan /> Blocked Uploads</h3>
+      <ul className="rejected-upload-list">
+        {rejections.map(rejection => (
+          <li key={rejection.id} className="rejected-upload">
+            <div className="rejected-upload-header">
+              <span className="rejected-upload-name">{rejection.original_filename}</span>
+              <span className="rejected-upload-code">{rejection.code}</span>
+            </div>
+            <p className="rejected-upload-reason">{describeUploadRejection(rejection)}</p>
+            <p className="rejected-upload-meta">
+              {formatDate(rejection.created_at)}
+              {rejection.uploaded_by && ` · by ${rejection.uploaded_by}`}
+            </p>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default RejectedUploads;
@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { FaFileExport, FaFilePdf, FaFileCsv, FaTimes } from 'react-icons/fa';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import API_BASE_URL from '../config';
+import './ReportExport.css';
+
+/**
+ * Export button with a small form for the report's date range, room and
+ * format; downloads the file from /api/reports
+ *
+ * @param {string} childId - Child filter from the page, applied to the report
+ */
+const ReportExport = ({ childId = '' }) => {
+  const [open, setOpen] = useState(false);
+  const [rooms, setRooms] = useState([]);
+  const [options, setOptions] = useState({ from: '', to: '', roomId: '', format: 'pdf' });
+  const [downloading, setDownloading] = useState(false);
+
+  const openForm = async () => {
+    setOpen(true);
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/rooms`);
+      setRooms(response.data.rooms || []);
+    } catch (error) {
+      console.error('Error fetching rooms:', error);
+    }
+  };
+
+  const download = async (e) => {
+    e.preventDefault();
+    const params = Object.fromEntries(
+      Object.entries({ ...options, childId }).filter(([, value]) => value)
+    );
+
+    try {
+      setDownloading(true);
+      const response = await axios.get(`${API_BASE_URL}/api/reports`, {
+        params,
+        responseType: 'blob'
+      });
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `alwaycare-report-${new Date().toISOString().slice(0, 10)}.${options.format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+      setOpen(false);
+    } catch (error) {
+      console.error('Error exporting report:', error);
+      // Error bodies arrive as a Blob because of responseType
+      const message = error.response?.data instanceof Blob
+        ? JSON.parse(await error.response.data.text()).error
+        : null;
+      toast.error(message || 'Failed to export report');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  if (!open) {
+    return (
+      <button type="button" className="btn btn-secondary report-export-button" onClick={openForm}>
+        <FaFileExport /> Export
+      </button>
+    );
+  }
+
+  return (
+    <form className="report-export" onSubmit={download}>
+      <div className="report-export-header">
+        <h3><FaFileExport /> Export Report</h3>
+        <button type="button" className="report-export-close" onClick={() => setOpen(false)} title="Close">
+          <FaTimes />
+        </button>
+      </div>
+
+      <div className="report-export-fields">
+        <label>
+          From
+          <input
+            type="date"
+            className="input"
+            value={options.from}
+            onChange={(e) => setOptions({ ...options, from: e.target.value })}
+          />
+        </label>
+        <label>
+          To
+          <input
+            type="date"
+            className="input"
+            value={options.to}
+            onChange={(e) => setOptions({ ...options, to: e.target.value })}
+          />
+        </label>
+        <label>
+          Room
+          <select
+            className="input"
+            value={options.roomId}
+            onChange={(e) => setOptions({ ...options, roomId: e.target.value })}
+          >
+            <option value="">All rooms</option>
+            {rooms.map(room => (
+              <option key={room.id} value={room.id}>{room.name}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="report-export-formats">
+        {[
+          { format: 'pdf', icon: FaFilePdf, label: 'PDF with thumbnails' },
+          { format: 'csv', icon: FaFileCsv, label: 'CSV spreadsheet' }
+        ].map(({ format, icon: Icon, label }) => (
+          <label key={format} className={options.format === format ? 'selected' : ''}>
+            <input
+              type="radio"
+              name="report-format"
+              value={format}
+              checked={options.format === format}
+              onChange={() => setOptions({ ...options, format })}
+            />
+            <Icon /> {label}
+          </label>
+        ))}
+      </div>
+
+      <p className="report-export-hint">
+        Dates are in UTC. {childId ? 'Only the selected child\'s photos are included.' : 'Includes every child.'}
+      </p>
+
+      <button type="submit" className="btn btn-primary" disabled={downloading}>
+        {downloading ? 'Preparing...' : 'Download'}
+      </button>
+    </form>
+  );
+};
+
+export default ReportExport;
@@ -0,0 +1,181 @@
+import React, { useState, useEffect } from 'react';
+import { FaEye, FaHistory } from 'react-icons/fa';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import API_BASE_URL from '../config';
+import './RetentionSettings.css';
+
+const POLICY_LABELS = {
+  forever: 'Keep everything forever',
+  days: 'Delete images after a number of days',
+  risky_only: 'Keep only images with medium or high risk',
+  results_only: 'Keep results, delete the photos'
+};
+
+const ACTION_LABELS = {
+  deleted: 'Deleted',
+  original_removed: 'Photo removed'
+};
+
+const formatDate = (value) => new Date(`${value.replace(' ', 'T')}Z`).toLocaleDateString();
+
+/**
+ * The household's retention policy: owners can change it and preview what
+ * it would purge now; everyone sees what retention has purged
+ *
+ * @param {number} householdId - Active household, to reload on switch
+ * @param {boolean} canEdit - Whether the user may change the policy (owner)
+ */
+const RetentionSettings = ({ householdId, canEdit = false }) => {
+  const [retention, setRetention] = useState({ policy: 'forever', days: '' });
+  const [preview, setPreview] = useState(null);
+  const [purges, setPurges] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchRetention();
+    fetchPurges();
+    setPreview(null);
+  }, [householdId]);
+
+  const fetchRetention = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/account/retention`);
+      setRetention({ policy: response.data.policy, days: response.data.days || '' });
+    } catch (error) {
+      console.error('Error fetching retention policy:', error);
+    }
+  };
+
+  const fetchPurges = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/account/retention/purges`, { params: { limit: 20 } });
+      setPurges(response.data.purges || []);
+    } catch (error) {
+      console.error('Error fetching retention history:', error);
+    }
+  };
+
+  const changeRetention = (changes) => {
+    setRetention(prev => ({ ...prev, ...changes }));
+    setPreview(null);
+  };
+
+  const previewRetention = async () => {
+    try {
+      const params = { policy: retention.policy };
+      if (retention.policy !== 'forever') {
+        params.days = retention.days;
+      }
+
+      const response = await axios.get(`${API_BASE_URL}/api/account/retention/preview`, { params });
+      setPreview(response.data);
+    } catch (error) {
+      console.error('Error previewing retention:', error);
+      toast.error(error.response?.data?.error || 'Failed to preview retention');
+    }
+  };
+
+  const saveRetention = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await axios.put(`${API_BASE_URL}/api/account/retention`, {
+        policy: retention.policy,
+        days: retention.policy === 'forever' ? null : Number(retention.days)
+      });
+      toast.success('Retention policy saved');
+    } catch (error) {
+      console.error('Error saving retention policy:', error);
+      toast.error(error.response?.data?.error || 'Failed to save retention policy');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="retention-settings">
+      <form className="retention-form" onSubmit={saveRetention}>
+        <select
+          className="input"
+          value={retention.policy}
+          onChange={(e) => changeRetention({ policy: e.target.value })}
+          disabled={!canEdit}
+        >
+          {Object.entries(POLICY_LABELS).map(([policy, label]) => (
+            <option key={policy} value={policy}>{label}</option>
+          ))}
+        </select>
+
+        {retention.policy !== 'forever' && (
+          <label className="retention-days">
+            after
+            <input
+              type="number"
+              className="input"
+              min="1"
+              max="3650"
+              value={retention.days}
+              onChange={(e) => changeRetention({ days: e.target.value })}
+              disabled={!canEdit}
+              required
+            />
+            days
+          </label>
+        )}
+
+        {canEdit && (
+          <>
+            <button type="button" className="btn btn-secondary" onClick={previewRetention}>
+              <FaEye /> Preview
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              Save
+            </button>
+          </>
+        )}
+      </form>
+
+      {preview && (
+        <div className="retention-preview">
+          {preview.images.length === 0 ? (
+            <p>Nothing would be purged right now.</p>
+          ) : (
+            <>
+              <p>
+                Running now would delete {preview.deletedCount} {preview.deletedCount === 1 ? 'image' : 'images'}
+                {preview.originalsRemovedCount > 0 && ` and remove ${preview.originalsRemovedCount} ${preview.originalsRemovedCount === 1 ? 'photo' : 'photos'} (keeping their results)`}
+                , freeing {Math.round(preview.bytes / 1024 / 1024 * 10) / 10} MB:
+              </p>
+              <ul className="retention-list">
+                {preview.images.slice(0, 10).map(image => (
+                  <li key={image.imageId}>
+                    {image.originalFilename} · {formatDate(image.uploadTimestamp)}
+                    {image.riskLevel && ` · ${image.riskLevel} risk`}
+                  </li>
+                ))}
+                {preview.images.length > 10 && <li>and {preview.images.length - 10} more</li>}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+
+      {purges.length > 0 && (
+        <div className="retention-history">
+          <h3><FaHistory /> Recently purged</h3>
+          <ul className="retention-list">
+            {purges.map(purge => (
+              <li key={purge.id}>
+                <span className={`retention-action action-${purge.action}`}>{ACTION_LABELS[purge.action] || purge.action}</span>
+                {purge.original_filename} · uploaded {formatDate(purge.upload_timestamp)} · purged {formatDate(purge.purged_at)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RetentionSettings;
@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+import { FaChartLine, FaArrowDown, FaArrowUp, FaEquals } from 'react-icons/fa';
+import axios from 'axios';
+import API_BASE_URL from '../config';
+import { useAuth } from '../contexts/AuthContext';
+import './RiskTrendChart.css';
+
+// Bottom to top in each column
+const STACK_ORDER = ['none', 'low', 'medium', 'high'];
+
+const DIRECTIONS = {
+  safer: { icon: FaArrowDown, label: 'Getting safer' },
+  riskier: { icon: FaArrowUp, label: 'Getting riskier' },
+  steady: { icon: FaEquals, label: 'Holding steady' }
+};
+
+// Bucket starts are UTC dates
+const formatBucket = (start, interval) => new Date(`${start}T00:00:00Z`).toLocaleDateString(undefined, {
+  timeZone: 'UTC',
+  ...(interval === 'month' ? { month: 'short', year: 'numeric' } : { month: 'short', day: 'numeric' })
+});
+
+const formatShare = (share) => `${Math.round(share * 100)}%`;
+
+/**
+ * Risk trend charts: analyzed images per day, week or month stacked by risk
+ * level, and how many of them had hazards in each category
+ *
+ * @param {string} childId - Optional child filter, as on the Analysis page
+ * @param {number} refreshKey - Changes when analysis results change
+ */
+const RiskTrendChart = ({ childId = '', refreshKey = 0 }) => {
+  const [bucketInterval, setBucketInterval] = useState('week');
+  const [trends, setTrends] = useState(null);
+  const { household } = useAuth();
+  const householdId = household?.id;
+
+  useEffect(() => {
+    fetchTrends(bucketInterval, childId);
+  }, [householdId, bucketInterval, childId, refreshKey]);
+
+  const fetchTrends = async (interval, child) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/analysis/trends`, {
+        params: { interval, ...(child ? { childId: child } : {}) }
+      });
+      setTrends(response.data);
+    } catch (error) {
+      console.error('Error fetching trends:', error);
+    }
+  };
+
+  if (!trends) {
+    return null;
+  }
+
+  const maxImages = Math.max(1, ...trends.buckets.map(bucket => bucket.imageCount));
+  const scanned = trends.buckets.filter(bucket => bucket.imageCount > 0);
+  const categories = trends.categories
+    .map(category => ({
+      ...category,
+      total: trends.buckets.reduce((sum, bucket) => sum + (bucket.categories[category.name] || 0), 0)
+    }))
+    .filter(category => category.total > 0);
+  const maxCategory = Math.max(1, ...trends.buckets.flatMap(bucket => Object.values(bucket.categories)));
+  const direction = DIRECTIONS[trends.direction];
+
+  return (
+    <div className="trends-section">
+      <div className="trends-header">
+        <h2><FaChartLine /> Safety Trends</h2>
+        <select
+          className="input trends-interval"
+          value={bucketInterval}
+          onChange={(e) => setBucketInterval(e.target.value)}
+        >
+          <option value="day">Last 30 days</option>
+          <option value="week">Last 12 weeks</option>
+          <option value="month">Last 12 months</option>
+        </select>
+      </div>
+
+      {scanned.length === 0 ? (
+        <p className="trends-empty">No analyses in this period yet</p>
+      ) : (
+        <>
+          <p className={`trends-direction trends-${trends.direction || 'unknown'}`}>
+            {direction ? (
+              <>
+                <direction.icon /> {direction.label}: {formatShare(scanned[0].riskyShare)} of photos
+                had medium or high risk at first, {formatShare(scanned[scanned.length - 1].riskyShare)} most recently
+              </>
+            ) : 'Keep scanning to see whether your home is getting safer'}
+          </p>
+
+          <div className="trend-chart">
+            {trends.buckets.map(bucket => (
+              <div
+                key={bucket.start}
+                className="trend-column"
+                title={`${formatBucket(bucket.start, trends.interval)}: ${bucket.imageCount} analyzed`
+                  + STACK_ORDER.map(level => ` · ${level} ${bucket.risk[level]}`).join('')}
+              >
+                <div className="trend-bar" style={{ height: `${(bucket.imageCount / maxImages) * 100}%` }}>
+                  {STACK_ORDER.slice().reverse().map(level => bucket.risk[level] > 0 && (
+                    <div
+                      key={level}
+                      className={`trend-segment trend-${level}`}
+                      style={{ flexGrow: bucket.risk[level] }}
+                    />
+                  ))}
+                </div>
+                <span className="trend-label">{formatBucket(bucket.start, trends.interval)}</span>
+              </div>
+            ))}
+          </div>
+
+          <div className="trend-legend">
+            {STACK_ORDER.slice().reverse().map(level => (
+              <span key={level} className={`trend-legend-item trend-${level}`}>
+                {level === 'none' ? 'safe' : level}
+              </span>
+            ))}
+          </div>
+
+          <h3 className="trend-categories-title">Hazards by category</h3>
+          {categories.length === 0 ? (
+            <p className="trends-empty">No hazards found in this period</p>
+          ) : (
+            <div className="trend-categories">
+              {categories.map(category => (
+                <div key={category.name} className="trend-category-row">
+                  <span className="trend-category-name">{category.title}</span>
+                  <div className="trend-category-cells">
+                    {trends.buckets.map(bucket => {
+                      const count = bucket.categories[category.name] || 0;
+
+                      return (
+                        <span
+                          key={bucket.start}
+                          className={`trend-category-cell ${count === 0 ? 'empty' : ''}`}
+                          style={count > 0 ? { opacity: 0.25 + 0.75 * (count / maxCategory) } : undefined}
+                          title={`${formatBucket(bucket.start, trends.interval)}: ${count} ${count === 1 ? 'photo' : 'photos'}`}
+                        />
+                      );
+                    })}
+                  </div>
+                  <span className="trend-category-total">{category.total}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RiskTrendChart;
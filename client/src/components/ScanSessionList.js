@@ -0,0 +1,63 @@
+import React from 'react';
+import { FaImages } from 'react-icons/fa';
+import './ScanSessionList.css';
+
+const formatDate = (value) => new Date(`${value.replace(' ', 'T')}Z`).toLocaleDateString();
+
+/**
+ * Row of scan session (album) cards with their aggregated risk summary.
+ * Clicking a card selects it; clicking the selected card clears it.
+ *
+ * @param {Array} scanSessions - From GET /api/scan-sessions
+ * @param {number|null} selectedId - Currently selected session
+ * @param {Function} onSelect - Called with a session id, or null to clear
+ */
+const ScanSessionList = ({ scanSessions = [], selectedId = null, onSelect }) => {
+  if (scanSessions.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="scan-sessions">
+      <h3><FaImages /> Scan Sessions</h3>
+      <div className="scan-session-list">
+        {scanSessions.map(session => {
+          const { summary } = session;
+          const analyzed = summary.statusCounts.completed;
+          const unfinished = summary.statusCounts.pending + summary.statusCounts.processing;
+
+          return (
+            <button
+              key={session.id}
+              type="button"
+              className={`scan-session-card ${session.id === selectedId ? 'selected' : ''}`}
+              onClick={() => onSelect(session.id === selectedId ? null : session.id)}
+            >
+              <div className="scan-session-header">
+                <span className="scan-session-name">{session.name}</span>
+                {summary.overallRisk && (
+                  <span className={`scan-session-risk risk-${summary.overallRisk}`}>
+                    {summary.overallRisk.toUpperCase()}
+                  </span>
+                )}
+              </div>
+              <p className="scan-session-meta">
+                {formatDate(session.createdAt)} · {summary.imageCount} {summary.imageCount === 1 ? 'image' : 'images'}
+                {unfinished > 0 && ` · ${analyzed} of ${summary.imageCount} analyzed`}
+              </p>
+              {summary.hazards.length > 0 && (
+                <p className="scan-session-hazards">
+                  {summary.hazards.slice(0, 3).map(hazard => (
+                    `${hazard.name.replace(/_/g, ' ')} (${hazard.imageCount})`
+                  )).join(', ')}
+                </p>
+              )}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ScanSessionList;
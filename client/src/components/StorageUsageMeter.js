@@ -0,0 +1,57 @@
+import React from 'react';
+import { FaDatabase } from 'react-icons/fa';
+import './StorageUsageMeter.css';
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) {
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+  const mb = bytes / (1024 * 1024);
+  return mb < 1024 ? `${Math.round(mb * 10) / 10} MB` : `${Math.round(mb / 1024 * 100) / 100} GB`;
+};
+
+const UsageBar = ({ label, usage }) => {
+  const percent = usage.quotaBytes ? Math.min(100, (usage.bytes / usage.quotaBytes) * 100) : null;
+  const level = percent >= 90 ? 'full' : percent >= 75 ? 'high' : 'ok';
+
+  return (
+    <div className="usage-bar">
+      <div className="usage-bar-label">
+        <span>{label}</span>
+        <span>
+          {formatBytes(usage.bytes)}
+          {usage.quotaBytes ? ` of ${formatBytes(usage.quotaBytes)}` : ''}
+          {` · ${usage.count} ${usage.count === 1 ? 'image' : 'images'}`}
+        </span>
+      </div>
+      {percent !== null && (
+        <div className="usage-bar-track">
+          <div className={`usage-bar-fill usage-${level}`} style={{ width: `${percent}%` }} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Storage used by your uploads and by the household's, against their quotas
+ *
+ * @param {Object|null} usage - From GET /api/account/usage
+ */
+const StorageUsageMeter = ({ usage }) => {
+  if (!usage) {
+    return null;
+  }
+
+  return (
+    <div className="storage-usage">
+      <FaDatabase className="storage-usage-icon" />
+      <div className="storage-usage-bars">
+        <UsageBar label="Your uploads" usage={usage.user} />
+        <UsageBar label={usage.household.name} usage={usage.household} />
+      </div>
+    </div>
+  );
+};
+
+export default StorageUsageMeter;
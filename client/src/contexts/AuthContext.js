@@ -13,10 +13,30 @@ export const useAuth = () => {
   return context;
 };
 
+// Shared by concurrent requests so an expired token is only refreshed once
+let refreshPromise = null;
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [token, setToken] = useState(localStorage.getItem('token'));
+  const [household, setHousehold] = useState(null);
+
+  const storeTokens = (newToken, newRefreshToken) => {
+    localStorage.setItem('token', newToken);
+    localStorage.setItem('refreshToken', newRefreshToken);
+    axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
+    setToken(newToken);
+  };
+
+  const clearSession = () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    setToken(null);
+    setUser(null);
+    setHousehold(null);
+    delete axios.defaults.headers.common['Authorization'];
+  };
 
   // Configure axios defaults
   useEffect(() => {
@@ -27,6 +47,60 @@ export const AuthProvider = ({ children }) => {
     }
   }, [token]);
 
+  // Refresh the access token when it expires and retry the request;
+  // a revoked session (or a failed refresh) signs the user out
+  useEffect(() => {
+    // Exchange the stored refresh token for a new access token
+    const refreshAccessToken = () => {
+      if (!refreshPromise) {
+        const refreshToken = localStorage.getItem('refreshToken');
+
+        refreshPromise = (refreshToken
+          ? axios.post(`${API_BASE_URL}/api/auth/refresh`, { refreshToken })
+          : Promise.reject(new Error('No refresh token'))
+        )
+          .then((response) => {
+            storeTokens(response.data.token, response.data.refreshToken);
+            return response.data.token;
+          })
+          .finally(() => {
+            refreshPromise = null;
+          });
+      }
+
+      return refreshPromise;
+    };
+
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const original = error.config;
+        const code = error.response?.data?.code;
+
+        if (code === 'TOKEN_EXPIRED' && original && !original._retry) {
+          original._retry = true;
+
+          try {
+            const newToken = await refreshAccessToken();
+            original.headers['Authorization'] = `Bearer ${newToken}`;
+            return axios(original);
+          } catch (refreshError) {
+            console.error('Token refresh failed:', refreshError);
+            clearSession();
+            toast.error('Your session has expired. Please log in again.');
+          }
+        } else if (code === 'SESSION_REVOKED') {
+          clearSession();
+          toast.error('You have been signed out. Please log in again.');
+        }
+
+        return Promise.reject(error);
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
   // Check if user is authenticated on app load
   useEffect(() => {
     const checkAuth = async () => {
@@ -36,7 +110,7 @@ export const AuthProvider = ({ children }) => {
           setUser(response.data.user);
         } catch (error) {
           console.error('Token verification failed:', error);
-          logout();
+          clearSession();
         }
       }
       setLoading(false);
@@ -45,6 +119,34 @@ export const AuthProvider = ({ children }) => {
     checkAuth();
   }, [token]);
 
+  // Load the household the user is working in once they are signed in
+  useEffect(() => {
+    if (user) {
+      refreshHousehold();
+    }
+  }, [user]);
+
+  const refreshHousehold = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/households`);
+      setHousehold(response.data.household);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching household:', error);
+      return null;
+    }
+  };
+
+  const switchHousehold = async (householdId) => {
+    try {
+      const response = await axios.put(`${API_BASE_URL}/api/households/active`, { householdId });
+      setHousehold(response.data.household);
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to switch household');
+    }
+  };
+
   const login = async (username, password) => {
     try {
       const response = await axios.post(`${API_BASE_URL}/api/auth/login`, {
@@ -52,10 +154,9 @@ export const AuthProvider = ({ children }) => {
         password
       });
 
-      const { token: newToken, user: userData } = response.data;
+      const { token: newToken, refreshToken: newRefreshToken, user: userData } = response.data;
       
-      localStorage.setItem('token', newToken);
-      setToken(newToken);
+      storeTokens(newToken, newRefreshToken);
       setUser(userData);
       
       toast.success('Login successful!');
@@ -75,10 +176,9 @@ export const AuthProvider = ({ children }) => {
         password
       });
 
-      const { token: newToken, user: userData } = response.data;
+      const { token: newToken, refreshToken: newRefreshToken, user: userData } = response.data;
       
-      localStorage.setItem('token', newToken);
-      setToken(newToken);
+      storeTokens(newToken, newRefreshToken);
       setUser(userData);
       
       toast.success('Registration successful!');
@@ -90,11 +190,15 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    setToken(null);
-    setUser(null);
-    delete axios.defaults.headers.common['Authorization'];
+  const logout = async () => {
+    try {
+      // Revoke the session server-side so the tokens stop working
+      await axios.post(`${API_BASE_URL}/api/auth/logout`);
+    } catch (error) {
+      console.error('Logout request failed:', error);
+    }
+
+    clearSession();
     toast.success('Logged out successfully');
   };
 
@@ -104,11 +208,15 @@ export const AuthProvider = ({ children }) => {
 
   const value = {
     user,
+    token,
+    household,
     loading,
     login,
     register,
     logout,
-    updateUser
+    updateUser,
+    refreshHousehold,
+    switchHousehold
   };
 
   return (
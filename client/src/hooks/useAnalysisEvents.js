@@ -0,0 +1,98 @@
+import { useEffect, useRef } from 'react';
+import axios from 'axios';
+import API_BASE_URL from '../config';
+import { useAuth } from '../contexts/AuthContext';
+
+const EVENT_TYPES = ['ready', 'status', 'completed', 'resync'];
+
+// Wait before reopening a stream the server closed or refused
+const RECONNECT_DELAY_MS = 3000;
+
+/**
+ * Subscribe to live analysis events for the active household.
+ * @param {Object} handlers - { status, completed, resync }, each called with
+ * the event's data. 'resync' means events were missed and data should be
+ * refetched.
+ *
+ * The stream is reopened when it closes (the server ends it when the access
+ * token expires) and resumes from the last event received.
+ */
+const useAnalysisEvents = (handlers) => {
+  const { token, household } = useAuth();
+  const householdId = household?.id;
+  const handlersRef = useRef(handlers);
+  const lastEventIdRef = useRef(null);
+
+  // Use the latest handlers without reopening the stream
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  // Each household has its own event history
+  useEffect(() => {
+    lastEventIdRef.current = null;
+  }, [householdId]);
+
+  useEffect(() => {
+    if (!token || !householdId || typeof EventSource === 'undefined') {
+      return undefined;
+    }
+
+    let source = null;
+    let reconnectTimer = null;
+    let stopped = false;
+
+    const connect = () => {
+      const params = new URLSearchParams({ token });
+      if (lastEventIdRef.current) {
+        params.set('lastEventId', lastEventIdRef.current);
+      }
+
+      source = new EventSource(`${API_BASE_URL}/api/analysis/events?${params}`);
+
+      EVENT_TYPES.forEach((type) => {
+        source.addEventListener(type, (event) => {
+          lastEventIdRef.current = event.lastEventId;
+          const handler = handlersRef.current[type];
+          if (handler) {
+            handler(JSON.parse(event.data));
+          }
+        });
+      });
+
+      // EventSource retries dropped connections itself, but gives up when
+      // the server refuses the stream - usually because the token expired
+      source.onerror = () => {
+        if (source.readyState !== EventSource.CLOSED) {
+          return;
+        }
+
+        source.close();
+        reconnectTimer = setTimeout(async () => {
+          try {
+            // Refreshes an expired token, which reopens the stream via the effect
+            await axios.get(`${API_BASE_URL}/api/auth/verify`);
+          } catch (error) {
+            console.error('Event stream reauthentication failed:', error);
+          }
+
+          if (!stopped) {
+            connect();
+          }
+        }, RECONNECT_DELAY_MS);
+      };
+    };
+
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      if (source) {
+        source.close();
+      }
+    };
+  }, [token, householdId]);
+};
+
+export default useAnalysisEvents;
@@ -1,10 +1,16 @@
 import React, { useState, useEffect } from 'react';
-import { FaChartBar, FaShieldAlt, FaExclamationTriangle, FaCheck, FaClock, FaTimes } from 'react-icons/fa';
+import { FaChartBar, FaShieldAlt, FaExclamationTriangle, FaCheck, FaClock, FaTimes, FaEye, FaEyeSlash } from 'react-icons/fa';
 import { motion } from 'framer-motion';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 import API_BASE_URL from '../config';
-import { getImageUrl } from '../utils/imageUtils';
+import { useAuth } from '../contexts/AuthContext';
+import { getImageUrl, placeholderStyle, resignImageUrls } from '../utils/imageUtils';
+import BoundingBoxOverlay from '../components/BoundingBoxOverlay';
+import HazardChecklist from '../components/HazardChecklist';
+import RiskTrendChart from '../components/RiskTrendChart';
+import ReportExport from '../components/ReportExport';
+import useAnalysisEvents from '../hooks/useAnalysisEvents';
 import './Analysis.css';
 
 const Analysis = () => {
@@ -12,16 +18,40 @@ const Analysis = () => {
   const [stats, setStats] = useState({});
   const [loading, setLoading] = useState(false);
   const [selectedAnalysis, setSelectedAnalysis] = useState(null);
+  const [highlightedIndex, setHighlightedIndex] = useState(null);
+  const [hiddenIndexes, setHiddenIndexes] = useState(new Set());
+  const [children, setChildren] = useState([]);
+  const [filterChildId, setFilterChildId] = useState('');
+  // Bumped on each completed analysis so the panels below refetch without
+  // opening event streams of their own
+  const [resultsVersion, setResultsVersion] = useState(0);
+  const { household } = useAuth();
+  const householdId = household?.id;
 
   useEffect(() => {
-    fetchAnalyses();
-    fetchStats();
-  }, []);
+    fetchChildren();
+  }, [householdId]);
 
-  const fetchAnalyses = async () => {
+  useEffect(() => {
+    fetchAnalyses(filterChildId);
+    fetchStats(filterChildId);
+  }, [householdId, filterChildId]);
+
+  const fetchChildren = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/children`);
+      setChildren(response.data.children || []);
+    } catch (error) {
+      console.error('Error fetching children:', error);
+    }
+  };
+
+  const fetchAnalyses = async (childId) => {
     try {
       setLoading(true);
-      const response = await axios.get(`${API_BASE_URL}/api/analysis/completed`);
+      const response = await axios.get(`${API_BASE_URL}/api/analysis/completed`, {
+        params: childId ? { childId } : {}
+      });
       setAnalyses(response.data.analyses || []);
     } catch (error) {
       console.error('Error fetching analyses:', error);
@@ -31,15 +61,36 @@ const Analysis = () => {
     }
   };
 
-  const fetchStats = async () => {
+  const fetchStats = async (childId) => {
     try {
-      const response = await axios.get(`${API_BASE_URL}/api/analysis/stats`);
+      const response = await axios.get(`${API_BASE_URL}/api/analysis/stats`, {
+        params: childId ? { childId } : {}
+      });
       setStats(response.data);
     } catch (error) {
       console.error('Error fetching stats:', error);
     }
   };
 
+  // Show new results as they complete and keep the statistics current
+  useAnalysisEvents({
+    status: () => fetchStats(filterChildId),
+    completed: ({ image }) => {
+      if (!filterChildId || String(image.child_id) === String(filterChildId)) {
+        setAnalyses(prev => (prev.some(a => a.id === image.id)
+          ? prev.map(a => (a.id === image.id ? image : a))
+          : [image, ...prev]));
+      }
+      fetchStats(filterChildId);
+      setResultsVersion(version => version + 1);
+    },
+    resync: () => {
+      fetchAnalyses(filterChildId);
+      fetchStats(filterChildId);
+      setResultsVersion(version => version + 1);
+    }
+  });
+
   const getRiskLevelIcon = (riskLevel) => {
     switch (riskLevel) {
       case 'none':
@@ -71,13 +122,68 @@ const Analysis = () => {
   //   }
   // };
 
+  // EXIF orientation values 1-8
+  const getOrientationText = (orientation) => {
+    switch (orientation) {
+      case 2:
+        return 'Mirrored';
+      case 3:
+        return 'Rotated 180°';
+      case 4:
+        return 'Mirrored, rotated 180°';
+      case 5:
+        return 'Mirrored, rotated 90° CCW';
+      case 6:
+        return 'Rotated 90° CW';
+      case 7:
+        return 'Mirrored, rotated 90° CW';
+      case 8:
+        return 'Rotated 90° CCW';
+      default:
+        return 'Normal';
+    }
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleString();
   };
 
-  const renderDetectedObjects = (detectedObjects) => {
-    console.log('Rendering detected objects:', detectedObjects);
-    
+  const openAnalysis = (analysis) => {
+    setSelectedAnalysis(analysis);
+    setHighlightedIndex(null);
+    setHiddenIndexes(new Set());
+  };
+
+  // Retry an image that failed to load with fresh URLs if its own expired
+  const refreshImageUrls = async (analysis, failedSrc) => {
+    const urls = await resignImageUrls(analysis);
+    if (!urls) {
+      console.error('Image failed to load:', failedSrc);
+      return false;
+    }
+    setAnalyses(prev => prev.map(a => (a.id === analysis.id ? { ...a, urls } : a)));
+    setSelectedAnalysis(prev => (prev?.id === analysis.id ? { ...prev, urls } : prev));
+    return true;
+  };
+
+  // Clicking the highlighted object (or its box) again clears the highlight
+  const toggleHighlight = (index) => {
+    setHighlightedIndex(prev => (prev === index ? null : index));
+  };
+
+  const toggleHidden = (index) => {
+    setHiddenIndexes(prev => {
+      const next = new Set(prev);
+      if (next.has(index)) {
+        next.delete(index);
+      } else {
+        next.add(index);
+      }
+      return next;
+    });
+  };
+
+  const renderDetectedObjects = (detectedObjects, confidenceScores) => {
     if (!detectedObjects || detectedObjects.length === 0) {
       return <p className="no-objects">No objects detected</p>;
     }
@@ -85,13 +191,31 @@ const Analysis = () => {
     return (
       <div className="detected-objects">
         {detectedObjects.map((obj, index) => {
-          console.log('Object:', obj);
+          const riskLevel = confidenceScores?.[obj.name]?.riskLevel || 'none';
+          const hidden = hiddenIndexes.has(index);
+
           return (
-            <div key={index} className="detected-object">
+            <div
+              key={index}
+              className={`detected-object risk-border-${riskLevel} ${
+                highlightedIndex === index ? 'highlighted' : ''
+              } ${hidden ? 'hidden-object' : ''}`}
+              onClick={() => toggleHighlight(index)}
+            >
               <span className="object-name">{obj.name || 'Unknown'}</span>
               <span className="object-confidence">
                 {obj.confidence ? (obj.confidence * 100).toFixed(1) : '0'}%
               </span>
+              <button
+                className="object-toggle"
+                title={hidden ? 'Show box' : 'Hide box'}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  toggleHidden(index);
+                }}
+              >
+                {hidden ? <FaEyeSlash /> : <FaEye />}
+              </button>
             </div>
           );
         })}
@@ -110,6 +234,21 @@ const Analysis = () => {
           <div className="analysis-header">
             <h1>Analysis Results</h1>
             <p>View detailed safety analysis of your uploaded images</p>
+            {children.length > 0 && (
+              <select
+                className="input child-filter"
+                value={filterChildId}
+                onChange={(e) => setFilterChildId(e.target.value)}
+              >
+                <option value="">All children</option>
+                {children.map(child => (
+                  <option key={child.id} value={child.id}>{child.name}</option>
+                ))}
+              </select>
+            )}
+            <div>
+              <ReportExport childId={filterChildId} />
+            </div>
           </div>
 
           {/* Statistics */}
@@ -159,6 +298,10 @@ const Analysis = () => {
             </div>
           </div>
 
+          <RiskTrendChart childId={filterChildId} refreshKey={resultsVersion} />
+
+          <HazardChecklist refreshKey={resultsVersion} />
+
           {/* Analyses List */}
           <div className="analyses-section">
             <h2>Recent Analyses</h2>
@@ -183,21 +326,18 @@ const Analysis = () => {
                     initial={{ opacity: 0, scale: 0.9 }}
                     animate={{ opacity: 1, scale: 1 }}
                     transition={{ duration: 0.3 }}
-                    onClick={() => {
-                      console.log('Selected analysis:', analysis);
-                      setSelectedAnalysis(analysis);
-                    }}
+                    onClick={() => openAnalysis(analysis)}
                   >
-                    <div className="analysis-preview">
+                    <div className="analysis-preview" style={placeholderStyle(analysis.placeholder)}>
                       <img
-                        src={getImageUrl(`uploads/${analysis.filename}`)}
+                        src={getImageUrl(analysis, 'small')}
                         alt={analysis.original_filename}
+                        loading="lazy"
                         onError={(e) => {
-                          console.error('Image failed to load:', e.target.src);
-                          console.error('Full URL:', getImageUrl(`uploads/${analysis.filename}`));
                           // Don't hide the image immediately, let the placeholder show
                           e.target.style.display = 'none';
                           e.target.nextSibling.style.display = 'flex';
+                          refreshImageUrls(analysis, e.target.src);
                         }}
                         onLoad={(e) => {
                           console.log('Image loaded successfully:', e.target.src);
@@ -208,7 +348,7 @@ const Analysis = () => {
                       />
                       <div className="image-placeholder" style={{ display: 'none' }}>
                         <FaChartBar />
-                        <p>Image not available</p>
+                        <p>{analysis.original_removed_at ? 'Photo removed by retention policy' : 'Image not available'}</p>
                       </div>
                     </div>
 
@@ -268,32 +408,24 @@ const Analysis = () => {
 
             <div className="modal-body">
               <div className="analysis-image">
-                <img
-                  src={getImageUrl(`uploads/${selectedAnalysis.filename}`)}
+                <BoundingBoxOverlay
+                  key={selectedAnalysis.id}
+                  src={getImageUrl(selectedAnalysis)}
                   alt={selectedAnalysis.original_filename}
-                  onError={(e) => {
-                    console.error('Modal image failed to load:', e.target.src);
-                    console.error('Full URL:', getImageUrl(`uploads/${selectedAnalysis.filename}`));
-                    e.target.style.display = 'none';
-                    e.target.nextSibling.style.display = 'flex';
-                  }}
-                  onLoad={(e) => {
-                    console.log('Modal image loaded successfully:', e.target.src);
-                    e.target.style.display = 'block';
-                    e.target.nextSibling.style.display = 'none';
-                  }}
-                  style={{ display: 'block' }}
+                  detections={selectedAnalysis.detectedObjects || []}
+                  confidenceScores={selectedAnalysis.confidenceScores}
+                  hiddenIndexes={hiddenIndexes}
+                  highlightedIndex={highlightedIndex}
+                  onSelect={toggleHighlight}
+                  onLoadError={(src) => refreshImageUrls(selectedAnalysis, src)}
                 />
-                <div className="image-placeholder" style={{ display: 'none' }}>
-                  <FaChartBar />
-                  <p>Image not available</p>
-                </div>
               </div>
 
               <div className="analysis-details">
                 <h3>{selectedAnalysis.original_filename}</h3>
                 <p className="analysis-time">
                   Analyzed on {formatDate(selectedAnalysis.upload_timestamp)}
+                  {selectedAnalysis.uploaded_by && ` · uploaded by ${selectedAnalysis.uploaded_by}`}
                 </p>
 
                 <div className="risk-summary">
@@ -313,7 +445,10 @@ const Analysis = () => {
 
                 <div className="detected-objects-section">
                   <h4>Detected Objects</h4>
-                  {renderDetectedObjects(selectedAnalysis.detectedObjects)}
+                  <p className="detected-objects-hint">
+                    Click an object to highlight it on the image, or use the eye to hide its box
+                  </p>
+                  {renderDetectedObjects(selectedAnalysis.detectedObjects, selectedAnalysis.confidenceScores)}
                 </div>
 
                 {selectedAnalysis.confidenceScores && (
@@ -334,6 +469,42 @@ const Analysis = () => {
                     </div>
                   </div>
                 )}
+
+                {selectedAnalysis.imageInfo && (
+                  <div className="image-info-section">
+                    <h4>Image Details</h4>
+                    <div className="image-info-grid">
+                      <div className="image-info-item">
+                        <span className="object-name">Dimensions</span>
+                        <span>{selectedAnalysis.imageInfo.width} × {selectedAnalysis.imageInfo.height}</span>
+                      </div>
+                      <div className="image-info-item">
+                        <span className="object-name">Format</span>
+                        <span>{selectedAnalysis.imageInfo.format?.toUpperCase()}</span>
+                      </div>
+                      <div className="image-info-item">
+                        <span className="object-name">Color</span>
+                        <span>{selectedAnalysis.imageInfo.colorType || 'Unknown'}</span>
+                      </div>
+                      <div className="image-info-item">
+                        <span className="object-name">Orientation</span>
+                        <span>{getOrientationText(selectedAnalysis.imageInfo.orientation)}</span>
+                      </div>
+                      {selectedAnalysis.captured_at && (
+                        <div className="image-info-item">
+                          <span className="object-name">Taken</span>
+                          <span>{formatDate(selectedAnalysis.captured_at)}</span>
+                        </div>
+                      )}
+                      {selectedAnalysis.imageInfo.frameCount > 1 && (
+                        <div className="image-info-item">
+                          <span className="object-name">Frames</span>
+                          <span>{selectedAnalysis.imageInfo.frameCount} (animated)</span>
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                )}
               </div>
             </div>
           </motion.div>
@@ -1,28 +1,143 @@
 import React, { useState, useEffect } from 'react';
 import { useDropzone } from 'react-dropzone';
-import { FaUpload, FaImage, FaSpinner, FaCheck, FaExclamationTriangle, FaTrash } from 'react-icons/fa';
+import { FaUpload, FaImage, FaSpinner, FaCheck, FaExclamationTriangle, FaTrash, FaRedo } from 'react-icons/fa';
 import { motion, AnimatePresence } from 'framer-motion';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 import API_BASE_URL from '../config';
-import { getImageUrl } from '../utils/imageUtils';
+import { useAuth } from '../contexts/AuthContext';
+import { getImageUrl, placeholderStyle, describeUploadRejection, resignImageUrls } from '../utils/imageUtils';
+import useAnalysisEvents from '../hooks/useAnalysisEvents';
+import ScanSessionList from '../components/ScanSessionList';
+import RejectedUploads from '../components/RejectedUploads';
+import StorageUsageMeter from '../components/StorageUsageMeter';
 import './Dashboard.css';
 
+// Toast for a file the server refused, with the code to quote for support
+const toastRejection = (fileName, rejection) => {
+  const code = rejection.code ? ` (${rejection.code})` : '';
+  toast.error(`${fileName}: ${describeUploadRejection(rejection)}${code}`);
+};
+
+// Map an image_records row from the API to the card shape used here
+const toImageCard = (image) => ({
+  id: image.id,
+  filename: image.filename,
+  originalName: image.original_filename,
+  status: image.analysis_status,
+  uploadTimestamp: image.upload_timestamp,
+  riskLevel: image.risk_level,
+  riskDescription: image.risk_description,
+  childId: image.child_id,
+  roomId: image.room_id,
+  scanSessionId: image.scan_session_id,
+  uploadedBy: image.uploaded_by,
+  attempts: image.analysis_attempts,
+  lastError: image.last_error,
+  nextAttemptAt: image.next_attempt_at,
+  placeholder: image.placeholder,
+  originalRemovedAt: image.original_removed_at,
+  urls: image.urls
+});
+
+// SQLite timestamps are UTC without a zone marker
+const fromSqlTimestamp = (value) => new Date(`${value.replace(' ', 'T')}Z`);
+
 const Dashboard = () => {
   const [uploadedImages, setUploadedImages] = useState([]);
   const [loading, setLoading] = useState(false);
   const [uploading, setUploading] = useState(false);
+  const [children, setChildren] = useState([]);
+  const [uploadChildId, setUploadChildId] = useState('');
+  const [rooms, setRooms] = useState([]);
+  const [uploadRoomId, setUploadRoomId] = useState('');
+  const [filterChildId, setFilterChildId] = useState('');
+  const [scanSessions, setScanSessions] = useState([]);
+  const [scanName, setScanName] = useState('');
+  const [keepCaptureTime, setKeepCaptureTime] = useState(false);
+  const [filterScanSessionId, setFilterScanSessionId] = useState(null);
+  const [rejections, setRejections] = useState([]);
+  const [storageUsage, setStorageUsage] = useState(null);
+  const { user, household } = useAuth();
+  const householdId = household?.id;
 
-  // Fetch user's images on component mount
+  // Viewers can browse the household's images but not change them
+  const canUpload = household && household.role !== 'viewer';
+  const canDelete = (image) => (
+    household?.role === 'owner' ||
+    (household?.role === 'caregiver' && image.uploadedBy === user?.username)
+  );
+
+  // Fetch the household's children and scan sessions on mount and when switching household
   useEffect(() => {
-    fetchImages();
-  }, []);
+    fetchChildren();
+    fetchRooms();
+    fetchScanSessions();
+    fetchRejections();
+    fetchStorageUsage();
+    setFilterScanSessionId(null);
+    setUploadRoomId('');
+  }, [householdId]);
+
+  // Fetch images on mount and whenever the household or a filter changes
+  useEffect(() => {
+    fetchImages(filterChildId, filterScanSessionId);
+  }, [householdId, filterChildId, filterScanSessionId]);
+
+  const fetchChildren = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/children`);
+      setChildren(response.data.children || []);
+    } catch (error) {
+      console.error('Error fetching children:', error);
+    }
+  };
+
+  const fetchRooms = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/rooms`);
+      setRooms(response.data.rooms || []);
+    } catch (error) {
+      console.error('Error fetching rooms:', error);
+    }
+  };
+
+  const fetchScanSessions = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/scan-sessions`);
+      setScanSessions(response.data.scanSessions || []);
+    } catch (error) {
+      console.error('Error fetching scan sessions:', error);
+    }
+  };
+
+  const fetchRejections = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/images/rejections`);
+      setRejections(response.data.rejections || []);
+    } catch (error) {
+      console.error('Error fetching upload rejections:', error);
+    }
+  };
 
-  const fetchImages = async () => {
+  const fetchStorageUsage = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/account/usage`);
+      setStorageUsage(response.data);
+    } catch (error) {
+      console.error('Error fetching storage usage:', error);
+    }
+  };
+
+  const fetchImages = async (childId, scanSessionId) => {
     try {
       setLoading(true);
-      const response = await axios.get(`${API_BASE_URL}/api/images/my-images`);
-      setUploadedImages(response.data.images || []);
+      const params = {};
+      if (childId) params.childId = childId;
+      if (scanSessionId) params.scanSessionId = scanSessionId;
+
+      const response = await axios.get(`${API_BASE_URL}/api/images/my-images`, { params });
+      setUploadedImages((response.data.images || []).map(toImageCard));
     } catch (error) {
       console.error('Error fetching images:', error);
       toast.error('Failed to load images');
@@ -31,39 +146,184 @@ const Dashboard = () => {
     }
   };
 
-  const onDrop = async (acceptedFiles) => {
+  // Apply a live status update, adding images uploaded by other members
+  const upsertImage = (image) => {
+    const card = toImageCard(image);
+
+    setUploadedImages(prev => {
+      if (prev.some(img => img.id === card.id)) {
+        return prev.map(img => (img.id === card.id ? { ...img, ...card } : img));
+      }
+      if (filterChildId && String(card.childId) !== String(filterChildId)) {
+        return prev;
+      }
+      if (filterScanSessionId && card.scanSessionId !== filterScanSessionId) {
+        return prev;
+      }
+      return [card, ...prev];
+    });
+  };
+
+  useAnalysisEvents({
+    status: ({ image }) => upsertImage(image),
+    completed: ({ image }) => {
+      upsertImage(image);
+      if (image.scan_session_id) {
+        fetchScanSessions();
+      }
+    },
+    resync: () => {
+      fetchImages(filterChildId, filterScanSessionId);
+      fetchScanSessions();
+    }
+  });
+
+  // Retry an image that failed to load with fresh URLs if its own expired
+  const refreshImageUrls = async (image, failedSrc) => {
+    const urls = await resignImageUrls(image);
+    if (!urls) {
+      console.error('Dashboard image failed to load:', failedSrc);
+      return;
+    }
+    setUploadedImages(prev => prev.map(img => (img.id === image.id ? { ...img, urls } : img)));
+  };
+
+  // Add a new upload to the list, unless its live update got here first
+  const addUploadedImage = (card) => {
+    setUploadedImages(prev => (prev.some(img => img.id === card.id) ? prev : [{
+      ...card,
+      uploadedBy: user?.username,
+      status: 'pending',
+      uploadTimestamp: new Date().toISOString()
+    }, ...prev]));
+  };
+
+  const uploadSingle = async (file) => {
+    const formData = new FormData();
+    formData.append('image', file);
+    if (uploadChildId) {
+      formData.append('childId', uploadChildId);
+    }
+    if (uploadRoomId) {
+      formData.append('roomId', uploadRoomId);
+    }
+    if (keepCaptureTime) {
+      formData.append('keepCaptureTime', 'true');
+    }
+
+    const response = await axios.post(`${API_BASE_URL}/api/images/upload`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+
+    if (response.data.privacy.removed.includes('GPS')) {
+      toast(`Removed location data from "${file.name}"`, { icon: '🛡️' });
+    }
+
+    // The same photo uploaded again links to the earlier upload
+    if (response.data.linked) {
+      toast(`"${file.name}" was already uploaded`, { icon: '🔁' });
+      return;
+    }
+
+    toast.success(`Image "${file.name}" uploaded successfully!`);
+
+    addUploadedImage({
+      id: response.data.imageId,
+      filename: response.data.filename,
+      originalName: response.data.originalName,
+      urls: response.data.urls,
+      childId: response.data.childId,
+      roomId: response.data.roomId
+    });
+  };
+
+  // Several files go up in one request as a scan session; each file
+  // succeeds or fails on its own
+  const uploadBatch = async (files) => {
+    const formData = new FormData();
+    files.forEach(file => formData.append('images', file));
+    if (scanName.trim()) {
+      formData.append('name', scanName.trim());
+    }
+    if (uploadChildId) {
+      formData.append('childId', uploadChildId);
+    }
+    if (uploadRoomId) {
+      formData.append('roomId', uploadRoomId);
+    }
+    if (keepCaptureTime) {
+      formData.append('keepCaptureTime', 'true');
+    }
+
+    const response = await axios.post(`${API_BASE_URL}/api/images/batch`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+    const { scanSession, results } = response.data;
+
+    results.filter(result => !result.success).forEach(result => {
+      toastRejection(result.originalName, result);
+    });
+    toast.success(`${response.data.message} to "${scanSession.name}"`);
+
+    const located = results.filter(result => result.privacy?.removed.includes('GPS')).length;
+    if (located > 0) {
+      toast(`Removed location data from ${located} ${located === 1 ? 'photo' : 'photos'}`, { icon: '🛡️' });
+    }
+
+    const linked = results.filter(result => result.linked).length;
+    if (linked > 0) {
+      toast(`${linked} ${linked === 1 ? 'photo was' : 'photos were'} already uploaded`, { icon: '🔁' });
+    }
+
+    results.filter(result => result.success && !result.linked).forEach(result => {
+      addUploadedImage({
+        id: result.imageId,
+        filename: result.filename,
+        originalName: result.originalName,
+        urls: result.urls,
+        childId: response.data.childId,
+        roomId: response.data.roomId,
+        scanSessionId: scanSession.id
+      });
+    });
+
+    setScanName('');
+    fetchScanSessions();
+  };
+
+  const onDrop = async (acceptedFiles, fileRejections = []) => {
+    fileRejections.forEach(({ file, errors }) => {
+      toast.error(`${file.name}: ${errors[0]?.message || 'File not accepted'}`);
+    });
+
     if (acceptedFiles.length === 0) return;
 
     setUploading(true);
     
     try {
-      for (const file of acceptedFiles) {
-        const formData = new FormData();
-        formData.append('image', file);
-
-        const response = await axios.post(`${API_BASE_URL}/api/images/upload`, formData, {
-          headers: {
-            'Content-Type': 'multipart/form-data',
-          },
-        });
-
-        toast.success(`Image "${file.name}" uploaded successfully!`);
-        
-        // Add the new image to the list
-        setUploadedImages(prev => [{
-          id: response.data.imageId,
-          filename: response.data.filename,
-          originalName: response.data.originalName,
-          status: 'pending',
-          uploadTimestamp: new Date().toISOString()
-        }, ...prev]);
+      if (acceptedFiles.length === 1) {
+        await uploadSingle(acceptedFiles[0]);
+      } else {
+        await uploadBatch(acceptedFiles);
       }
     } catch (error) {
       console.error('Upload error:', error);
-      const message = error.response?.data?.error || 'Upload failed';
-      toast.error(message);
+      const data = error.response?.data || {};
+      if (data.results) {
+        data.results.forEach(result => toastRejection(result.originalName, result));
+      } else if (data.code && acceptedFiles.length === 1) {
+        toastRejection(acceptedFiles[0].name, data);
+      } else {
+        toast.error(data.error || 'Upload failed');
+      }
     } finally {
       setUploading(false);
+      fetchRejections();
+      fetchStorageUsage();
     }
   };
 
@@ -81,12 +341,28 @@ const Dashboard = () => {
       await axios.delete(`${API_BASE_URL}/api/images/${imageId}`);
       setUploadedImages(prev => prev.filter(img => img.id !== imageId));
       toast.success('Image deleted successfully');
+      fetchStorageUsage();
     } catch (error) {
       console.error('Delete error:', error);
       toast.error('Failed to delete image');
     }
   };
 
+  const requeueImage = async (imageId) => {
+    try {
+      await axios.post(`${API_BASE_URL}/api/analysis/failures/${imageId}/requeue`);
+      setUploadedImages(prev => prev.map(img => (
+        img.id === imageId
+          ? { ...img, status: 'pending', attempts: 0, lastError: null, nextAttemptAt: null }
+          : img
+      )));
+      toast.success('Analysis re-queued');
+    } catch (error) {
+      console.error('Requeue error:', error);
+      toast.error(error.response?.data?.error || 'Failed to re-queue analysis');
+    }
+  };
+
   const getStatusIcon = (status) => {
     switch (status) {
       case 'pending':
@@ -96,6 +372,7 @@ const Dashboard = () => {
       case 'completed':
         return <FaCheck className="status-icon completed" />;
       case 'failed':
+      case 'dead':
         return <FaExclamationTriangle className="status-icon failed" />;
       default:
         return <FaImage className="status-icon" />;
@@ -112,6 +389,8 @@ const Dashboard = () => {
         return 'Analysis Complete';
       case 'failed':
         return 'Analysis Failed';
+      case 'dead':
+        return 'Analysis Stopped';
       default:
         return 'Unknown';
     }
@@ -143,32 +422,121 @@ const Dashboard = () => {
           <div className="dashboard-header">
             <h1>Image Upload & Analysis</h1>
             <p>Upload images of your child's environment to detect potential hazards</p>
+            <StorageUsageMeter usage={storageUsage} />
           </div>
 
           {/* Upload Area */}
-          <div className="upload-section">
-            <div
-              {...getRootProps()}
-              className={`upload-area ${isDragActive ? 'drag-active' : ''}`}
-            >
-              <input {...getInputProps()} />
-              <div className="upload-content">
-                <FaUpload className="upload-icon" />
-                <h3>Drop images here or click to browse</h3>
-                <p>Supports JPG, PNG, GIF, WEBP (max 10MB each)</p>
-                {uploading && (
-                  <div className="upload-progress">
-                    <FaSpinner className="loading-spinner" />
-                    <span>Uploading...</span>
+          {household && !canUpload && (
+            <div className="view-only-notice">
+              You have view-only access to {household.name}
+            </div>
+          )}
+          {canUpload && (
+            <div className="upload-section">
+              <div className="upload-options">
+                {children.length > 0 && (
+                  <div className="child-select">
+                    <label htmlFor="upload-child">Photos of</label>
+                    <select
+                      id="upload-child"
+                      className="input"
+                      value={uploadChildId}
+                      onChange={(e) => setUploadChildId(e.target.value)}
+                    >
+                      <option value="">No specific child</option>
+                      {children.map(child => (
+                        <option key={child.id} value={child.id}>
+                          {child.name} ({child.ageBandLabel})
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                {rooms.length > 0 && (
+                  <div className="child-select">
+                    <label htmlFor="upload-room">Room</label>
+                    <select
+                      id="upload-room"
+                      className="input"
+                      value={uploadRoomId}
+                      onChange={(e) => setUploadRoomId(e.target.value)}
+                    >
+                      <option value="">No specific room</option>
+                      {rooms.map(room => (
+                        <option key={room.id} value={room.id}>{room.name}</option>
+                      ))}
+                    </select>
                   </div>
                 )}
+                <div className="child-select">
+                  <label htmlFor="scan-name">Scan name</label>
+                  <input
+                    id="scan-name"
+                    className="input"
+                    value={scanName}
+                    onChange={(e) => setScanName(e.target.value)}
+                    placeholder="e.g. Kitchen walkthrough"
+                    maxLength={100}
+                  />
+                </div>
+                <label
+                  className="capture-time-toggle"
+                  title="Location, device and other identifying details are always removed from photos"
+                >
+                  <input
+                    type="checkbox"
+                    checked={keepCaptureTime}
+                    onChange={(e) => setKeepCaptureTime(e.target.checked)}
+                  />
+                  <span>Keep when each photo was taken</span>
+                </label>
+              </div>
+              <div
+                {...getRootProps()}
+                className={`upload-area ${isDragActive ? 'drag-active' : ''}`}
+              >
+                <input {...getInputProps()} />
+                <div className="upload-content">
+                  <FaUpload className="upload-icon" />
+                  <h3>Drop images here or click to browse</h3>
+                  <p>Supports JPG, PNG, GIF, WEBP (max 10MB each)</p>
+                  <p>Several photos at once are saved together as a scan session</p>
+                  {uploading && (
+                    <div className="upload-progress">
+                      <FaSpinner className="loading-spinner" />
+                      <span>Uploading...</span>
+                    </div>
+                  )}
+                </div>
               </div>
+
+              <RejectedUploads rejections={rejections} />
             </div>
-          </div>
+          )}
 
           {/* Images List */}
           <div className="images-section">
-            <h2>Your Images</h2>
+            <ScanSessionList
+              scanSessions={scanSessions}
+              selectedId={filterScanSessionId}
+              onSelect={setFilterScanSessionId}
+            />
+
+            <div className="images-section-header">
+              <h2>{household ? `${household.name} Images` : 'Your Images'}</h2>
+              {children.length > 0 && (
+                <select
+                  className="input child-filter"
+                  value={filterChildId}
+                  onChange={(e) => setFilterChildId(e.target.value)}
+                >
+                  <option value="">All children</option>
+                  {children.map(child => (
+                    <option key={child.id} value={child.id}>{child.name}</option>
+                  ))}
+                </select>
+              )}
+            </div>
             
             {loading ? (
               <div className="loading-container">
@@ -193,14 +561,15 @@ const Dashboard = () => {
                       exit={{ opacity: 0, scale: 0.9 }}
                       transition={{ duration: 0.3 }}
                     >
-                      <div className="image-preview">
+                      <div className="image-preview" style={placeholderStyle(image.placeholder)}>
                         <img
-                          src={getImageUrl(`uploads/${image.filename}`)}
+                          src={getImageUrl(image, 'small')}
                           alt={image.originalName}
+                          loading="lazy"
                           onError={(e) => {
-                            console.error('Dashboard image failed to load:', e.target.src);
                             e.target.style.display = 'none';
                             e.target.nextSibling.style.display = 'flex';
+                            refreshImageUrls(image, e.target.src);
                           }}
                           onLoad={(e) => {
                             e.target.style.display = 'block';
@@ -209,7 +578,7 @@ const Dashboard = () => {
                         />
                         <div className="image-placeholder">
                           <FaImage />
-                          <p>Image not available</p>
+                          <p>{image.originalRemovedAt ? 'Photo removed by retention policy' : 'Image not available'}</p>
                         </div>
                       </div>
                       
@@ -217,6 +586,12 @@ const Dashboard = () => {
                         <h4>{image.originalName}</h4>
                         <p className="upload-time">
                           {new Date(image.uploadTimestamp).toLocaleString()}
+                          {image.uploadedBy && image.uploadedBy !== user?.username && (
+                            <> · by {image.uploadedBy}</>
+                          )}
+                          {image.roomId && rooms.some(room => room.id === image.roomId) && (
+                            <> · {rooms.find(room => room.id === image.roomId).name}</>
+                          )}
                         </p>
                         
                         <div className="image-status">
@@ -224,6 +599,29 @@ const Dashboard = () => {
                           <span>{getStatusText(image.status)}</span>
                         </div>
 
+                        {(image.status === 'failed' || image.status === 'dead') && (
+                          <div className="analysis-failure">
+                            {image.lastError && (
+                              <p className="failure-reason">{image.lastError}</p>
+                            )}
+                            <p className="failure-retry">
+                              {image.status === 'dead'
+                                ? `Gave up after ${image.attempts} attempts`
+                                : image.nextAttemptAt
+                                  ? `Retrying at ${fromSqlTimestamp(image.nextAttemptAt).toLocaleTimeString()} (attempt ${image.attempts + 1})`
+                                  : 'Not scheduled for retry'}
+                            </p>
+                            {canUpload && (
+                              <button
+                                onClick={() => requeueImage(image.id)}
+                                className="btn btn-secondary"
+                              >
+                                <FaRedo /> Retry now
+                              </button>
+                            )}
+                          </div>
+                        )}
+
                         {image.riskLevel && (
                           <div className={`risk-level ${getRiskLevelClass(image.riskLevel)}`}>
                             Risk Level: {image.riskLevel.toUpperCase()}
@@ -237,15 +635,17 @@ const Dashboard = () => {
                         )}
                       </div>
 
-                      <div className="image-actions">
-                        <button
-                          onClick={() => deleteImage(image.id)}
-                          className="btn btn-danger"
-                          title="Delete image"
-                        >
-                          <FaTrash />
-                        </button>
-                      </div>
+                      {canDelete(image) && (
+                        <div className="image-actions">
+                          <button
+                            onClick={() => deleteImage(image.id)}
+                            className="btn btn-danger"
+                            title="Delete image"
+                          >
+                            <FaTrash />
+                          </button>
+                        </div>
+                      )}
                     </motion.div>
                   ))}
                 </AnimatePresence>
@@ -0,0 +1,293 @@
+import React, { useState, useEffect } from 'react';
+import {
+  FaUtensils, FaBath, FaBed, FaBaby, FaCouch, FaChair, FaLevelUpAlt,
+  FaDoorOpen, FaCar, FaTree, FaHome, FaPlus, FaTrash, FaSpinner, FaTimes
+} from 'react-icons/fa';
+import { motion } from 'framer-motion';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import API_BASE_URL from '../config';
+import { useAuth } from '../contexts/AuthContext';
+import useAnalysisEvents from '../hooks/useAnalysisEvents';
+import './HomeMap.css';
+
+const ROOM_ICONS = {
+  kitchen: FaUtensils,
+  bathroom: FaBath,
+  bedroom: FaBed,
+  nursery: FaBaby,
+  living_room: FaCouch,
+  dining_room: FaChair,
+  stairs: FaLevelUpAlt,
+  hallway: FaDoorOpen,
+  garage: FaCar,
+  backyard: FaTree,
+  other: FaHome
+};
+
+const formatKind = (kind) => kind.replace(/_/g, ' ');
+const formatHazard = (name) => name.replace(/_/g, ' ');
+
+const formatItemStatus = (item) => {
+  if (item.status === 'fixed') {
+    return item.verification === 'verified' ? 'fixed (verified)' : 'fixed (awaiting re-scan)';
+  }
+  return item.status === 'dismissed' ? 'false positive' : item.status;
+};
+
+// SQLite timestamps are UTC without a zone marker
+const formatDate = (value) => new Date(`${value.replace(' ', 'T')}Z`).toLocaleDateString();
+
+const HomeMap = () => {
+  const [rooms, setRooms] = useState([]);
+  const [kinds, setKinds] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [newRoom, setNewRoom] = useState({ name: '', kind: 'kitchen' });
+  const [selectedRoom, setSelectedRoom] = useState(null);
+  const { household } = useAuth();
+  const householdId = household?.id;
+  const canEdit = household && household.role !== 'viewer';
+
+  useEffect(() => {
+    setSelectedRoom(null);
+    fetchRooms();
+  }, [householdId]);
+
+  // Room risk changes whenever one of its images finishes analysis
+  useAnalysisEvents({
+    completed: ({ image }) => {
+      if (image.room_id) {
+        fetchRooms();
+        if (selectedRoom?.room.id === image.room_id) {
+          openRoom(image.room_id);
+        }
+      }
+    },
+    resync: () => fetchRooms()
+  });
+
+  const fetchRooms = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/api/rooms`);
+      setRooms(response.data.rooms || []);
+      setKinds(response.data.kinds || []);
+    } catch (error) {
+      console.error('Error fetching rooms:', error);
+      toast.error('Failed to load rooms');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openRoom = async (roomId) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/rooms/${roomId}/summary`);
+      setSelectedRoom(response.data);
+    } catch (error) {
+      console.error('Error fetching room summary:', error);
+      toast.error('Failed to load room');
+    }
+  };
+
+  const addRoom = async (e) => {
+    e.preventDefault();
+    try {
+      await axios.post(`${API_BASE_URL}/api/rooms`, newRoom);
+      toast.success(`Added ${newRoom.name}`);
+      setNewRoom({ ...newRoom, name: '' });
+      fetchRooms();
+    } catch (error) {
+      console.error('Error adding room:', error);
+      toast.error(error.response?.data?.error || 'Failed to add room');
+    }
+  };
+
+  const deleteRoom = async (room) => {
+    if (!window.confirm(`Delete ${room.name}? Its photos are kept but no longer tagged.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_BASE_URL}/api/rooms/${room.id}`);
+      toast.success('Room deleted');
+      setSelectedRoom(null);
+      fetchRooms();
+    } catch (error) {
+      console.error('Error deleting room:', error);
+      toast.error(error.response?.data?.error || 'Failed to delete room');
+    }
+  };
+
+  return (
+    <div className="home-map">
+      <div className="container">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.6 }}
+        >
+          <div className="home-map-header">
+            <h1>Home Safety Map</h1>
+            <p>Each room's worst outstanding risk and the hazards still to deal with</p>
+          </div>
+
+          {canEdit && (
+            <form className="add-room-form" onSubmit={addRoom}>
+              <input
+                className="input"
+                value={newRoom.name}
+                onChange={(e) => setNewRoom({ ...newRoom, name: e.target.value })}
+                placeholder="Room name, e.g. Upstairs bathroom"
+                maxLength={60}
+                required
+              />
+              <select
+                className="input"
+                value={newRoom.kind}
+                onChange={(e) => setNewRoom({ ...newRoom, kind: e.target.value })}
+              >
+                {kinds.map(kind => (
+                  <option key={kind} value={kind}>{formatKind(kind)}</option>
+                ))}
+              </select>
+              <button type="submit" className="btn btn-primary">
+                <FaPlus /> Add Room
+              </button>
+            </form>
+          )}
+
+          <div className="risk-legend">
+            {['high', 'medium', 'low', 'none', 'unscanned'].map(level => (
+              <span key={level} className={`legend-item room-risk-${level}`}>
+                {level === 'none' ? 'safe' : level}
+              </span>
+            ))}
+          </div>
+
+          {loading && rooms.length === 0 ? (
+            <div className="loading-container">
+              <FaSpinner className="loading-spinner" />
+              <span>Loading rooms...</span>
+            </div>
+          ) : rooms.length === 0 ? (
+            <div className="empty-state">
+              <FaHome className="empty-icon" />
+              <h3>No rooms yet</h3>
+              <p>Add the rooms of your home, then tag photos with a room when uploading</p>
+            </div>
+          ) : (
+            <div className="room-grid">
+              {rooms.map(room => {
+                const Icon = ROOM_ICONS[room.kind] || FaHome;
+                const risk = room.currentRisk || 'unscanned';
+
+                return (
+                  <button
+                    key={room.id}
+                    type="button"
+                    className={`room-tile room-risk-${risk}`}
+                    onClick={() => openRoom(room.id)}
+                  >
+                    <div className="room-tile-header">
+                      <Icon className="room-icon" />
+                      <span className="room-name">{room.name}</span>
+                    </div>
+                    <div className="room-risk-label">
+                      {risk === 'unscanned' ? 'Not scanned yet' : risk === 'none' ? 'Safe' : risk.toUpperCase()}
+                    </div>
+                    <p className="room-meta">
+                      {room.summary.imageCount} {room.summary.imageCount === 1 ? 'photo' : 'photos'}
+                      {room.summary.lastImageAt && ` · last ${formatDate(room.summary.lastImageAt)}`}
+                    </p>
+                    {room.outstanding.length > 0 && (
+                      <ul className="room-hazards">
+                        {room.outstanding.slice(0, 4).map(item => (
+                          <li key={item.id} className={`room-hazard-${item.riskLevel}`}>
+                            {formatHazard(item.hazardName)}
+                          </li>
+                        ))}
+                        {room.outstanding.length > 4 && (
+                          <li>+{room.outstanding.length - 4} more</li>
+                        )}
+                      </ul>
+                    )}
+                  </button>
+                );
+              })}
+            </div>
+          )}
+
+          {selectedRoom && (
+            <div className="room-detail">
+              <div className="room-detail-header">
+                <h2>{selectedRoom.room.name}</h2>
+                <div className="room-detail-actions">
+                  {canEdit && (
+                    <button
+                      className="btn btn-danger"
+                      onClick={() => deleteRoom(selectedRoom.room)}
+                      title="Delete room"
+                    >
+                      <FaTrash />
+                    </button>
+                  )}
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => setSelectedRoom(null)}
+                    title="Close"
+                  >
+                    <FaTimes />
+                  </button>
+                </div>
+              </div>
+
+              <p className="room-meta">
+                {formatKind(selectedRoom.room.kind)} · {selectedRoom.summary.imageCount} photos ·{' '}
+                {selectedRoom.summary.statusCounts.completed} analyzed
+              </p>
+
+              {selectedRoom.summary.hazards.length === 0 ? (
+                <p className="room-clear">No hazards found in this room's photos</p>
+              ) : (
+                <table className="room-hazard-table">
+                  <thead>
+                    <tr>
+                      <th>Hazard</th>
+                      <th>Risk</th>
+                      <th>Photos</th>
+                      <th>Last seen</th>
+                      <th>Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {selectedRoom.summary.hazards.map(hazard => {
+                      const item = selectedRoom.hazardItems.find(i => i.hazardName === hazard.name);
+
+                      return (
+                        <tr key={hazard.name}>
+                          <td>
+                            <strong>{formatHazard(hazard.name)}</strong>
+                            <span className="hazard-description">{hazard.description}</span>
+                          </td>
+                          <td className={`room-hazard-${hazard.riskLevel}`}>{hazard.riskLevel}</td>
+                          <td>{hazard.imageCount}</td>
+                          <td>{hazard.lastSeenAt ? formatDate(hazard.lastSeenAt) : '-'}</td>
+                          <td className={item ? `room-item-${item.status}` : ''}>
+                            {item ? formatItemStatus(item) : '-'}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+        </motion.div>
+      </div>
+    </div>
+  );
+};
+
+export default HomeMap;
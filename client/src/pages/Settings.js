@@ -0,0 +1,724 @@
+import React, { useState, useEffect } from 'react';
+import {
+  FaCog, FaPlus, FaUndo, FaTrash, FaSpinner, FaEdit, FaChild, FaDesktop, FaSignOutAlt,
+  FaHome, FaUserPlus
+} from 'react-icons/fa';
+import { motion } from 'framer-motion';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import API_BASE_URL from '../config';
+import { useAuth } from '../contexts/AuthContext';
+import RetentionSettings from '../components/RetentionSettings';
+import './Settings.css';
+
+const emptyCustomHazard = {
+  label: '',
+  risk: 'medium',
+  description: '',
+  category: 'custom'
+};
+
+const emptyChild = {
+  id: null,
+  name: '',
+  birthDate: '',
+  developmentalNotes: '',
+  canSwim: false
+};
+
+const Settings = () => {
+  const [hazards, setHazards] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [riskLevels, setRiskLevels] = useState(['low', 'medium', 'high']);
+  const [loading, setLoading] = useState(false);
+  const [customHazard, setCustomHazard] = useState(emptyCustomHazard);
+  const [children, setChildren] = useState([]);
+  const [childForm, setChildForm] = useState(emptyChild);
+  const [sessions, setSessions] = useState([]);
+  const [householdData, setHouseholdData] = useState(null);
+  const [householdName, setHouseholdName] = useState('');
+  const [inviteRole, setInviteRole] = useState('caregiver');
+  const [joinCode, setJoinCode] = useState('');
+  const { logout, household, refreshHousehold, switchHousehold } = useAuth();
+  const householdId = household?.id;
+  const isOwner = household?.role === 'owner';
+
+  useEffect(() => {
+    fetchHazards();
+    fetchSessions();
+  }, []);
+
+  // Children and members belong to the active household
+  useEffect(() => {
+    fetchChildren();
+    fetchHousehold();
+  }, [householdId]);
+
+  const fetchHousehold = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/households`);
+      setHouseholdData(response.data);
+      setHouseholdName(response.data.household.name);
+    } catch (error) {
+      console.error('Error fetching household:', error);
+      toast.error('Failed to load household');
+    }
+  };
+
+  // After changes that affect the active household, update it app-wide too
+  const reloadHousehold = () => {
+    fetchHousehold();
+    refreshHousehold();
+  };
+
+  const renameHousehold = async (e) => {
+    e.preventDefault();
+
+    try {
+      await axios.put(`${API_BASE_URL}/api/households`, { name: householdName });
+      toast.success('Household renamed');
+      reloadHousehold();
+    } catch (error) {
+      console.error('Rename household error:', error);
+      toast.error(error.response?.data?.error || 'Failed to rename household');
+    }
+  };
+
+  const createInvite = async () => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/households/invites`, { role: inviteRole });
+      toast.success(`Invite code ${response.data.invite.code} created`);
+      fetchHousehold();
+    } catch (error) {
+      console.error('Create invite error:', error);
+      toast.error(error.response?.data?.error || 'Failed to create invite');
+    }
+  };
+
+  const cancelInvite = async (invite) => {
+    try {
+      await axios.delete(`${API_BASE_URL}/api/households/invites/${invite.id}`);
+      toast.success('Invite cancelled');
+      fetchHousehold();
+    } catch (error) {
+      console.error('Cancel invite error:', error);
+      toast.error(error.response?.data?.error || 'Failed to cancel invite');
+    }
+  };
+
+  const joinHousehold = async (e) => {
+    e.preventDefault();
+
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/households/join`, { code: joinCode });
+      toast.success(response.data.message);
+      setJoinCode('');
+      reloadHousehold();
+    } catch (error) {
+      console.error('Join household error:', error);
+      toast.error(error.response?.data?.error || 'Failed to join household');
+    }
+  };
+
+  const updateMemberRole = async (member, role) => {
+    try {
+      await axios.put(`${API_BASE_URL}/api/households/members/${member.userId}`, { role });
+      toast.success(`${member.username} is now a ${role}`);
+      reloadHousehold();
+    } catch (error) {
+      console.error('Update member error:', error);
+      toast.error(error.response?.data?.error || 'Failed to update member');
+    }
+  };
+
+  const removeMember = async (member) => {
+    try {
+      const response = await axios.delete(`${API_BASE_URL}/api/households/members/${member.userId}`);
+      toast.success(response.data.message);
+      reloadHousehold();
+    } catch (error) {
+      console.error('Remove member error:', error);
+      toast.error(error.response?.data?.error || 'Failed to remove member');
+    }
+  };
+
+  const fetchSessions = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/auth/sessions`);
+      setSessions(response.data.sessions || []);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      toast.error('Failed to load sessions');
+    }
+  };
+
+  const revokeSession = async (session) => {
+    if (session.current) {
+      logout();
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_BASE_URL}/api/auth/sessions/${session.id}`);
+      toast.success(`Signed out ${session.device}`);
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      toast.error(error.response?.data?.error || 'Failed to revoke session');
+    }
+  };
+
+  const fetchChildren = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/children`);
+      setChildren(response.data.children || []);
+    } catch (error) {
+      console.error('Error fetching children:', error);
+      toast.error('Failed to load children');
+    }
+  };
+
+  const saveChild = async (e) => {
+    e.preventDefault();
+
+    const { id, ...payload } = childForm;
+
+    try {
+      if (id) {
+        await axios.put(`${API_BASE_URL}/api/children/${id}`, payload);
+        toast.success(`${payload.name} updated`);
+      } else {
+        await axios.post(`${API_BASE_URL}/api/children`, payload);
+        toast.success(`${payload.name} added`);
+      }
+      setChildForm(emptyChild);
+      fetchChildren();
+    } catch (error) {
+      console.error('Save child error:', error);
+      toast.error(error.response?.data?.error || 'Failed to save child');
+    }
+  };
+
+  const editChild = (child) => {
+    setChildForm({
+      id: child.id,
+      name: child.name,
+      birthDate: child.birthDate,
+      developmentalNotes: child.developmentalNotes || '',
+      canSwim: child.canSwim
+    });
+  };
+
+  const deleteChild = async (child) => {
+    try {
+      await axios.delete(`${API_BASE_URL}/api/children/${child.id}`);
+      toast.success(`${child.name} removed`);
+      setChildren(prev => prev.filter(c => c.id !== child.id));
+    } catch (error) {
+      console.error('Delete child error:', error);
+      toast.error(error.response?.data?.error || 'Failed to remove child');
+    }
+  };
+
+  const fetchHazards = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/api/hazards`);
+      setHazards(response.data.hazards || []);
+      setCategories(response.data.categories || []);
+      setRiskLevels(response.data.riskLevels || ['low', 'medium', 'high']);
+    } catch (error) {
+      console.error('Error fetching hazards:', error);
+      toast.error('Failed to load hazard settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateHazard = async (label, changes) => {
+    try {
+      const response = await axios.put(`${API_BASE_URL}/api/hazards/${label}`, changes);
+      setHazards(prev => prev.map(hazard => (
+        hazard.label === label
+          ? { ...hazard, ...response.data.hazard, overridden: !hazard.custom }
+          : hazard
+      )));
+    } catch (error) {
+      console.error('Update hazard error:', error);
+      toast.error(error.response?.data?.error || 'Failed to update hazard');
+    }
+  };
+
+  const resetHazard = async (hazard) => {
+    try {
+      await axios.delete(`${API_BASE_URL}/api/hazards/${hazard.label}`);
+      toast.success(hazard.custom ? 'Custom hazard deleted' : 'Hazard reset to default');
+      fetchHazards();
+    } catch (error) {
+      console.error('Reset hazard error:', error);
+      toast.error(error.response?.data?.error || 'Failed to reset hazard');
+    }
+  };
+
+  const toggleCategory = async (category) => {
+    try {
+      const response = await axios.put(
+        `${API_BASE_URL}/api/hazards/categories/${category.name}`,
+        { disabled: !category.disabled }
+      );
+      setCategories(prev => prev.map(c => (
+        c.name === category.name ? response.data.category : c
+      )));
+    } catch (error) {
+      console.error('Toggle category error:', error);
+      toast.error(error.response?.data?.error || 'Failed to update category');
+    }
+  };
+
+  const addCustomHazard = async (e) => {
+    e.preventDefault();
+
+    try {
+      await axios.post(`${API_BASE_URL}/api/hazards`, customHazard);
+      toast.success('Custom hazard added');
+      setCustomHazard(emptyCustomHazard);
+      fetchHazards();
+    } catch (error) {
+      console.error('Add hazard error:', error);
+      toast.error(error.response?.data?.error || 'Failed to add hazard');
+    }
+  };
+
+  const isCategoryDisabled = (name) => {
+    return categories.find(c => c.name === name)?.disabled || false;
+  };
+
+  const formatLabel = (label) => label.replace(/_/g, ' ');
+
+  return (
+    <div className="settings">
+      <div className="container">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.6 }}
+        >
+          <div className="settings-header">
+            <h1>Settings</h1>
+            <p>Tune which hazards matter for your family and how serious they are</p>
+          </div>
+
+          {loading ? (
+            <div className="loading-container">
+              <FaSpinner className="loading-spinner" />
+              <span>Loading settings...</span>
+            </div>
+          ) : (
+            <>
+              {/* Household */}
+              {householdData && (
+                <div className="settings-section">
+                  <h2>Household</h2>
+                  <p className="section-hint">
+                    Everyone in a household shares its images, analyses and children.
+                    Owners manage members, caregivers upload and analyze, viewers can only look.
+                  </p>
+
+                  <div className="household-header">
+                    {isOwner ? (
+                      <form className="household-name-form" onSubmit={renameHousehold}>
+                        <input
+                          className="input"
+                          value={householdName}
+                          onChange={(e) => setHouseholdName(e.target.value)}
+                          required
+                        />
+                        <button type="submit" className="btn btn-secondary">Rename</button>
+                      </form>
+                    ) : (
+                      <span className="household-name"><FaHome /> {householdData.household.name}</span>
+                    )}
+                    <span className="hazard-badge">Your role: {household?.role}</span>
+                    {householdData.households.length > 1 && (
+                      <select
+                        className="input household-switch"
+                        value={householdId || ''}
+                        onChange={(e) => switchHousehold(parseInt(e.target.value))}
+                      >
+                        {householdData.households.map(h => (
+                          <option key={h.id} value={h.id}>{h.name} ({h.role})</option>
+                        ))}
+                      </select>
+                    )}
+                  </div>
+
+                  <div className="member-list">
+                    {householdData.members.map((member) => (
+                      <div key={member.userId} className="member-item">
+                        <span className="member-name">
+                          {member.username}
+                          {member.isYou && <span className="hazard-badge">You</span>}
+                        </span>
+                        {isOwner ? (
+                          <select
+                            className="input"
+                            value={member.role}
+                            onChange={(e) => updateMemberRole(member, e.target.value)}
+                          >
+                            {householdData.roles.map(role => (
+                              <option key={role} value={role}>{role}</option>
+                            ))}
+                          </select>
+                        ) : (
+                          <span className="member-role">{member.role}</span>
+                        )}
+                        {(isOwner || member.isYou) && (
+                          <button
+                            className="btn btn-secondary icon-btn"
+                            title={member.isYou ? 'Leave household' : 'Remove member'}
+                            onClick={() => removeMember(member)}
+                          >
+                            {member.isYou ? <FaSignOutAlt /> : <FaTrash />}
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+
+                  {isOwner && (
+                    <div className="invite-section">
+                      <h3>Invite someone</h3>
+                      <p className="section-hint">
+                        Share the code in person or by message - it works once and expires after a week
+                      </p>
+                      <div className="invite-form">
+                        <select
+                          className="input"
+                          value={inviteRole}
+                          onChange={(e) => setInviteRole(e.target.value)}
+                        >
+                          {householdData.roles.map(role => (
+                            <option key={role} value={role}>{role}</option>
+                          ))}
+                        </select>
+                        <button className="btn btn-primary" onClick={createInvite}>
+                          <FaUserPlus />
+                          Create invite code
+                        </button>
+                      </div>
+                      {householdData.invites.map((invite) => (
+                        <div key={invite.id} className="invite-item">
+                          <code className="invite-code">{invite.code}</code>
+                          <span className="member-role">{invite.role}</span>
+                          <span className="session-meta">
+                            Expires {new Date(invite.expiresAt).toLocaleDateString()}
+                          </span>
+                          <button
+                            className="btn btn-secondary icon-btn"
+                            title="Cancel invite"
+                            onClick={() => cancelInvite(invite)}
+                          >
+                            <FaTrash />
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  <form className="join-form" onSubmit={joinHousehold}>
+                    <input
+                      className="input"
+                      placeholder="Have an invite code? Enter it here"
+                      value={joinCode}
+                      onChange={(e) => setJoinCode(e.target.value)}
+                      required
+                    />
+                    <button type="submit" className="btn btn-secondary">Join</button>
+                  </form>
+                </div>
+              )}
+
+              {/* Data retention */}
+              {householdData && (
+                <div className="settings-section">
+                  <h2>Data Retention</h2>
+                  <p className="section-hint">
+                    How long {householdData.household.name} keeps analyzed images. The policy is applied on a schedule (daily by default)
+                    {isOwner ? '; preview it to see what it would remove before saving.' : ' and can be changed by owners.'}
+                  </p>
+                  <RetentionSettings householdId={householdId} canEdit={isOwner} />
+                </div>
+              )}
+
+              {/* Children */}
+              <div className="settings-section">
+                <h2>Children</h2>
+                <p className="section-hint">
+                  Hazards are weighted by age - choking hazards count more under 3,
+                  water hazards count more for non-swimmers
+                </p>
+
+                {children.length === 0 ? (
+                  <p className="no-children">
+                    <FaChild /> No children added yet
+                  </p>
+                ) : (
+                  <div className="children-list">
+                    {children.map((child) => (
+                      <div key={child.id} className="child-item">
+                        <div className="child-details">
+                          <span className="child-name">{child.name}</span>
+                          <span className="child-meta">
+                            {child.ageBandLabel} · born {child.birthDate}
+                            {child.canSwim ? ' · swimmer' : ' · non-swimmer'}
+                          </span>
+                          {child.developmentalNotes && (
+                            <span className="child-notes">{child.developmentalNotes}</span>
+                          )}
+                        </div>
+                        <div className="child-actions">
+                          <button
+                            className="btn btn-secondary icon-btn"
+                            onClick={() => editChild(child)}
+                            title="Edit"
+                          >
+                            <FaEdit />
+                          </button>
+                          <button
+                            className="btn btn-danger icon-btn"
+                            onClick={() => deleteChild(child)}
+                            title="Remove"
+                          >
+                            <FaTrash />
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                <form className="child-form" onSubmit={saveChild}>
+                  <input
+                    className="input"
+                    placeholder="Name"
+                    value={childForm.name}
+                    onChange={(e) => setChildForm({ ...childForm, name: e.target.value })}
+                    required
+                  />
+                  <input
+                    className="input"
+                    type="date"
+                    value={childForm.birthDate}
+                    onChange={(e) => setChildForm({ ...childForm, birthDate: e.target.value })}
+                    required
+                  />
+                  <label className="swim-toggle">
+                    <input
+                      type="checkbox"
+                      checked={childForm.canSwim}
+                      onChange={(e) => setChildForm({ ...childForm, canSwim: e.target.checked })}
+                    />
+                    <span>Can swim</span>
+                  </label>
+                  <input
+                    className="input child-notes-input"
+                    placeholder="Developmental notes (optional)"
+                    value={childForm.developmentalNotes}
+                    onChange={(e) => setChildForm({ ...childForm, developmentalNotes: e.target.value })}
+                  />
+                  <div className="child-form-actions">
+                    <button type="submit" className="btn btn-primary">
+                      {childForm.id ? <FaEdit /> : <FaPlus />}
+                      {childForm.id ? 'Save' : 'Add Child'}
+                    </button>
+                    {childForm.id && (
+                      <button
+                        type="button"
+                        className="btn btn-secondary"
+                        onClick={() => setChildForm(emptyChild)}
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </div>
+                </form>
+              </div>
+
+              {/* Hazard Categories */}
+              <div className="settings-section">
+                <h2>Hazard Categories</h2>
+                <p className="section-hint">
+                  Disabled categories are ignored when your images are scored
+                </p>
+                <div className="category-toggles">
+                  {categories.map((category) => (
+                    <label
+                      key={category.name}
+                      className={`category-toggle ${category.disabled ? 'disabled' : ''}`}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={!category.disabled}
+                        onChange={() => toggleCategory(category)}
+                      />
+                      <span>{category.title}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              {/* Hazard Catalogue */}
+              <div className="settings-section">
+                <h2>Hazard Catalogue</h2>
+                <div className="hazard-table">
+                  <div className="hazard-row hazard-row-header">
+                    <span>Enabled</span>
+                    <span>Hazard</span>
+                    <span>Risk Level</span>
+                    <span>Description</span>
+                    <span></span>
+                  </div>
+                  {hazards.map((hazard) => (
+                    <div
+                      key={hazard.label}
+                      className={`hazard-row ${
+                        hazard.disabled || isCategoryDisabled(hazard.category) ? 'disabled' : ''
+                      }`}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={!hazard.disabled}
+                        onChange={() => updateHazard(hazard.label, { disabled: !hazard.disabled })}
+                      />
+                      <span className="hazard-label">
+                        {formatLabel(hazard.label)}
+                        {hazard.custom && <span className="hazard-badge">custom</span>}
+                      </span>
+                      <select
+                        className={`input risk-select risk-${hazard.risk}`}
+                        value={hazard.risk}
+                        onChange={(e) => updateHazard(hazard.label, { risk: e.target.value })}
+                      >
+                        {riskLevels.map(level => (
+                          <option key={level} value={level}>{level.toUpperCase()}</option>
+                        ))}
+                      </select>
+                      <input
+                        key={hazard.description}
+                        className="input"
+                        defaultValue={hazard.description}
+                        onBlur={(e) => {
+                          if (e.target.value !== hazard.description) {
+                            updateHazard(hazard.label, { description: e.target.value });
+                          }
+                        }}
+                      />
+                      {(hazard.custom || hazard.overridden) ? (
+                        <button
+                          className="btn btn-secondary icon-btn"
+                          onClick={() => resetHazard(hazard)}
+                          title={hazard.custom ? 'Delete custom hazard' : 'Reset to default'}
+                        >
+                          {hazard.custom ? <FaTrash /> : <FaUndo />}
+                        </button>
+                      ) : (
+                        <span></span>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {/* Custom Hazard */}
+              <div className="settings-section">
+                <h2>Add Custom Hazard</h2>
+                <p className="section-hint">
+                  Custom labels are scored when your detector reports them
+                </p>
+                <form className="custom-hazard-form" onSubmit={addCustomHazard}>
+                  <input
+                    className="input"
+                    placeholder="Label (e.g. baby_gate_open)"
+                    value={customHazard.label}
+                    onChange={(e) => setCustomHazard({ ...customHazard, label: e.target.value })}
+                    required
+                  />
+                  <select
+                    className="input"
+                    value={customHazard.risk}
+                    onChange={(e) => setCustomHazard({ ...customHazard, risk: e.target.value })}
+                  >
+                    {riskLevels.map(level => (
+                      <option key={level} value={level}>{level.toUpperCase()}</option>
+                    ))}
+                  </select>
+                  <select
+                    className="input"
+                    value={customHazard.category}
+                    onChange={(e) => setCustomHazard({ ...customHazard, category: e.target.value })}
+                  >
+                    {categories.map(category => (
+                      <option key={category.name} value={category.name}>{category.title}</option>
+                    ))}
+                  </select>
+                  <input
+                    className="input"
+                    placeholder="Description"
+                    value={customHazard.description}
+                    onChange={(e) => setCustomHazard({ ...customHazard, description: e.target.value })}
+                    required
+                  />
+                  <button type="submit" className="btn btn-primary">
+                    <FaPlus />
+                    Add
+                  </button>
+                </form>
+              </div>
+
+              {/* Sessions */}
+              <div className="settings-section">
+                <h2>Active Sessions</h2>
+                <p className="section-hint">
+                  Devices signed in to your account - sign out any you don't recognise
+                </p>
+                <div className="session-list">
+                  {sessions.map((session) => (
+                    <div key={session.id} className="session-item">
+                      <FaDesktop className="session-icon" />
+                      <div className="session-details">
+                        <span className="session-device">
+                          {session.device}
+                          {session.current && <span className="hazard-badge">This device</span>}
+                        </span>
+                        <span className="session-meta">
+                          {session.ipAddress && `${session.ipAddress} · `}
+                          Last active {new Date(session.lastUsedAt).toLocaleString()}
+                        </span>
+                      </div>
+                      <button
+                        className="btn btn-secondary icon-btn"
+                        title={session.current ? 'Log out' : 'Sign out this device'}
+                        onClick={() => revokeSession(session)}
+                      >
+                        <FaSignOutAlt />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </>
+          )}
+
+          {!loading && hazards.length === 0 && (
+            <div className="empty-state">
+              <FaCog className="empty-icon" />
+              <h3>No hazard settings available</h3>
+            </div>
+          )}
+        </motion.div>
+      </div>
+    </div>
+  );
+};
+
+export default Settings;
@@ -1,21 +1,65 @@
+import axios from 'axios';
 import API_BASE_URL from '../config';
 
 /**
- * Get the full URL for an image
- * @param {string} filename - The image filename
- * @returns {string} - The full URL to the image
+ * Get the full URL for one of an image's files. The API signs these URLs so
+ * they load in <img> tags without an Authorization header; they expire after
+ * a while and come fresh with each fetch of the image.
+ * @param {Object} image - The image from the API, with its `urls`
+ * @param {string} variant - 'original', or the 'small' or 'medium' derivative
+ * @returns {string} - The full URL to the image, or '' if there is none
  */
-export const getImageUrl = (filename) => {
-  if (!filename) return '';
-  
-  // If it's already a full URL, return as is
-  if (filename.startsWith('http://') || filename.startsWith('https://')) {
-    return filename;
+export const getImageUrl = (image, variant = 'original') => {
+  const url = image?.urls?.[variant];
+  return url ? `${API_BASE_URL}${url}` : '';
+};
+
+/**
+ * Get fresh signed URLs for an image that failed to load, in case its URLs
+ * expired while the page was open. URLs signed in the same window are
+ * identical, so getting the same ones back means the image failed for some
+ * other reason and loading it again won't help.
+ * @param {Object} image - The image from the API, with its `urls`
+ * @returns {Promise<Object|null>} - The new `urls`, or null if unchanged or
+ * they couldn't be fetched
+ */
+export const resignImageUrls = async (image) => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/api/images/${image.id}/urls`);
+    const { urls } = response.data;
+    return urls.original === image.urls?.original ? null : urls;
+  } catch (error) {
+    console.error('Failed to refresh image URLs:', error);
+    return null;
   }
-  
-  // Remove leading slash if present
-  const cleanFilename = filename.startsWith('/') ? filename.slice(1) : filename;
-  
-  // Construct the full URL
-  return `${API_BASE_URL}/${cleanFilename}`;
 };
+
+/**
+ * Inline style showing an image's blurred placeholder until it loads
+ * @param {string} placeholder - data URL from the API, if any
+ * @returns {Object|undefined} - Style for the preview container
+ */
+export const placeholderStyle = (placeholder) => (
+  placeholder ? { backgroundImage: `url(${placeholder})`, backgroundSize: 'cover', backgroundPosition: 'center' } : undefined
+);
+
+// What to tell the user for each upload rejection code from the API
+const UPLOAD_REJECTION_MESSAGES = {
+  UNSUPPORTED_TYPE: 'Only JPEG, PNG, GIF and WebP photos can be uploaded',
+  FILE_TOO_LARGE: 'The photo is larger than 10MB',
+  UNRECOGNIZED_FORMAT: "This file isn't a photo, even though it is named like one",
+  TYPE_MISMATCH: "The file's content doesn't match its file type; try re-saving the photo",
+  CORRUPT_IMAGE: 'The photo is damaged and could not be read',
+  DECOMPRESSION_BOMB: 'The photo is too large to process',
+  ACTIVE_CONTENT: 'The file contains web page or script content, which is not allowed',
+  POLYGLOT: 'Another file is hidden inside this photo, so it was blocked'
+};
+
+/**
+ * Friendly message for a rejected upload
+ * @param {Object} rejection - { code, error } from the API
+ * @returns {string} - Message to show the user
+ */
+export const describeUploadRejection = ({ code, error }) => (
+  UPLOAD_REJECTION_MESSAGES[code] || error || 'File not accepted'
+);
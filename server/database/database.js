@@ -1,144 +1,168 @@
 const path = require('path');
+const fs = require('fs');
 const bcrypt = require('bcryptjs');
 
-// For deployment, we'll use a simple in-memory database to avoid sqlite3 issues
-let useInMemoryDB = process.env.NODE_ENV === 'production';
+// Database file path (shared by both drivers - sql.js reads and writes the
+// same SQLite file format as the native driver)
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '../../data/alwaycare.db');
+
+// Ensure data directory exists before either driver opens the file
+const dataDir = path.dirname(dbPath);
+if (!fs.existsSync(dataDir)) {
+  fs.mkdirSync(dataDir, { recursive: true });
+}
+
+// Native sqlite3 is used in development when it is installed. Production (and
+// any machine without sqlite3) uses sql.js, a pure JS/WebAssembly build of
+// SQLite, persisted to dbPath - the native module caused deployment issues.
+let useEmbeddedDB = process.env.NODE_ENV === 'production' || process.env.DB_DRIVER === 'sqljs';
+
+// How long sql.js waits after a write before flushing the database to disk
+const PERSIST_DELAY_MS = parseInt(process.env.DB_PERSIST_DELAY_MS) || 200;
 
 let db;
-let inMemoryData = {
-  users: [],
-  image_records: [],
-  nextUserId: 1,
-  nextImageId: 1
-};
 
-if (!useInMemoryDB) {
+if (!useEmbeddedDB) {
   try {
     const sqlite3 = require('sqlite3').verbose();
-    db = new sqlite3.Database(path.join(__dirname, '../../data/alwaycare.db'));
+    db = new sqlite3.Database(dbPath);
   } catch (error) {
-    console.log('SQLite3 not available, using in-memory database');
-    useInMemoryDB = true;
+    console.log('SQLite3 not available, using embedded sql.js database');
+    useEmbeddedDB = true;
   }
 }
 
-// Database file path
-const dbPath = path.join(__dirname, '../../data/alwaycare.db');
+// sql.js state (only used when useEmbeddedDB is set)
+let embeddedDb = null;
+let embeddedReady = null;
+let persistTimer = null;
+let inTransaction = false;
 
-// Ensure data directory exists
-const dataDir = path.dirname(dbPath);
-const fs = require('fs');
-if (!fs.existsSync(dataDir)) {
-  fs.mkdirSync(dataDir, { recursive: true });
+/**
+ * Load sql.js and open the database file (created on first write if missing)
+ */
+function openEmbeddedDatabase() {
+  if (!embeddedReady) {
+    embeddedReady = (async () => {
+      const initSqlJs = require('sql.js');
+      const SQL = await initSqlJs();
+
+      embeddedDb = fs.existsSync(dbPath)
+        ? new SQL.Database(fs.readFileSync(dbPath))
+        : new SQL.Database();
+
+      return embeddedDb;
+    })();
+  }
+
+  return embeddedReady;
 }
 
-// Create database connection (only if not using in-memory DB)
-if (!useInMemoryDB && db) {
-  // db already created above in the try-catch block
+/**
+ * Write the sql.js database to disk atomically (temp file + rename)
+ */
+function persistEmbeddedDatabase() {
+  if (persistTimer) {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+  }
+
+  if (!embeddedDb) {
+    return;
+  }
+
+  // export() closes and reopens the database, which would end an open
+  // transaction - wait for it to commit instead
+  if (inTransaction) {
+    schedulePersist();
+    return;
+  }
+
+  const tempPath = `${dbPath}.tmp`;
+  fs.writeFileSync(tempPath, Buffer.from(embeddedDb.export()));
+  fs.renameSync(tempPath, dbPath);
+}
+
+function schedulePersist() {
+  if (!persistTimer) {
+    persistTimer = setTimeout(() => {
+      try {
+        persistEmbeddedDatabase();
+      } catch (error) {
+        console.error('Failed to persist database:', error);
+      }
+    }, PERSIST_DELAY_MS);
+  }
 }
 
-// Initialize database tables
+// Flush pending writes if the process exits between persists
+process.on('exit', () => {
+  if (persistTimer) {
+    persistEmbeddedDatabase();
+  }
+});
+
+// sql.js rejects undefined bind values; sqlite3 binds them as NULL
+function normalizeParams(params) {
+  return params.map(value => (value === undefined ? null : value));
+}
+
+/**
+ * Open the database and bring the schema up to date
+ * Pending migrations are only applied when AUTO_MIGRATE=true; otherwise the
+ * server refuses to start until `npm run migrate up` has been run.
+ */
 async function initDatabase() {
-  if (useInMemoryDB) {
-    // Initialize in-memory database
-    console.log('🗄️ Using in-memory database for production');
-    
-    // Create default admin user
+  if (useEmbeddedDB) {
+    await openEmbeddedDatabase();
+    console.log(`🗄️ Using embedded sql.js database (${dbPath})`);
+  }
+
+  // Required here rather than at the top - the migrator uses this module
+  const { getPendingMigrations, migrateUp } = require('./migrator');
+
+  const pending = await getPendingMigrations();
+  if (pending.length > 0) {
+    if (process.env.AUTO_MIGRATE !== 'true') {
+      const names = pending.map(m => `${String(m.version).padStart(3, '0')}_${m.name}`).join(', ');
+      throw new Error(
+        `Database has ${pending.length} pending migration(s): ${names}. ` +
+        'Run "npm run migrate up" or set AUTO_MIGRATE=true.'
+      );
+    }
+
+    await migrateUp();
+  }
+
+  // Create default admin user if it doesn't exist
+  const admin = await getQuery("SELECT id FROM users WHERE username = 'admin'");
+
+  if (!admin) {
     const defaultPassword = 'admin123';
     const hash = await bcrypt.hash(defaultPassword, 10);
-    
-    inMemoryData.users.push({
-      id: inMemoryData.nextUserId++,
-      username: 'admin',
-      email: 'admin@alwaycare.com',
-      password_hash: hash,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    });
-    
+
+    await runQuery(`
+      INSERT INTO users (username, email, password_hash)
+      VALUES (?, ?, ?)
+    `, ['admin', 'admin@alwaycare.com', hash]);
+
     console.log('✅ Default admin user created (username: admin, password: admin123)');
-    return Promise.resolve();
   }
-  
-  return new Promise((resolve, reject) => {
-    db.serialize(() => {
-      // Users table
-      db.run(`
-        CREATE TABLE IF NOT EXISTS users (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          username TEXT UNIQUE NOT NULL,
-          email TEXT UNIQUE NOT NULL,
-          password_hash TEXT NOT NULL,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-
-      // ImageRecords table
-      db.run(`
-        CREATE TABLE IF NOT EXISTS image_records (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          filename TEXT NOT NULL,
-          original_filename TEXT NOT NULL,
-          file_path TEXT NOT NULL,
-          upload_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-          user_id INTEGER,
-          analysis_status TEXT DEFAULT 'pending',
-          detected_objects TEXT,
-          risk_level TEXT,
-          risk_description TEXT,
-          confidence_scores TEXT,
-          FOREIGN KEY (user_id) REFERENCES users (id)
-        )
-      `);
-
-      // Create indexes for better performance
-      db.run(`CREATE INDEX IF NOT EXISTS idx_image_records_user_id ON image_records(user_id)`);
-      db.run(`CREATE INDEX IF NOT EXISTS idx_image_records_status ON image_records(analysis_status)`);
-      db.run(`CREATE INDEX IF NOT EXISTS idx_image_records_timestamp ON image_records(upload_timestamp)`);
-
-      // Create default admin user if it doesn't exist
-      db.get("SELECT id FROM users WHERE username = 'admin'", (err, row) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-        
-        if (!row) {
-          const defaultPassword = 'admin123';
-          bcrypt.hash(defaultPassword, 10, (err, hash) => {
-            if (err) {
-              reject(err);
-              return;
-            }
-            
-            db.run(`
-              INSERT INTO users (username, email, password_hash)
-              VALUES (?, ?, ?)
-            `, ['admin', 'admin@alwaycare.com', hash], (err) => {
-              if (err) {
-                reject(err);
-              } else {
-                console.log('✅ Default admin user created (username: admin, password: admin123)');
-                resolve();
-              }
-            });
-          });
-        } else {
-          resolve();
-        }
-      });
-    });
-  });
 }
 
 // Database utility functions
-function runQuery(sql, params = []) {
-  if (useInMemoryDB) {
-    // Simple in-memory implementation
-    return Promise.resolve({ id: Date.now(), changes: 1 });
+async function runQuery(sql, params = []) {
+  if (useEmbeddedDB) {
+    const database = await openEmbeddedDatabase();
+    database.run(sql, normalizeParams(params));
+
+    const changes = database.getRowsModified();
+    const [lastId] = database.exec('SELECT last_insert_rowid() AS id');
+    schedulePersist();
+
+    return { id: lastId ? lastId.values[0][0] : 0, changes };
   }
-  
+
   return new Promise((resolve, reject) => {
     db.run(sql, params, function(err) {
       if (err) {
@@ -150,15 +174,19 @@ function runQuery(sql, params = []) {
   });
 }
 
-function getQuery(sql, params = []) {
-  if (useInMemoryDB) {
-    // Simple in-memory implementation
-    if (sql.includes('username = ?') && params[0] === 'admin') {
-      return Promise.resolve(inMemoryData.users.find(u => u.username === 'admin'));
+async function getQuery(sql, params = []) {
+  if (useEmbeddedDB) {
+    const database = await openEmbeddedDatabase();
+    const statement = database.prepare(sql);
+
+    try {
+      statement.bind(normalizeParams(params));
+      return statement.step() ? statement.getAsObject() : undefined;
+    } finally {
+      statement.free();
     }
-    return Promise.resolve(null);
   }
-  
+
   return new Promise((resolve, reject) => {
     db.get(sql, params, (err, row) => {
       if (err) {
@@ -170,12 +198,23 @@ function getQuery(sql, params = []) {
   });
 }
 
-function allQuery(sql, params = []) {
-  if (useInMemoryDB) {
-    // Simple in-memory implementation
-    return Promise.resolve([]);
+async function allQuery(sql, params = []) {
+  if (useEmbeddedDB) {
+    const database = await openEmbeddedDatabase();
+    const statement = database.prepare(sql);
+    const rows = [];
+
+    try {
+      statement.bind(normalizeParams(params));
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+      return rows;
+    } finally {
+      statement.free();
+    }
   }
-  
+
   return new Promise((resolve, reject) => {
     db.all(sql, params, (err, rows) => {
       if (err) {
@@ -187,12 +226,37 @@ function allQuery(sql, params = []) {
   });
 }
 
+/**
+ * Run work inside a transaction, rolling back if it throws
+ */
+async function withTransaction(work) {
+  await runQuery('BEGIN');
+  inTransaction = true;
+
+  try {
+    const result = await work();
+    await runQuery('COMMIT');
+    return result;
+  } catch (error) {
+    await runQuery('ROLLBACK');
+    throw error;
+  } finally {
+    inTransaction = false;
+  }
+}
+
 // Close database connection
 function closeDatabase() {
-  if (useInMemoryDB) {
+  if (useEmbeddedDB) {
+    if (embeddedDb) {
+      persistEmbeddedDatabase();
+      embeddedDb.close();
+      embeddedDb = null;
+      embeddedReady = null;
+    }
     return Promise.resolve();
   }
-  
+
   return new Promise((resolve, reject) => {
     if (db) {
       db.close((err) => {
@@ -214,5 +278,6 @@ module.exports = {
   runQuery,
   getQuery,
   allQuery,
+  withTransaction,
   closeDatabase
 };
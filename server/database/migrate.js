@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Schema migration CLI
+ *
+ * Usage: node server/database/migrate.js <status|up|down|redo> [count]
+ *   status       List migrations and whether they are applied
+ *   up [to]      Apply pending migrations (optionally up to version <to>)
+ *   down [n]     Revert the last <n> applied migrations (default 1)
+ *   redo         Revert and re-apply the latest migration
+ */
+require('dotenv').config();
+
+const { closeDatabase } = require('./database');
+const { getMigrationStatus, migrateUp, migrateDown, migrateRedo } = require('./migrator');
+
+const USAGE = 'Usage: node server/database/migrate.js <status|up|down|redo> [count]';
+
+async function printStatus() {
+  const status = await getMigrationStatus();
+
+  if (status.length === 0) {
+    console.log('No migrations found');
+    return;
+  }
+
+  status.forEach(({ version, name, applied, appliedAt }) => {
+    const state = applied ? `applied ${appliedAt}` : 'pending';
+    console.log(`${applied ? '✅' : '⏳'} ${String(version).padStart(3, '0')}_${name}  (${state})`);
+  });
+}
+
+async function main([command = 'status', argument]) {
+  const count = argument !== undefined ? parseInt(argument, 10) : undefined;
+  if (argument !== undefined && (isNaN(count) || count < 1)) {
+    throw new Error(`Invalid count "${argument}"\n${USAGE}`);
+  }
+
+  switch (command) {
+    case 'status':
+      await printStatus();
+      break;
+    case 'up': {
+      const applied = await migrateUp(count ? { to: count } : {});
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : 'Database is up to date');
+      break;
+    }
+    case 'down': {
+      const reverted = await migrateDown({ steps: count || 1 });
+      console.log(reverted.length ? `✅ Reverted ${reverted.length} migration(s)` : 'No migrations to revert');
+      break;
+    }
+    case 'redo': {
+      const applied = await migrateRedo();
+      console.log(applied.length ? '✅ Redid latest migration' : 'No migrations to redo');
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}"\n${USAGE}`);
+  }
+}
+
+main(process.argv.slice(2))
+  .then(() => closeDatabase())
+  .catch(async (error) => {
+    console.error('❌ Migration failed:', error.message);
+    await closeDatabase();
+    process.exit(1);
+  });
@@ -0,0 +1,44 @@
+/**
+ * Users and image records - the schema initDatabase created before
+ * migrations existed. IF NOT EXISTS lets older databases adopt it as-is.
+ */
+module.exports = {
+  async up({ runQuery }) {
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL,
+        email TEXT UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS image_records (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        filename TEXT NOT NULL,
+        original_filename TEXT NOT NULL,
+        file_path TEXT NOT NULL,
+        upload_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        user_id INTEGER,
+        analysis_status TEXT DEFAULT 'pending',
+        detected_objects TEXT,
+        risk_level TEXT,
+        risk_description TEXT,
+        confidence_scores TEXT,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )
+    `);
+
+    await runQuery(`CREATE INDEX IF NOT EXISTS idx_image_records_user_id ON image_records(user_id)`);
+    await runQuery(`CREATE INDEX IF NOT EXISTS idx_image_records_status ON image_records(analysis_status)`);
+    await runQuery(`CREATE INDEX IF NOT EXISTS idx_image_records_timestamp ON image_records(upload_timestamp)`);
+  },
+
+  async down({ runQuery }) {
+    await runQuery('DROP TABLE IF EXISTS image_records');
+    await runQuery('DROP TABLE IF EXISTS users');
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * Parsed image metadata and the simulation seed used for each analysis
+ */
+module.exports = {
+  async up({ addColumn }) {
+    await addColumn('image_records', 'image_info', 'TEXT');
+    await addColumn('image_records', 'simulation_seed', 'TEXT');
+  },
+
+  async down({ dropColumn }) {
+    await dropColumn('image_records', 'simulation_seed');
+    await dropColumn('image_records', 'image_info');
+  }
+};
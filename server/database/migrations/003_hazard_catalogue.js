@@ -0,0 +1,38 @@
+/**
+ * Per-user hazard overrides, custom labels and category toggles
+ */
+module.exports = {
+  async up({ runQuery }) {
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS hazard_overrides (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        label TEXT NOT NULL,
+        risk TEXT,
+        description TEXT,
+        category TEXT,
+        disabled INTEGER DEFAULT 0,
+        is_custom INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, label),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )
+    `);
+
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS hazard_category_settings (
+        user_id INTEGER NOT NULL,
+        category TEXT NOT NULL,
+        disabled INTEGER DEFAULT 0,
+        PRIMARY KEY (user_id, category),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )
+    `);
+  },
+
+  async down({ runQuery }) {
+    await runQuery('DROP TABLE IF EXISTS hazard_category_settings');
+    await runQuery('DROP TABLE IF EXISTS hazard_overrides');
+  }
+};
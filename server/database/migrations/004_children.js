@@ -0,0 +1,32 @@
+/**
+ * Child profiles and tagging images with the child they were taken for
+ */
+module.exports = {
+  async up({ runQuery, addColumn }) {
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS children (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        birth_date DATE NOT NULL,
+        developmental_notes TEXT,
+        can_swim INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )
+    `);
+
+    await addColumn('image_records', 'child_id', 'INTEGER REFERENCES children (id)');
+
+    await runQuery(`CREATE INDEX IF NOT EXISTS idx_image_records_child_id ON image_records(child_id)`);
+    await runQuery(`CREATE INDEX IF NOT EXISTS idx_children_user_id ON children(user_id)`);
+  },
+
+  async down({ runQuery, dropColumn }) {
+    await runQuery('DROP INDEX IF EXISTS idx_image_records_child_id');
+    await dropColumn('image_records', 'child_id');
+    await runQuery('DROP INDEX IF EXISTS idx_children_user_id');
+    await runQuery('DROP TABLE IF EXISTS children');
+  }
+};
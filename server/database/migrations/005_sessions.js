@@ -0,0 +1,29 @@
+/**
+ * Login sessions - one per device, holding the hash of its current refresh token
+ */
+module.exports = {
+  async up({ runQuery }) {
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        refresh_token_hash TEXT NOT NULL UNIQUE,
+        previous_token_hash TEXT,
+        user_agent TEXT,
+        ip_address TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )
+    `);
+
+    await runQuery(`CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id)`);
+    await runQuery(`CREATE INDEX IF NOT EXISTS idx_sessions_previous_token ON sessions(previous_token_hash)`);
+  },
+
+  async down({ runQuery }) {
+    await runQuery('DROP TABLE IF EXISTS sessions');
+  }
+};
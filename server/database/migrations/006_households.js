@@ -0,0 +1,95 @@
+/**
+ * Households - images and children belong to a household that several users
+ * share with owner / caregiver / viewer roles. Every existing user gets a
+ * household of their own holding their existing images and children.
+ */
+module.exports = {
+  async up({ runQuery, addColumn }) {
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS households (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users (id)
+      )
+    `);
+
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS household_members (
+        household_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        role TEXT NOT NULL DEFAULT 'viewer',
+        joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (household_id, user_id),
+        FOREIGN KEY (household_id) REFERENCES households (id),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )
+    `);
+
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS household_invites (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        household_id INTEGER NOT NULL,
+        code TEXT NOT NULL UNIQUE,
+        role TEXT NOT NULL,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        used_by INTEGER,
+        used_at DATETIME,
+        FOREIGN KEY (household_id) REFERENCES households (id),
+        FOREIGN KEY (created_by) REFERENCES users (id),
+        FOREIGN KEY (used_by) REFERENCES users (id)
+      )
+    `);
+
+    await addColumn('users', 'active_household_id', 'INTEGER REFERENCES households (id)');
+    await addColumn('image_records', 'household_id', 'INTEGER REFERENCES households (id)');
+    await addColumn('children', 'household_id', 'INTEGER REFERENCES households (id)');
+
+    // One household per existing user, owning what they already uploaded
+    await runQuery(`
+      INSERT INTO households (name, created_by)
+      SELECT username || '''s Home', id FROM users
+      WHERE id NOT IN (SELECT created_by FROM households WHERE created_by IS NOT NULL)
+    `);
+    await runQuery(`
+      INSERT OR IGNORE INTO household_members (household_id, user_id, role)
+      SELECT id, created_by, 'owner' FROM households
+    `);
+    await runQuery(`
+      UPDATE users SET active_household_id =
+        (SELECT id FROM households WHERE created_by = users.id)
+      WHERE active_household_id IS NULL
+    `);
+    await runQuery(`
+      UPDATE image_records SET household_id =
+        (SELECT id FROM households WHERE created_by = image_records.user_id)
+      WHERE household_id IS NULL
+    `);
+    await runQuery(`
+      UPDATE children SET household_id =
+        (SELECT id FROM households WHERE created_by = children.user_id)
+      WHERE household_id IS NULL
+    `);
+
+    await runQuery(`CREATE INDEX IF NOT EXISTS idx_household_members_user_id ON household_members(user_id)`);
+    await runQuery(`CREATE INDEX IF NOT EXISTS idx_image_records_household_id ON image_records(household_id)`);
+    await runQuery(`CREATE INDEX IF NOT EXISTS idx_children_household_id ON children(household_id)`);
+  },
+
+  async down({ runQuery, dropColumn }) {
+    await runQuery('DROP INDEX IF EXISTS idx_children_household_id');
+    await runQuery('DROP INDEX IF EXISTS idx_image_records_household_id');
+    await runQuery('DROP INDEX IF EXISTS idx_household_members_user_id');
+
+    await dropColumn('children', 'household_id');
+    await dropColumn('image_records', 'household_id');
+    await dropColumn('users', 'active_household_id');
+
+    await runQuery('DROP TABLE IF EXISTS household_invites');
+    await runQuery('DROP TABLE IF EXISTS household_members');
+    await runQuery('DROP TABLE IF EXISTS households');
+  }
+};
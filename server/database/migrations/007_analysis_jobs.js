@@ -0,0 +1,45 @@
+/**
+ * Durable analysis queue - one row per analysis run, claimed by workers with
+ * a lease (locked_until) so crashed runs become claimable again
+ */
+module.exports = {
+  async up({ runQuery }) {
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS analysis_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        image_id INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        attempts INTEGER DEFAULT 0,
+        worker_id TEXT,
+        claim_token TEXT,
+        locked_until DATETIME,
+        available_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME,
+        FOREIGN KEY (image_id) REFERENCES image_records (id)
+      )
+    `);
+
+    await runQuery(`CREATE INDEX IF NOT EXISTS idx_analysis_jobs_status ON analysis_jobs(status, available_at)`);
+
+    // At most one queued or running job per image
+    await runQuery(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_analysis_jobs_active_image
+      ON analysis_jobs(image_id) WHERE status IN ('queued', 'running')
+    `);
+
+    // Images the old poller had not finished with go onto the queue
+    await runQuery(`
+      INSERT OR IGNORE INTO analysis_jobs (image_id)
+      SELECT id FROM image_records WHERE analysis_status IN ('pending', 'processing')
+    `);
+    await runQuery(`
+      UPDATE image_records SET analysis_status = 'pending' WHERE analysis_status = 'processing'
+    `);
+  },
+
+  async down({ runQuery }) {
+    await runQuery('DROP TABLE IF EXISTS analysis_jobs');
+  }
+};
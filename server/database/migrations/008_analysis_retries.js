@@ -0,0 +1,26 @@
+/**
+ * Retry bookkeeping for failed analyses: attempt count, the last error and
+ * when the next automatic attempt is due
+ */
+module.exports = {
+  async up({ runQuery, addColumn }) {
+    await addColumn('image_records', 'analysis_attempts', 'INTEGER DEFAULT 0');
+    await addColumn('image_records', 'last_error', 'TEXT');
+    await addColumn('image_records', 'next_attempt_at', 'DATETIME');
+
+    // Images that already failed were tried once; they stay failed until re-queued
+    await runQuery(`
+      UPDATE image_records SET analysis_attempts = 1
+      WHERE analysis_status = 'failed' AND analysis_attempts = 0
+    `);
+  },
+
+  async down({ runQuery, dropColumn }) {
+    await runQuery(`
+      UPDATE image_records SET analysis_status = 'failed' WHERE analysis_status = 'dead'
+    `);
+    await dropColumn('image_records', 'next_attempt_at');
+    await dropColumn('image_records', 'last_error');
+    await dropColumn('image_records', 'analysis_attempts');
+  }
+};
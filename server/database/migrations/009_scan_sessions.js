@@ -0,0 +1,30 @@
+/**
+ * Scan sessions (albums) - a named group of images uploaded together
+ */
+module.exports = {
+  async up({ runQuery, addColumn }) {
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS scan_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        household_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        created_by INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (household_id) REFERENCES households (id),
+        FOREIGN KEY (created_by) REFERENCES users (id)
+      )
+    `);
+
+    await addColumn('image_records', 'scan_session_id', 'INTEGER REFERENCES scan_sessions (id)');
+
+    await runQuery(`CREATE INDEX IF NOT EXISTS idx_image_records_scan_session_id ON image_records(scan_session_id)`);
+    await runQuery(`CREATE INDEX IF NOT EXISTS idx_scan_sessions_household_id ON scan_sessions(household_id)`);
+  },
+
+  async down({ runQuery, dropColumn }) {
+    await runQuery('DROP INDEX IF EXISTS idx_image_records_scan_session_id');
+    await dropColumn('image_records', 'scan_session_id');
+    await runQuery('DROP INDEX IF EXISTS idx_scan_sessions_household_id');
+    await runQuery('DROP TABLE IF EXISTS scan_sessions');
+  }
+};
@@ -0,0 +1,30 @@
+/**
+ * Rooms (zones) of the home, and tagging images with where they were taken
+ */
+module.exports = {
+  async up({ runQuery, addColumn }) {
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS rooms (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        household_id INTEGER NOT NULL,
+        name TEXT NOT NULL COLLATE NOCASE,
+        kind TEXT NOT NULL DEFAULT 'other',
+        created_by INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (household_id, name),
+        FOREIGN KEY (household_id) REFERENCES households (id),
+        FOREIGN KEY (created_by) REFERENCES users (id)
+      )
+    `);
+
+    await addColumn('image_records', 'room_id', 'INTEGER REFERENCES rooms (id)');
+
+    await runQuery(`CREATE INDEX IF NOT EXISTS idx_image_records_room_id ON image_records(room_id)`);
+  },
+
+  async down({ runQuery, dropColumn }) {
+    await runQuery('DROP INDEX IF EXISTS idx_image_records_room_id');
+    await dropColumn('image_records', 'room_id');
+    await runQuery('DROP TABLE IF EXISTS rooms');
+  }
+};
@@ -0,0 +1,83 @@
+/**
+ * Remediation tracking - one item per hazard per room (or per image when the
+ * image has no room), with its state, notes and re-scan verification
+ */
+module.exports = {
+  async up({ runQuery, getQuery, allQuery }) {
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS hazard_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        household_id INTEGER NOT NULL,
+        room_id INTEGER,
+        hazard_name TEXT NOT NULL,
+        risk_level TEXT NOT NULL,
+        description TEXT,
+        status TEXT NOT NULL DEFAULT 'open',
+        notes TEXT,
+        first_image_id INTEGER,
+        last_image_id INTEGER,
+        first_seen_at DATETIME,
+        last_seen_at DATETIME,
+        resolved_at DATETIME,
+        resolved_by INTEGER,
+        verification TEXT,
+        verified_at DATETIME,
+        verification_image_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (household_id) REFERENCES households (id),
+        FOREIGN KEY (room_id) REFERENCES rooms (id)
+      )
+    `);
+
+    await runQuery(`CREATE INDEX IF NOT EXISTS idx_hazard_items_household ON hazard_items(household_id, status)`);
+    await runQuery(`CREATE INDEX IF NOT EXISTS idx_hazard_items_room ON hazard_items(room_id, hazard_name)`);
+
+    // Open an item for every hazard in the analyses done so far
+    const images = await allQuery(`
+      SELECT id, household_id, room_id, confidence_scores, upload_timestamp
+      FROM image_records
+      WHERE analysis_status = 'completed' AND household_id IS NOT NULL
+      ORDER BY upload_timestamp, id
+    `);
+
+    for (const image of images) {
+      const scores = image.confidence_scores ? JSON.parse(image.confidence_scores) : {};
+
+      for (const [name, score] of Object.entries(scores)) {
+        if (!score.riskLevel || score.riskLevel === 'none') {
+          continue;
+        }
+
+        const existing = image.room_id
+          ? await getQuery(
+            'SELECT id FROM hazard_items WHERE room_id = ? AND hazard_name = ?',
+            [image.room_id, name]
+          )
+          : null;
+
+        if (existing) {
+          await runQuery(
+            'UPDATE hazard_items SET last_image_id = ?, last_seen_at = ? WHERE id = ?',
+            [image.id, image.upload_timestamp, existing.id]
+          );
+        } else {
+          await runQuery(
+            `INSERT INTO hazard_items
+             (household_id, room_id, hazard_name, risk_level, description,
+              first_image_id, last_image_id, first_seen_at, last_seen_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              image.household_id, image.room_id, name, score.riskLevel, score.description,
+              image.id, image.id, image.upload_timestamp, image.upload_timestamp
+            ]
+          );
+        }
+      }
+    }
+  },
+
+  async down({ runQuery }) {
+    await runQuery('DROP TABLE IF EXISTS hazard_items');
+  }
+};
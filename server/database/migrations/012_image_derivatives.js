@@ -0,0 +1,15 @@
+/**
+ * Thumbnail derivatives (JSON by size) and the inline blurred placeholder.
+ * Existing images get theirs the first time a preview is requested.
+ */
+module.exports = {
+  async up({ addColumn }) {
+    await addColumn('image_records', 'derivatives', 'TEXT');
+    await addColumn('image_records', 'placeholder', 'TEXT');
+  },
+
+  async down({ dropColumn }) {
+    await dropColumn('image_records', 'placeholder');
+    await dropColumn('image_records', 'derivatives');
+  }
+};
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * SHA-256 content hashes for duplicate detection, and the detection cache
+ * keyed by content hash and detector version
+ */
+module.exports = {
+  async up({ runQuery, allQuery, addColumn }) {
+    await addColumn('image_records', 'content_hash', 'TEXT');
+    await addColumn('image_records', 'duplicate_of', 'INTEGER');
+    await runQuery(`CREATE INDEX IF NOT EXISTS idx_image_records_content_hash ON image_records(user_id, content_hash)`);
+
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS analysis_cache (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        content_hash TEXT NOT NULL,
+        detector TEXT NOT NULL,
+        detector_version TEXT NOT NULL,
+        seed TEXT NOT NULL DEFAULT '',
+        detected_objects TEXT NOT NULL,
+        hit_count INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (content_hash, detector, detector_version, seed)
+      )
+    `);
+
+    // Hash the files uploaded so far
+    const images = await allQuery('SELECT id, file_path FROM image_records WHERE content_hash IS NULL');
+
+    for (const image of images) {
+      if (!fs.existsSync(image.file_path)) {
+        continue;
+      }
+
+      const contentHash = crypto.createHash('sha256').update(fs.readFileSync(image.file_path)).digest('hex');
+      await runQuery('UPDATE image_records SET content_hash = ? WHERE id = ?', [contentHash, image.id]);
+    }
+  },
+
+  async down({ runQuery, dropColumn }) {
+    await runQuery('DROP TABLE IF EXISTS analysis_cache');
+    await runQuery('DROP INDEX IF EXISTS idx_image_records_content_hash');
+    await dropColumn('image_records', 'duplicate_of');
+    await dropColumn('image_records', 'content_hash');
+  }
+};
@@ -0,0 +1,17 @@
+/**
+ * Metadata kept from an upload's EXIF before it is scrubbed (orientation and,
+ * when the uploader opts in, capture time) and what was removed
+ */
+module.exports = {
+  async up({ addColumn }) {
+    await addColumn('image_records', 'orientation', 'INTEGER');
+    await addColumn('image_records', 'captured_at', 'TEXT');
+    await addColumn('image_records', 'metadata_removed', 'TEXT');
+  },
+
+  async down({ dropColumn }) {
+    await dropColumn('image_records', 'metadata_removed');
+    await dropColumn('image_records', 'captured_at');
+    await dropColumn('image_records', 'orientation');
+  }
+};
@@ -0,0 +1,30 @@
+/**
+ * Uploads rejected by content validation, with the reason code shown on the
+ * Dashboard
+ */
+module.exports = {
+  async up({ runQuery }) {
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS upload_rejections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        household_id INTEGER NOT NULL,
+        original_filename TEXT NOT NULL,
+        mime_type TEXT,
+        file_size INTEGER,
+        code TEXT NOT NULL,
+        error TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (household_id) REFERENCES households (id)
+      )
+    `);
+
+    await runQuery(`CREATE INDEX IF NOT EXISTS idx_upload_rejections_household ON upload_rejections(household_id, created_at)`);
+  },
+
+  async down({ runQuery }) {
+    await runQuery('DROP INDEX IF EXISTS idx_upload_rejections_household');
+    await runQuery('DROP TABLE IF EXISTS upload_rejections');
+  }
+};
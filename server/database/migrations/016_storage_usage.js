@@ -0,0 +1,25 @@
+const fs = require('fs');
+
+/**
+ * Stored size of each upload, for storage quotas and usage reporting
+ */
+module.exports = {
+  async up({ runQuery, allQuery, addColumn }) {
+    await addColumn('image_records', 'file_size', 'INTEGER NOT NULL DEFAULT 0');
+
+    // Measure the files uploaded so far
+    const images = await allQuery('SELECT id, file_path FROM image_records');
+
+    for (const image of images) {
+      if (!fs.existsSync(image.file_path)) {
+        continue;
+      }
+
+      await runQuery('UPDATE image_records SET file_size = ? WHERE id = ?', [fs.statSync(image.file_path).size, image.id]);
+    }
+  },
+
+  async down({ dropColumn }) {
+    await dropColumn('image_records', 'file_size');
+  }
+};
@@ -0,0 +1,41 @@
+/**
+ * Per-household retention policies, images whose original was removed by
+ * retention (keeping their results), and the audit log of what retention
+ * purged
+ */
+module.exports = {
+  async up({ runQuery, addColumn }) {
+    await addColumn('households', 'retention_policy', "TEXT NOT NULL DEFAULT 'forever'");
+    await addColumn('households', 'retention_days', 'INTEGER');
+    await addColumn('image_records', 'original_removed_at', 'DATETIME');
+
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS retention_purges (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        household_id INTEGER NOT NULL,
+        image_id INTEGER NOT NULL,
+        user_id INTEGER,
+        original_filename TEXT,
+        upload_timestamp DATETIME,
+        analysis_status TEXT,
+        risk_level TEXT,
+        file_size INTEGER,
+        action TEXT NOT NULL,
+        policy TEXT NOT NULL,
+        retention_days INTEGER,
+        purged_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (household_id) REFERENCES households (id)
+      )
+    `);
+
+    await runQuery(`CREATE INDEX IF NOT EXISTS idx_retention_purges_household ON retention_purges(household_id, purged_at)`);
+  },
+
+  async down({ runQuery, dropColumn }) {
+    await runQuery('DROP INDEX IF EXISTS idx_retention_purges_household');
+    await runQuery('DROP TABLE IF EXISTS retention_purges');
+    await dropColumn('image_records', 'original_removed_at');
+    await dropColumn('households', 'retention_days');
+    await dropColumn('households', 'retention_policy');
+  }
+};
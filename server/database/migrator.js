@@ -0,0 +1,167 @@
+const path = require('path');
+const fs = require('fs');
+const { runQuery, getQuery, allQuery, withTransaction } = require('./database');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Migration files are named <version>_<name>.js, e.g. 004_children.js
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Load migration modules from the migrations directory, ordered by version
+ */
+function loadMigrations(directory = MIGRATIONS_DIR) {
+  const seen = new Map();
+
+  return fs.readdirSync(directory)
+    .map(file => ({ file, match: MIGRATION_FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const version = parseInt(match[1], 10);
+
+      if (seen.has(version)) {
+        throw new Error(`Duplicate migration version ${version}: ${seen.get(version)} and ${file}`);
+      }
+      seen.set(version, file);
+
+      const migration = require(path.join(directory, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+
+      return { version, name: match[2], file, up: migration.up, down: migration.down };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable() {
+  await runQuery(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function columnExists(table, column) {
+  const columns = await allQuery(`PRAGMA table_info(${table})`);
+  return columns.some(info => info.name === column);
+}
+
+// Helpers handed to each migration's up()/down(). The column helpers are
+// idempotent so databases created before migrations existed can catch up.
+const migrationContext = {
+  runQuery,
+  getQuery,
+  allQuery,
+  columnExists,
+
+  async addColumn(table, column, definition) {
+    if (!(await columnExists(table, column))) {
+      await runQuery(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  },
+
+  async dropColumn(table, column) {
+    if (await columnExists(table, column)) {
+      await runQuery(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    }
+  }
+};
+
+/**
+ * Every known migration with whether (and when) it was applied
+ */
+async function getMigrationStatus() {
+  await ensureMigrationsTable();
+
+  const applied = await allQuery('SELECT version, applied_at FROM schema_migrations');
+  const appliedAt = new Map(applied.map(row => [row.version, row.applied_at]));
+
+  return loadMigrations().map(({ version, name }) => ({
+    version,
+    name,
+    applied: appliedAt.has(version),
+    appliedAt: appliedAt.get(version) || null
+  }));
+}
+
+async function getPendingMigrations() {
+  const status = await getMigrationStatus();
+  return status.filter(migration => !migration.applied);
+}
+
+/**
+ * Apply pending migrations in order, each in its own transaction
+ * @returns {Array} The migrations that were applied
+ */
+async function migrateUp({ to = Infinity } = {}) {
+  const pending = new Set((await getPendingMigrations()).map(m => m.version));
+  const migrations = loadMigrations().filter(m => pending.has(m.version) && m.version <= to);
+
+  for (const migration of migrations) {
+    await withTransaction(async () => {
+      await migration.up(migrationContext);
+      await runQuery(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+    });
+    console.log(`⬆️ Applied migration ${migration.file}`);
+  }
+
+  return migrations;
+}
+
+/**
+ * Revert the most recently applied migrations
+ * @returns {Array} The migrations that were reverted
+ */
+async function migrateDown({ steps = 1 } = {}) {
+  await ensureMigrationsTable();
+
+  const applied = await allQuery(
+    'SELECT version FROM schema_migrations ORDER BY version DESC LIMIT ?',
+    [steps]
+  );
+  const migrations = loadMigrations();
+  const reverted = [];
+
+  for (const { version } of applied) {
+    const migration = migrations.find(m => m.version === version);
+    if (!migration) {
+      throw new Error(`Migration file for applied version ${version} not found`);
+    }
+
+    await withTransaction(async () => {
+      await migration.down(migrationContext);
+      await runQuery('DELETE FROM schema_migrations WHERE version = ?', [version]);
+    });
+    console.log(`⬇️ Reverted migration ${migration.file}`);
+    reverted.push(migration);
+  }
+
+  return reverted;
+}
+
+/**
+ * Revert and re-apply the latest migration
+ */
+async function migrateRedo() {
+  const [reverted] = await migrateDown({ steps: 1 });
+  if (!reverted) {
+    return [];
+  }
+  return migrateUp({ to: reverted.version });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getMigrationStatus,
+  getPendingMigrations,
+  migrateUp,
+  migrateDown,
+  migrateRedo
+};
@@ -5,16 +5,27 @@ const rateLimit = require("express-rate-limit");
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
-const schedule = require("node-schedule");
 const { v4: uuidv4 } = require("uuid");
 require("dotenv").config();
 
 const authRoutes = require("./routes/auth");
 const imageRoutes = require("./routes/images");
+const imageFileRoutes = require("./routes/imageFiles");
 const analysisRoutes = require("./routes/analysis");
-const { initDatabase } = require("./database/database");
+const hazardRoutes = require("./routes/hazards");
+const childRoutes = require("./routes/children");
+const householdRoutes = require("./routes/households");
+const scanSessionRoutes = require("./routes/scanSessions");
+const roomRoutes = require("./routes/rooms");
+const remediationRoutes = require("./routes/remediation");
+const reportRoutes = require("./routes/reports");
+const accountRoutes = require("./routes/account");
+const { initDatabase, closeDatabase } = require("./database/database");
 const { processImageAnalysis } = require("./services/imageAnalysis");
-const { processPendingImages } = require("./services/backgroundProcessor");
+const { processAnalysisJob } = require("./services/backgroundProcessor");
+const { startQueueWorkers, stopQueueWorkers } = require("./services/jobQueue");
+const { startRetentionSchedule, stopRetentionSchedule } = require("./services/retention");
+const { clearQuarantine } = require("./services/uploadValidation");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -46,13 +57,22 @@ app.use("/api/", limiter);
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
-// Static file serving
-app.use("/uploads", express.static(path.join(__dirname, "../uploads")));
+// Image files, for household members or signed URLs (outside /api so a
+// grid of thumbnails doesn't use up the rate limit)
+app.use("/images", imageFileRoutes);
 
 // API Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/images", imageRoutes);
 app.use("/api/analysis", analysisRoutes);
+app.use("/api/hazards", hazardRoutes);
+app.use("/api/children", childRoutes);
+app.use("/api/households", householdRoutes);
+app.use("/api/scan-sessions", scanSessionRoutes);
+app.use("/api/rooms", roomRoutes);
+app.use("/api/remediation", remediationRoutes);
+app.use("/api/reports", reportRoutes);
+app.use("/api/account", accountRoutes);
 
 // Health check endpoint
 app.get("/api/health", (req, res) => {
@@ -102,16 +122,14 @@ async function startServer() {
     await initDatabase();
     console.log("✅ Database initialized successfully");
 
-    // Start background processing job
-    // Process pending images every 30 seconds
-    schedule.scheduleJob("*/30 * * * * *", async () => {
-      try {
-        await processPendingImages();
-      } catch (error) {
-        console.error("Background processing error:", error);
-      }
-    });
-    console.log("✅ Background processing scheduled");
+    // Uploads interrupted by the last shutdown never left quarantine
+    await clearQuarantine();
+
+    // Start the analysis queue workers (stale jobs are recovered first)
+    await startQueueWorkers(processAnalysisJob);
+
+    // Apply the households' retention policies now and on a schedule
+    startRetentionSchedule();
 
     app.listen(PORT, () => {
       console.log(`🚀 AlwayCare server running on port ${PORT}`);
@@ -125,14 +143,19 @@ async function startServer() {
 }
 
 // Handle graceful shutdown
-process.on("SIGTERM", () => {
-  console.log("SIGTERM received, shutting down gracefully");
+async function shutdown(signal) {
+  console.log(`${signal} received, shutting down gracefully`);
+  try {
+    stopRetentionSchedule();
+    await stopQueueWorkers();
+    await closeDatabase();
+  } catch (error) {
+    console.error("Failed to close database:", error);
+  }
   process.exit(0);
-});
+}
 
-process.on("SIGINT", () => {
-  console.log("SIGINT received, shutting down gracefully");
-  process.exit(0);
-});
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
 
 startServer();
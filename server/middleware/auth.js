@@ -1,24 +1,61 @@
 const jwt = require('jsonwebtoken');
+const { JWT_SECRET, isSessionActive } = require('../services/sessions');
 
-// JWT Secret (in production, use environment variable)
-const JWT_SECRET = process.env.JWT_SECRET || 'alwaycare-secret-key-change-in-production';
+/**
+ * Verify an access token and check its session has not been revoked
+ * @returns {Object} { user } on success, or { status, error, code } on failure
+ */
+async function verifyAccessToken(token) {
+  let user;
 
-// Middleware to verify JWT token
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  try {
+    user = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return { status: 401, error: 'Access token expired', code: 'TOKEN_EXPIRED' };
+    }
+    return { status: 403, error: 'Invalid or expired token' };
+  }
+
+  if (!user.sessionId || !(await isSessionActive(user.sessionId))) {
+    return { status: 401, error: 'Session has been revoked', code: 'SESSION_REVOKED' };
+  }
+
+  return { user };
+}
+
+/**
+ * Build middleware that verifies the access token found by getToken(req)
+ */
+const authenticateWith = (getToken) => async (req, res, next) => {
+  const token = getToken(req);
 
   if (!token) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+  try {
+    const { user, status, error, code } = await verifyAccessToken(token);
+
+    if (!user) {
+      return res.status(status).json({ error, code });
     }
+
     req.user = user;
     next();
-  });
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 };
 
-module.exports = { authenticateToken };
+// Middleware to verify JWT token
+const authenticateToken = authenticateWith(req => {
+  const authHeader = req.headers['authorization'];
+  return authHeader && authHeader.split(' ')[1];
+});
+
+// EventSource cannot set headers, so event streams pass ?token= instead
+const authenticateQueryToken = authenticateWith(req => req.query.token);
+
+module.exports = { authenticateToken, authenticateQueryToken, verifyAccessToken };
@@ -0,0 +1,27 @@
+const { getActiveHousehold, hasRole } = require('../services/households');
+
+/**
+ * Middleware factory that loads the user's active household onto
+ * req.household ({ id, name, role }) and rejects members whose role is
+ * below minimumRole. Must run after authenticateToken.
+ */
+const requireHouseholdRole = (minimumRole = 'viewer') => async (req, res, next) => {
+  try {
+    const household = await getActiveHousehold(req.user.userId);
+
+    if (!hasRole(household.role, minimumRole)) {
+      return res.status(403).json({
+        error: `This action requires the ${minimumRole} role in ${household.name}`,
+        code: 'INSUFFICIENT_ROLE'
+      });
+    }
+
+    req.household = household;
+    next();
+  } catch (error) {
+    console.error('Household lookup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = { requireHouseholdRole };
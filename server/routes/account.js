@@ -0,0 +1,121 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { requireHouseholdRole } = require('../middleware/household');
+const { allQuery } = require('../database/database');
+const { getStorageUsage } = require('../services/storageQuota');
+const { cleanupOldImages } = require('../services/backgroundProcessor');
+const {
+  RETENTION_POLICIES,
+  validateRetentionPolicy,
+  getRetentionPolicy,
+  setRetentionPolicy
+} = require('../services/retention');
+
+const router = express.Router();
+
+// Storage used by your uploads and by your active household's, against
+// their quotas, with a breakdown by analysis status
+router.get('/usage', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  try {
+    const usage = await getStorageUsage(req.user.userId, req.household.id);
+
+    res.json({
+      user: usage.user,
+      household: {
+        id: req.household.id,
+        name: req.household.name,
+        ...usage.household
+      }
+    });
+  } catch (error) {
+    console.error('Get storage usage error:', error);
+    res.status(500).json({ error: 'Failed to fetch storage usage' });
+  }
+});
+
+// Get the household's retention policy
+router.get('/retention', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  try {
+    const { policy, days } = await getRetentionPolicy(req.household.id);
+    res.json({ policy, days, policies: RETENTION_POLICIES });
+  } catch (error) {
+    console.error('Get retention policy error:', error);
+    res.status(500).json({ error: 'Failed to fetch retention policy' });
+  }
+});
+
+// Change the household's retention policy (owner). It takes effect on the
+// next scheduled run; preview it first with /retention/preview.
+router.put('/retention', authenticateToken, requireHouseholdRole('owner'), async (req, res) => {
+  try {
+    const policy = req.body.policy;
+    const days = req.body.days === undefined || req.body.days === null ? null : Number(req.body.days);
+
+    const validationError = validateRetentionPolicy({ policy, days });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const retention = await setRetentionPolicy(req.household.id, { policy, days });
+    console.log(`🗂️ Retention for household ${req.household.id} set to ${policy}${retention.days ? ` (${retention.days} days)` : ''}`);
+
+    res.json({ message: 'Retention policy updated', policy: retention.policy, days: retention.days });
+  } catch (error) {
+    console.error('Update retention policy error:', error);
+    res.status(500).json({ error: 'Failed to update retention policy' });
+  }
+});
+
+// Dry run: what the saved policy, or the one in ?policy=&days=, would purge
+// now
+router.get('/retention/preview', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  try {
+    let retention = await getRetentionPolicy(req.household.id);
+
+    if (req.query.policy) {
+      const candidate = {
+        policy: req.query.policy,
+        days: req.query.days ? Number(req.query.days) : null
+      };
+
+      const validationError = validateRetentionPolicy(candidate);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      retention = { householdId: req.household.id, ...candidate };
+    }
+
+    const preview = await cleanupOldImages(retention, { dryRun: true });
+    res.json(preview);
+  } catch (error) {
+    console.error('Preview retention error:', error);
+    res.status(500).json({ error: 'Failed to preview retention' });
+  }
+});
+
+// What retention has purged from the household, newest first
+router.get('/retention/purges', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    const purges = await allQuery(
+      `SELECT 
+        id, image_id, original_filename, upload_timestamp, analysis_status, risk_level,
+        file_size, action, policy, retention_days, purged_at,
+        (SELECT username FROM users WHERE users.id = retention_purges.user_id) AS uploaded_by
+       FROM retention_purges 
+       WHERE household_id = ? 
+       ORDER BY purged_at DESC, id DESC 
+       LIMIT ?`,
+      [req.household.id, limit]
+    );
+
+    res.json({ purges: purges || [] });
+  } catch (error) {
+    console.error('Get retention purges error:', error);
+    res.status(500).json({ error: 'Failed to fetch retention history' });
+  }
+});
+
+module.exports = router;
@@ -1,23 +1,112 @@
 const express = require('express');
-const { runQuery, getQuery, allQuery } = require('../database/database');
-const { authenticateToken } = require('../middleware/auth');
-const { processImageAnalysis } = require('../services/imageAnalysis');
+const { getQuery, allQuery } = require('../database/database');
+const { authenticateToken, authenticateQueryToken } = require('../middleware/auth');
+const { requireHouseholdRole } = require('../middleware/household');
+const {
+  MAX_ANALYSIS_ATTEMPTS,
+  analyzeImage,
+  startAnalysisAttempt,
+  recordAnalysisFailure,
+  requeueAnalysis,
+  requeueFailedAnalyses
+} = require('../services/backgroundProcessor');
+const { cancelQueuedJobs, hasRunningJob } = require('../services/jobQueue');
+const {
+  getEventsSince,
+  getCurrentEventId,
+  subscribeToEvents
+} = require('../services/analysisEvents');
+const { resolveTrendRange, buildTrends } = require('../services/trends');
+const { withImageUrls } = require('../services/imageUrls');
 
 const router = express.Router();
 
+// Comment lines keep idle event streams open through proxies
+const EVENT_HEARTBEAT_MS = 25000;
+// How long EventSource waits before reconnecting a dropped stream
+const EVENT_RETRY_MS = 3000;
+
+/**
+ * Build the WHERE clause shared by the listing endpoints: the household's
+ * images, optionally narrowed to one child with ?childId=
+ */
+function buildImageFilter(req) {
+  let whereClause = 'WHERE household_id = ?';
+  const params = [req.household.id];
+
+  const childId = req.query.childId ? parseInt(req.query.childId) : null;
+  if (childId) {
+    whereClause += ' AND child_id = ?';
+    params.push(childId);
+  }
+
+  return { whereClause, params };
+}
+
+// Stream the household's analysis status changes as Server-Sent Events.
+// Resumes from the Last-Event-ID header (or ?lastEventId=); sends 'resync'
+// when the missed events are gone so the client refetches instead.
+router.get('/events', authenticateQueryToken, requireHouseholdRole('viewer'), (req, res) => {
+  const householdId = req.household.id;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Image URLs are signed on delivery so replayed events don't carry expired ones
+  const send = (id, type, data) => {
+    const payload = data.image ? { ...data, image: withImageUrls(data.image) } : data;
+    res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  res.write(`retry: ${EVENT_RETRY_MS}\n\n`);
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  const missed = lastEventId ? getEventsSince(householdId, lastEventId) : null;
+
+  if (missed) {
+    missed.forEach(event => send(event.id, event.type, event.data));
+  } else {
+    send(getCurrentEventId(), lastEventId ? 'resync' : 'ready', { householdId });
+  }
+
+  const unsubscribe = subscribeToEvents(event => {
+    if (event.householdId === householdId) {
+      send(event.id, event.type, event.data);
+    }
+  });
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), EVENT_HEARTBEAT_MS);
+
+  // End the stream when the access token expires; the client reconnects
+  // with a refreshed token and resumes from its last event
+  const expiresIn = Math.min(Math.max(req.user.exp * 1000 - Date.now(), 0), 2147483647);
+  const expiry = setTimeout(() => res.end(), expiresIn);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    unsubscribe();
+  });
+});
+
 // Get analysis status for an image
-router.get('/status/:imageId', authenticateToken, async (req, res) => {
+router.get('/status/:imageId', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
   try {
     const { imageId } = req.params;
-    const userId = req.user.userId;
 
     const image = await getQuery(
       `SELECT 
         id, analysis_status, detected_objects, risk_level, 
-        risk_description, confidence_scores, upload_timestamp
+        risk_description, confidence_scores, image_info, simulation_seed,
+        upload_timestamp, analysis_attempts, last_error, next_attempt_at
        FROM image_records 
-       WHERE id = ? AND user_id = ?`,
-      [imageId, userId]
+       WHERE id = ? AND household_id = ?`,
+      [imageId, req.household.id]
     );
 
     if (!image) {
@@ -31,7 +120,12 @@ router.get('/status/:imageId', authenticateToken, async (req, res) => {
       riskLevel: image.risk_level,
       riskDescription: image.risk_description,
       confidenceScores: image.confidence_scores ? JSON.parse(image.confidence_scores) : null,
-      uploadTimestamp: image.upload_timestamp
+      imageInfo: image.image_info ? JSON.parse(image.image_info) : null,
+      simulationSeed: image.simulation_seed,
+      uploadTimestamp: image.upload_timestamp,
+      attempts: image.analysis_attempts,
+      lastError: image.last_error,
+      nextAttemptAt: image.next_attempt_at
     });
   } catch (error) {
     console.error('Get analysis status error:', error);
@@ -40,46 +134,50 @@ router.get('/status/:imageId', authenticateToken, async (req, res) => {
 });
 
 // Manually trigger analysis for an image
-router.post('/trigger/:imageId', authenticateToken, async (req, res) => {
+router.post('/trigger/:imageId', authenticateToken, requireHouseholdRole('caregiver'), async (req, res) => {
   try {
     const { imageId } = req.params;
-    const userId = req.user.userId;
 
     // Get image details
     const image = await getQuery(
-      'SELECT id, filename, file_path FROM image_records WHERE id = ? AND user_id = ?',
-      [imageId, userId]
+      `SELECT id, filename, file_path, user_id, child_id, original_removed_at FROM image_records
+       WHERE id = ? AND household_id = ?`,
+      [imageId, req.household.id]
     );
 
     if (!image) {
       return res.status(404).json({ error: 'Image not found' });
     }
 
-    // Update status to processing
-    await runQuery(
-      'UPDATE image_records SET analysis_status = ? WHERE id = ?',
-      ['processing', imageId]
-    );
+    // Retention kept the results but removed the photo to analyze
+    if (image.original_removed_at) {
+      return res.status(409).json({
+        error: 'The photo was removed by the retention policy; only its results are kept',
+        code: 'ORIGINAL_REMOVED'
+      });
+    }
+
+    // Analyzed here rather than by the queue. Queued jobs are cancelled
+    // first so no worker can pick one up after the check below
+    await cancelQueuedJobs(image.id);
+
+    if (await hasRunningJob(image.id)) {
+      return res.status(409).json({
+        error: 'The image is already being analyzed; try again when it finishes',
+        code: 'ANALYSIS_RUNNING'
+      });
+    }
+
+    // A manual run starts a fresh retry cycle
+    await startAnalysisAttempt(image.id, { fresh: true });
 
-    // Process the image analysis
+    // Process the image analysis (an optional seed makes the simulation
+    // repeatable; force skips the detection cache)
     try {
-      const analysisResult = await processImageAnalysis(image.file_path);
-      
-      // Update database with results
-      await runQuery(
-        `UPDATE image_records 
-         SET analysis_status = ?, detected_objects = ?, risk_level = ?, 
-             risk_description = ?, confidence_scores = ?
-         WHERE id = ?`,
-        [
-          'completed',
-          JSON.stringify(analysisResult.detectedObjects),
-          analysisResult.riskLevel,
-          analysisResult.riskDescription,
-          JSON.stringify(analysisResult.confidenceScores),
-          imageId
-        ]
-      );
+      const analysisResult = await analyzeImage(image, {
+        seed: req.body && req.body.seed,
+        force: Boolean(req.body && req.body.force)
+      });
 
       res.json({
         message: 'Analysis completed successfully',
@@ -88,16 +186,15 @@ router.post('/trigger/:imageId', authenticateToken, async (req, res) => {
         result: analysisResult
       });
     } catch (analysisError) {
-      // Update status to failed
-      await runQuery(
-        'UPDATE image_records SET analysis_status = ? WHERE id = ?',
-        ['failed', imageId]
-      );
+      // Failed runs are retried with backoff like queued ones
+      const failure = await recordAnalysisFailure(image.id, analysisError);
 
       console.error('Analysis error:', analysisError);
       res.status(500).json({ 
         error: 'Analysis failed',
-        details: analysisError.message 
+        details: analysisError.message,
+        status: failure.status,
+        nextAttemptAt: failure.nextAttemptAt
       });
     }
   } catch (error) {
@@ -106,10 +203,94 @@ router.post('/trigger/:imageId', authenticateToken, async (req, res) => {
   }
 });
 
-// Get analysis statistics for user
-router.get('/stats', authenticateToken, async (req, res) => {
+// List the household's failed analyses (?status=failed|dead to narrow)
+router.get('/failures', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  try {
+    const { whereClause, params } = buildImageFilter(req);
+    const statuses = ['failed', 'dead'].includes(req.query.status)
+      ? [req.query.status]
+      : ['failed', 'dead'];
+
+    const failures = await allQuery(
+      `SELECT 
+        id, filename, original_filename, upload_timestamp, child_id,
+        analysis_status, analysis_attempts, last_error, next_attempt_at,
+        (SELECT username FROM users WHERE users.id = image_records.user_id) AS uploaded_by
+       FROM image_records 
+       ${whereClause} AND analysis_status IN (${statuses.map(() => '?').join(', ')})
+       ORDER BY upload_timestamp DESC`,
+      [...params, ...statuses]
+    );
+
+    res.json({
+      failures: failures.map(image => ({
+        imageId: image.id,
+        filename: image.filename,
+        originalFilename: image.original_filename,
+        uploadTimestamp: image.upload_timestamp,
+        childId: image.child_id,
+        uploadedBy: image.uploaded_by,
+        status: image.analysis_status,
+        attempts: image.analysis_attempts,
+        lastError: image.last_error,
+        nextAttemptAt: image.next_attempt_at
+      })),
+      maxAttempts: MAX_ANALYSIS_ATTEMPTS
+    });
+  } catch (error) {
+    console.error('Get failures error:', error);
+    res.status(500).json({ error: 'Failed to fetch failed analyses' });
+  }
+});
+
+// Re-queue every failed or dead analysis in the household
+router.post('/failures/requeue', authenticateToken, requireHouseholdRole('caregiver'), async (req, res) => {
+  try {
+    const requeued = await requeueFailedAnalyses(req.household.id);
+
+    res.json({
+      message: `Re-queued ${requeued} failed ${requeued === 1 ? 'analysis' : 'analyses'}`,
+      requeued
+    });
+  } catch (error) {
+    console.error('Requeue failures error:', error);
+    res.status(500).json({ error: 'Failed to re-queue analyses' });
+  }
+});
+
+// Re-queue one failed or dead analysis
+router.post('/failures/:imageId/requeue', authenticateToken, requireHouseholdRole('caregiver'), async (req, res) => {
+  try {
+    const image = await getQuery(
+      'SELECT id, analysis_status FROM image_records WHERE id = ? AND household_id = ?',
+      [req.params.imageId, req.household.id]
+    );
+
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    if (!['failed', 'dead'].includes(image.analysis_status)) {
+      return res.status(400).json({ error: 'Only failed analyses can be re-queued' });
+    }
+
+    await requeueAnalysis(image.id);
+
+    res.json({
+      message: 'Analysis re-queued successfully',
+      imageId: image.id,
+      status: 'pending'
+    });
+  } catch (error) {
+    console.error('Requeue analysis error:', error);
+    res.status(500).json({ error: 'Failed to re-queue analysis' });
+  }
+});
+
+// Get analysis statistics for the household
+router.get('/stats', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
   try {
-    const userId = req.user.userId;
+    const { whereClause, params } = buildImageFilter(req);
 
     // Get counts by status
     const statusStats = await allQuery(
@@ -117,9 +298,9 @@ router.get('/stats', authenticateToken, async (req, res) => {
         analysis_status,
         COUNT(*) as count
        FROM image_records 
-       WHERE user_id = ?
+       ${whereClause}
        GROUP BY analysis_status`,
-      [userId]
+      params
     );
 
     // Get risk level distribution
@@ -128,9 +309,9 @@ router.get('/stats', authenticateToken, async (req, res) => {
         risk_level,
         COUNT(*) as count
        FROM image_records 
-       WHERE user_id = ? AND analysis_status = 'completed'
+       ${whereClause} AND analysis_status = 'completed'
        GROUP BY risk_level`,
-      [userId]
+      params
     );
 
     // Get recent analyses
@@ -139,10 +320,10 @@ router.get('/stats', authenticateToken, async (req, res) => {
         id, original_filename, analysis_status, risk_level, 
         risk_description, upload_timestamp
        FROM image_records 
-       WHERE user_id = ?
+       ${whereClause}
        ORDER BY upload_timestamp DESC 
        LIMIT 5`,
-      [userId]
+      params
     );
 
     res.json({
@@ -156,36 +337,65 @@ router.get('/stats', authenticateToken, async (req, res) => {
   }
 });
 
-// Get all completed analyses for user
-router.get('/completed', authenticateToken, async (req, res) => {
+// Get risk level and hazard category counts over time for the household.
+// ?interval=day|week|month (default week), ?from= and ?to= as YYYY-MM-DD (UTC)
+router.get('/trends', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  try {
+    const range = resolveTrendRange(req.query);
+
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const { whereClause, params } = buildImageFilter(req);
+
+    const images = await allQuery(
+      `SELECT risk_level, confidence_scores, upload_timestamp
+       FROM image_records
+       ${whereClause} AND analysis_status = 'completed'
+         AND upload_timestamp >= ? AND upload_timestamp < ?`,
+      [...params, range.since, range.until]
+    );
+
+    res.json(buildTrends(images, range));
+  } catch (error) {
+    console.error('Get trends error:', error);
+    res.status(500).json({ error: 'Failed to get analysis trends' });
+  }
+});
+
+// Get all completed analyses for the household
+router.get('/completed', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
   try {
-    const userId = req.user.userId;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
+    const { whereClause, params } = buildImageFilter(req);
 
     const analyses = await allQuery(
       `SELECT 
-        id, filename, original_filename, upload_timestamp,
-        detected_objects, risk_level, risk_description, confidence_scores
+        id, filename, original_filename, upload_timestamp, child_id,
+        detected_objects, risk_level, risk_description, confidence_scores, image_info, placeholder, captured_at, original_removed_at,
+        (SELECT username FROM users WHERE users.id = image_records.user_id) AS uploaded_by
        FROM image_records 
-       WHERE user_id = ? AND analysis_status = 'completed'
+       ${whereClause} AND analysis_status = 'completed'
        ORDER BY upload_timestamp DESC 
        LIMIT ? OFFSET ?`,
-      [userId, limit, offset]
+      [...params, limit, offset]
     );
 
     // Get total count for pagination
     const countResult = await getQuery(
-      'SELECT COUNT(*) as total FROM image_records WHERE user_id = ? AND analysis_status = ?',
-      [userId, 'completed']
+      `SELECT COUNT(*) as total FROM image_records ${whereClause} AND analysis_status = ?`,
+      [...params, 'completed']
     );
 
     // Parse JSON fields
     const parsedAnalyses = (analyses || []).map(analysis => ({
-      ...analysis,
+      ...withImageUrls(analysis),
       detectedObjects: analysis.detected_objects ? JSON.parse(analysis.detected_objects) : null,
-      confidenceScores: analysis.confidence_scores ? JSON.parse(analysis.confidence_scores) : null
+      confidenceScores: analysis.confidence_scores ? JSON.parse(analysis.confidence_scores) : null,
+      imageInfo: analysis.image_info ? JSON.parse(analysis.image_info) : null
     }));
 
     res.json({
@@ -1,14 +1,17 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { runQuery, getQuery } = require('../database/database');
 const { authenticateToken } = require('../middleware/auth');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  listSessions
+} = require('../services/sessions');
+const { createHousehold } = require('../services/households');
 
 const router = express.Router();
 
-// JWT Secret (in production, use environment variable)
-const JWT_SECRET = process.env.JWT_SECRET || 'alwaycare-secret-key-change-in-production';
-
 // Register new user
 router.post('/register', async (req, res) => {
   try {
@@ -43,16 +46,16 @@ router.post('/register', async (req, res) => {
       [username, email, passwordHash]
     );
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: result.id, username, email },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Every new user starts with a household of their own
+    await createHousehold(result.id, `${username}'s Home`);
+
+    // Start a session (access token + refresh token)
+    const { token, refreshToken } = await createSession({ id: result.id, username, email }, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: {
         id: result.id,
         username,
@@ -92,16 +95,13 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, username: user.username, email: user.email },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Start a session (access token + refresh token)
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user.id,
         username: user.username,
@@ -114,6 +114,70 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new access token (the refresh token rotates)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const session = await rotateSession(refreshToken, req);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      token: session.token,
+      refreshToken: session.refreshToken,
+      user: session.user
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Log out - revokes the current session so its tokens stop working
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(req.user.sessionId, req.user.userId);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List the user's active sessions (one per signed-in device)
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.userId, req.user.sessionId);
+    res.json({ sessions });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Revoke one of the user's sessions (signs that device out)
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.sessionId, req.user.userId);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
 // Get current user profile
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
@@ -0,0 +1,170 @@
+const express = require('express');
+const { runQuery, getQuery, allQuery } = require('../database/database');
+const { authenticateToken } = require('../middleware/auth');
+const { requireHouseholdRole } = require('../middleware/household');
+const { toChildProfile, getAgeInMonths } = require('../services/childProfiles');
+
+const router = express.Router();
+
+/**
+ * Validate a child payload; returns an error message or null
+ */
+function validateChild({ name, birthDate, developmentalNotes }) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'Name is required';
+  }
+
+  if (typeof birthDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(birthDate) || getAgeInMonths(birthDate) === null) {
+    return 'Birth date must be in YYYY-MM-DD format';
+  }
+
+  if (developmentalNotes !== undefined && developmentalNotes !== null && typeof developmentalNotes !== 'string') {
+    return 'Developmental notes must be text';
+  }
+
+  if (new Date(birthDate) > new Date()) {
+    return 'Birth date cannot be in the future';
+  }
+
+  return null;
+}
+
+// Get the household's children
+router.get('/', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  try {
+    const children = await allQuery(
+      'SELECT * FROM children WHERE household_id = ? ORDER BY birth_date DESC',
+      [req.household.id]
+    );
+
+    res.json({ children: (children || []).map(child => toChildProfile(child)) });
+  } catch (error) {
+    console.error('Get children error:', error);
+    res.status(500).json({ error: 'Failed to fetch children' });
+  }
+});
+
+// Add a child
+router.post('/', authenticateToken, requireHouseholdRole('caregiver'), async (req, res) => {
+  try {
+    const { name, birthDate, developmentalNotes, canSwim } = req.body;
+
+    const validationError = validateChild({ name, birthDate, developmentalNotes });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await runQuery(
+      `INSERT INTO children (user_id, household_id, name, birth_date, developmental_notes, can_swim)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        req.user.userId,
+        req.household.id,
+        name.trim(),
+        birthDate,
+        developmentalNotes || null,
+        canSwim ? 1 : 0
+      ]
+    );
+
+    const child = await getQuery('SELECT * FROM children WHERE id = ?', [result.id]);
+
+    res.status(201).json({
+      message: 'Child added successfully',
+      child: toChildProfile(child)
+    });
+  } catch (error) {
+    console.error('Add child error:', error);
+    res.status(500).json({ error: 'Failed to add child' });
+  }
+});
+
+// Update a child
+router.put('/:childId', authenticateToken, requireHouseholdRole('caregiver'), async (req, res) => {
+  try {
+    const { childId } = req.params;
+    const householdId = req.household.id;
+
+    const existing = await getQuery(
+      'SELECT * FROM children WHERE id = ? AND household_id = ?',
+      [childId, householdId]
+    );
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Child not found' });
+    }
+
+    const updated = {
+      name: req.body.name !== undefined ? req.body.name : existing.name,
+      birthDate: req.body.birthDate !== undefined ? req.body.birthDate : existing.birth_date,
+      developmentalNotes: req.body.developmentalNotes !== undefined
+        ? req.body.developmentalNotes
+        : existing.developmental_notes,
+      canSwim: req.body.canSwim !== undefined ? Boolean(req.body.canSwim) : Boolean(existing.can_swim)
+    };
+
+    const validationError = validateChild(updated);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    await runQuery(
+      `UPDATE children
+       SET name = ?, birth_date = ?, developmental_notes = ?, can_swim = ?,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND household_id = ?`,
+      [
+        updated.name.trim(),
+        updated.birthDate,
+        updated.developmentalNotes || null,
+        updated.canSwim ? 1 : 0,
+        childId,
+        householdId
+      ]
+    );
+
+    const child = await getQuery('SELECT * FROM children WHERE id = ?', [childId]);
+
+    res.json({
+      message: 'Child updated successfully',
+      child: toChildProfile(child)
+    });
+  } catch (error) {
+    console.error('Update child error:', error);
+    res.status(500).json({ error: 'Failed to update child' });
+  }
+});
+
+// Delete a child (their images are kept but untagged)
+router.delete('/:childId', authenticateToken, requireHouseholdRole('caregiver'), async (req, res) => {
+  try {
+    const { childId } = req.params;
+    const householdId = req.household.id;
+
+    const child = await getQuery(
+      'SELECT id FROM children WHERE id = ? AND household_id = ?',
+      [childId, householdId]
+    );
+
+    if (!child) {
+      return res.status(404).json({ error: 'Child not found' });
+    }
+
+    await runQuery(
+      'UPDATE image_records SET child_id = NULL WHERE child_id = ? AND household_id = ?',
+      [childId, householdId]
+    );
+
+    await runQuery(
+      'DELETE FROM children WHERE id = ? AND household_id = ?',
+      [childId, householdId]
+    );
+
+    res.json({ message: 'Child deleted successfully' });
+  } catch (error) {
+    console.error('Delete child error:', error);
+    res.status(500).json({ error: 'Failed to delete child' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,216 @@
+const express = require('express');
+const { runQuery, getQuery } = require('../database/database');
+const { authenticateToken } = require('../middleware/auth');
+const { HAZARDOUS_OBJECTS, HAZARD_CATEGORIES } = require('../services/imageAnalysis');
+const {
+  getHazardCatalogueEntries,
+  normalizeLabel,
+  HAZARD_RISK_LEVELS
+} = require('../services/hazardCatalogue');
+
+const router = express.Router();
+
+const LABEL_PATTERN = /^[a-z0-9_]{1,50}$/;
+
+// Get the user's hazard catalogue
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const catalogue = await getHazardCatalogueEntries(req.user.userId);
+
+    res.json({
+      ...catalogue,
+      riskLevels: HAZARD_RISK_LEVELS
+    });
+  } catch (error) {
+    console.error('Get hazards error:', error);
+    res.status(500).json({ error: 'Failed to fetch hazard catalogue' });
+  }
+});
+
+// Add a custom hazard label
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const label = normalizeLabel(req.body.label);
+    const { risk, description } = req.body;
+    const category = req.body.category || 'custom';
+
+    // Validation
+    if (!LABEL_PATTERN.test(label)) {
+      return res.status(400).json({
+        error: 'Label must be 1-50 characters of letters, numbers and underscores'
+      });
+    }
+
+    if (!HAZARD_RISK_LEVELS.includes(risk)) {
+      return res.status(400).json({ error: `Risk must be one of: ${HAZARD_RISK_LEVELS.join(', ')}` });
+    }
+
+    if (typeof description !== 'string' || !description.trim()) {
+      return res.status(400).json({ error: 'Description is required' });
+    }
+
+    if (!HAZARD_CATEGORIES[category]) {
+      return res.status(400).json({ error: 'Unknown hazard category' });
+    }
+
+    // Built-in labels are changed with PUT, not re-created
+    const existing = await getQuery(
+      'SELECT id FROM hazard_overrides WHERE user_id = ? AND label = ?',
+      [userId, label]
+    );
+
+    if (HAZARDOUS_OBJECTS[label] || existing) {
+      return res.status(409).json({ error: 'A hazard with this label already exists' });
+    }
+
+    await runQuery(
+      `INSERT INTO hazard_overrides
+       (user_id, label, risk, description, category, is_custom)
+       VALUES (?, ?, ?, ?, ?, 1)`,
+      [userId, label, risk, description.trim(), category]
+    );
+
+    res.status(201).json({
+      message: 'Custom hazard added successfully',
+      hazard: { label, risk, description: description.trim(), category, disabled: false, custom: true }
+    });
+  } catch (error) {
+    console.error('Add hazard error:', error);
+    res.status(500).json({ error: 'Failed to add hazard' });
+  }
+});
+
+// Enable or disable a whole hazard category
+router.put('/categories/:category', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { category } = req.params;
+    const disabled = Boolean(req.body.disabled);
+
+    if (!HAZARD_CATEGORIES[category]) {
+      return res.status(404).json({ error: 'Hazard category not found' });
+    }
+
+    const existing = await getQuery(
+      'SELECT category FROM hazard_category_settings WHERE user_id = ? AND category = ?',
+      [userId, category]
+    );
+
+    if (existing) {
+      await runQuery(
+        'UPDATE hazard_category_settings SET disabled = ? WHERE user_id = ? AND category = ?',
+        [disabled ? 1 : 0, userId, category]
+      );
+    } else {
+      await runQuery(
+        'INSERT INTO hazard_category_settings (user_id, category, disabled) VALUES (?, ?, ?)',
+        [userId, category, disabled ? 1 : 0]
+      );
+    }
+
+    res.json({
+      message: `Category ${disabled ? 'disabled' : 'enabled'}`,
+      category: { name: category, title: HAZARD_CATEGORIES[category], disabled }
+    });
+  } catch (error) {
+    console.error('Update hazard category error:', error);
+    res.status(500).json({ error: 'Failed to update hazard category' });
+  }
+});
+
+// Override a hazard's risk level, description or enabled state
+router.put('/:label', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const label = normalizeLabel(req.params.label);
+    const { risk, description, disabled } = req.body;
+
+    const existing = await getQuery(
+      `SELECT id, risk, description, category, disabled, is_custom
+       FROM hazard_overrides
+       WHERE user_id = ? AND label = ?`,
+      [userId, label]
+    );
+
+    const builtIn = HAZARDOUS_OBJECTS[label];
+
+    if (!builtIn && !existing) {
+      return res.status(404).json({ error: 'Hazard not found' });
+    }
+
+    if (risk !== undefined && !HAZARD_RISK_LEVELS.includes(risk)) {
+      return res.status(400).json({ error: `Risk must be one of: ${HAZARD_RISK_LEVELS.join(', ')}` });
+    }
+
+    if (description !== undefined && (typeof description !== 'string' || !description.trim())) {
+      return res.status(400).json({ error: 'Description cannot be empty' });
+    }
+
+    // Unset fields fall back to the current override, then the built-in default
+    const updated = {
+      risk: risk || existing?.risk || builtIn.risk,
+      description: description !== undefined
+        ? description.trim()
+        : existing?.description || builtIn.description,
+      disabled: disabled !== undefined ? Boolean(disabled) : Boolean(existing?.disabled)
+    };
+
+    if (existing) {
+      await runQuery(
+        `UPDATE hazard_overrides
+         SET risk = ?, description = ?, disabled = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [updated.risk, updated.description, updated.disabled ? 1 : 0, existing.id]
+      );
+    } else {
+      await runQuery(
+        `INSERT INTO hazard_overrides
+         (user_id, label, risk, description, category, disabled, is_custom)
+         VALUES (?, ?, ?, ?, ?, ?, 0)`,
+        [userId, label, updated.risk, updated.description, builtIn.category, updated.disabled ? 1 : 0]
+      );
+    }
+
+    res.json({
+      message: 'Hazard updated successfully',
+      hazard: {
+        label,
+        ...updated,
+        category: builtIn ? builtIn.category : existing.category,
+        custom: !builtIn
+      }
+    });
+  } catch (error) {
+    console.error('Update hazard error:', error);
+    res.status(500).json({ error: 'Failed to update hazard' });
+  }
+});
+
+// Delete a custom hazard, or reset a built-in one to its default
+router.delete('/:label', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const label = normalizeLabel(req.params.label);
+
+    const result = await runQuery(
+      'DELETE FROM hazard_overrides WHERE user_id = ? AND label = ?',
+      [userId, label]
+    );
+
+    if (!result.changes && !HAZARDOUS_OBJECTS[label]) {
+      return res.status(404).json({ error: 'Hazard not found' });
+    }
+
+    res.json({
+      message: HAZARDOUS_OBJECTS[label]
+        ? 'Hazard reset to default'
+        : 'Custom hazard deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete hazard error:', error);
+    res.status(500).json({ error: 'Failed to delete hazard' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,271 @@
+const express = require('express');
+const { runQuery, getQuery, allQuery } = require('../database/database');
+const { authenticateToken } = require('../middleware/auth');
+const { requireHouseholdRole } = require('../middleware/household');
+const {
+  HOUSEHOLD_ROLES,
+  listMemberships,
+  setActiveHousehold,
+  createInvite,
+  redeemInvite
+} = require('../services/households');
+
+const router = express.Router();
+
+/**
+ * Number of owners in a household (it must always keep at least one)
+ */
+async function countOwners(householdId) {
+  const result = await getQuery(
+    "SELECT COUNT(*) as total FROM household_members WHERE household_id = ? AND role = 'owner'",
+    [householdId]
+  );
+  return result.total;
+}
+
+function toInvite(invite) {
+  return {
+    id: invite.id,
+    code: invite.code,
+    role: invite.role,
+    createdAt: invite.created_at,
+    expiresAt: invite.expires_at
+  };
+}
+
+// Get the active household with its members (and open invites for owners)
+router.get('/', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  try {
+    const { id, name, role } = req.household;
+
+    const members = await allQuery(
+      `SELECT u.id, u.username, m.role, m.joined_at
+       FROM household_members m
+       JOIN users u ON u.id = m.user_id
+       WHERE m.household_id = ?
+       ORDER BY m.joined_at`,
+      [id]
+    );
+
+    const invites = role === 'owner'
+      ? await allQuery(
+        `SELECT * FROM household_invites
+         WHERE household_id = ? AND used_at IS NULL AND expires_at > datetime('now')
+         ORDER BY created_at DESC`,
+        [id]
+      )
+      : [];
+
+    const households = await listMemberships(req.user.userId);
+
+    res.json({
+      household: { id, name, role },
+      members: members.map(member => ({
+        userId: member.id,
+        username: member.username,
+        role: member.role,
+        joinedAt: member.joined_at,
+        isYou: member.id === req.user.userId
+      })),
+      invites: invites.map(toInvite),
+      households: households.map(household => ({
+        id: household.id,
+        name: household.name,
+        role: household.role
+      })),
+      roles: HOUSEHOLD_ROLES
+    });
+  } catch (error) {
+    console.error('Get household error:', error);
+    res.status(500).json({ error: 'Failed to fetch household' });
+  }
+});
+
+// Rename the active household
+router.put('/', authenticateToken, requireHouseholdRole('owner'), async (req, res) => {
+  try {
+    const name = req.body.name ? String(req.body.name).trim() : '';
+
+    if (!name || name.length > 100) {
+      return res.status(400).json({ error: 'Household name must be 1-100 characters' });
+    }
+
+    await runQuery('UPDATE households SET name = ? WHERE id = ?', [name, req.household.id]);
+
+    res.json({
+      message: 'Household updated successfully',
+      household: { ...req.household, name }
+    });
+  } catch (error) {
+    console.error('Update household error:', error);
+    res.status(500).json({ error: 'Failed to update household' });
+  }
+});
+
+// Switch which of the user's households is active
+router.put('/active', authenticateToken, async (req, res) => {
+  try {
+    const householdId = parseInt(req.body.householdId);
+    const households = await listMemberships(req.user.userId);
+    const household = households.find(h => h.id === householdId);
+
+    if (!household) {
+      return res.status(404).json({ error: 'Household not found' });
+    }
+
+    await setActiveHousehold(req.user.userId, householdId);
+
+    res.json({
+      message: `Switched to ${household.name}`,
+      household: { id: household.id, name: household.name, role: household.role }
+    });
+  } catch (error) {
+    console.error('Switch household error:', error);
+    res.status(500).json({ error: 'Failed to switch household' });
+  }
+});
+
+// Create an invite code for the active household
+router.post('/invites', authenticateToken, requireHouseholdRole('owner'), async (req, res) => {
+  try {
+    const role = req.body.role || 'caregiver';
+
+    if (!HOUSEHOLD_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${HOUSEHOLD_ROLES.join(', ')}` });
+    }
+
+    const invite = await createInvite(req.household.id, role, req.user.userId);
+
+    res.status(201).json({
+      message: 'Invite created successfully',
+      invite: toInvite(invite)
+    });
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(500).json({ error: 'Failed to create invite' });
+  }
+});
+
+// Cancel an unused invite
+router.delete('/invites/:inviteId', authenticateToken, requireHouseholdRole('owner'), async (req, res) => {
+  try {
+    const result = await runQuery(
+      'DELETE FROM household_invites WHERE id = ? AND household_id = ? AND used_at IS NULL',
+      [req.params.inviteId, req.household.id]
+    );
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    res.json({ message: 'Invite cancelled successfully' });
+  } catch (error) {
+    console.error('Delete invite error:', error);
+    res.status(500).json({ error: 'Failed to cancel invite' });
+  }
+});
+
+// Join a household with an invite code
+router.post('/join', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Invite code is required' });
+    }
+
+    const household = await redeemInvite(code, req.user.userId);
+
+    if (!household) {
+      return res.status(404).json({ error: 'Invite code is invalid or has expired' });
+    }
+
+    res.json({
+      message: `Joined ${household.name}`,
+      household
+    });
+  } catch (error) {
+    console.error('Join household error:', error);
+    res.status(500).json({ error: 'Failed to join household' });
+  }
+});
+
+// Change a member's role
+router.put('/members/:userId', authenticateToken, requireHouseholdRole('owner'), async (req, res) => {
+  try {
+    const memberId = parseInt(req.params.userId);
+    const { role } = req.body;
+
+    if (!HOUSEHOLD_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${HOUSEHOLD_ROLES.join(', ')}` });
+    }
+
+    const member = await getQuery(
+      'SELECT role FROM household_members WHERE household_id = ? AND user_id = ?',
+      [req.household.id, memberId]
+    );
+
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (member.role === 'owner' && role !== 'owner' && await countOwners(req.household.id) <= 1) {
+      return res.status(400).json({ error: 'A household must keep at least one owner' });
+    }
+
+    await runQuery(
+      'UPDATE household_members SET role = ? WHERE household_id = ? AND user_id = ?',
+      [role, req.household.id, memberId]
+    );
+
+    res.json({ message: 'Member role updated successfully', userId: memberId, role });
+  } catch (error) {
+    console.error('Update member error:', error);
+    res.status(500).json({ error: 'Failed to update member' });
+  }
+});
+
+// Remove a member (owners can remove anyone; members can remove themselves to leave)
+router.delete('/members/:userId', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  try {
+    const memberId = parseInt(req.params.userId);
+    const leaving = memberId === req.user.userId;
+
+    if (!leaving && req.household.role !== 'owner') {
+      return res.status(403).json({
+        error: 'Only owners can remove other members',
+        code: 'INSUFFICIENT_ROLE'
+      });
+    }
+
+    const member = await getQuery(
+      'SELECT role FROM household_members WHERE household_id = ? AND user_id = ?',
+      [req.household.id, memberId]
+    );
+
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (member.role === 'owner' && await countOwners(req.household.id) <= 1) {
+      return res.status(400).json({ error: 'A household must keep at least one owner' });
+    }
+
+    // Their uploads stay with the household
+    await runQuery(
+      'DELETE FROM household_members WHERE household_id = ? AND user_id = ?',
+      [req.household.id, memberId]
+    );
+    await runQuery(
+      'UPDATE users SET active_household_id = NULL WHERE id = ? AND active_household_id = ?',
+      [memberId, req.household.id]
+    );
+
+    res.json({ message: leaving ? `You left ${req.household.name}` : 'Member removed successfully' });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const { getQuery } = require('../database/database');
+const { authenticateToken } = require('../middleware/auth');
+const { getDerivativePath, getExistingDerivatives, ensureDerivatives } = require('../services/derivatives');
+const { IMAGE_VARIANTS, verifyImageSignature } = require('../services/imageUrls');
+
+const router = express.Router();
+
+// Signed URLs carry their own authorization; anything else needs a token
+const authenticateUnlessSigned = (req, res, next) => (
+  req.query.signature ? next() : authenticateToken(req, res, next)
+);
+
+// Serve an image's original, or its small or medium derivative (falling back
+// to the original for images that have none, or none yet), to members of its
+// household or to anyone holding an unexpired signed URL
+router.get('/:imageId/:variant', authenticateUnlessSigned, async (req, res) => {
+  try {
+    const { imageId, variant } = req.params;
+
+    if (!IMAGE_VARIANTS.includes(variant)) {
+      return res.status(400).json({ error: `Variant must be one of: ${IMAGE_VARIANTS.join(', ')}` });
+    }
+
+    if (!req.user && !verifyImageSignature(imageId, variant, req.query.expires, req.query.signature)) {
+      return res.status(403).json({ error: 'Image link is invalid or has expired', code: 'INVALID_IMAGE_SIGNATURE' });
+    }
+
+    const image = await getQuery(
+      'SELECT id, household_id, filename, file_path, derivatives FROM image_records WHERE id = ?',
+      [imageId]
+    );
+
+    // Same response for other households' images, so ids can't be probed
+    const isMember = image && (!req.user || await getQuery(
+      'SELECT 1 FROM household_members WHERE household_id = ? AND user_id = ?',
+      [image.household_id, req.user.userId]
+    ));
+
+    if (!isMember || !fs.existsSync(image.file_path)) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    let filePath = path.resolve(image.file_path);
+    let isFallback = false;
+    if (variant !== 'original') {
+      const derivatives = getExistingDerivatives(image);
+
+      if (!derivatives) {
+        // Queued in the background (once per image) rather than decoded here
+        ensureDerivatives(image).catch(error => console.error('Derivative generation error:', error));
+      }
+
+      const derivative = derivatives && derivatives[variant];
+      if (derivative) {
+        filePath = getDerivativePath(derivative.filename);
+      } else {
+        isFallback = !derivatives;
+      }
+    }
+
+    // The client runs on another origin; signed URLs are cached until they
+    // expire, except for originals standing in for a derivative not made yet
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.set('Cache-Control', req.user || isFallback
+      ? 'private, no-cache'
+      : `private, max-age=${Math.max(0, parseInt(req.query.expires) - Math.floor(Date.now() / 1000))}`);
+    res.sendFile(filePath);
+  } catch (error) {
+    console.error('Get image file error:', error);
+    res.status(500).json({ error: 'Failed to fetch image' });
+  }
+});
+
+module.exports = router;
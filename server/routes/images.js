@@ -2,20 +2,33 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { Transform } = require('stream');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const { runQuery, getQuery, allQuery } = require('../database/database');
 const { authenticateToken } = require('../middleware/auth');
+const { requireHouseholdRole } = require('../middleware/household');
+const { enqueueAnalysis } = require('../services/jobQueue');
+const { publishImageStatus } = require('../services/analysisEvents');
+const { createScanSession, defaultScanSessionName } = require('../services/scanSessions');
+const { findRoom } = require('../services/rooms');
+const { deleteImageRecord } = require('../services/imageRemoval');
+const { getImageUrls, withImageUrls } = require('../services/imageUrls');
+const { scrubImageFile } = require('../services/exifScrubber');
+const { QUARANTINE_DIR, validateUpload, recordRejection } = require('../services/uploadValidation');
+const { checkStorageQuota } = require('../services/storageQuota');
 
 const router = express.Router();
 
+const UPLOAD_DIR = path.join(__dirname, '../../uploads');
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../../uploads');
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
+    if (!fs.existsSync(QUARANTINE_DIR)) {
+      fs.mkdirSync(QUARANTINE_DIR, { recursive: true });
     }
-    cb(null, uploadDir);
+    cb(null, QUARANTINE_DIR);
   },
   filename: (req, file, cb) => {
     // Generate unique filename
@@ -24,7 +37,8 @@ const storage = multer.diskStorage({
   }
 });
 
-// File filter to only allow images
+// File filter to only allow images. Rejected files are skipped and reported
+// on the request, so the routes can record them.
 const fileFilter = (req, file, cb) => {
   const allowedTypes = /jpeg|jpg|png|gif|webp/;
   const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
@@ -32,86 +46,526 @@ const fileFilter = (req, file, cb) => {
 
   if (mimetype && extname) {
     return cb(null, true);
-  } else {
-    cb(new Error('Only image files are allowed!'), false);
+  }
+
+  req.rejectedFiles = req.rejectedFiles || [];
+  req.rejectedFiles.push({
+    originalname: file.originalname,
+    mimetype: file.mimetype,
+    code: 'UNSUPPORTED_TYPE',
+    error: 'Only JPEG, PNG, GIF and WebP images are allowed'
+  });
+  cb(null, false);
+};
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB limit per file
+
+/**
+ * Stop writing a file once it passes MAX_FILE_SIZE and flag it as tooLarge,
+ * draining the rest of it, so one oversized file doesn't fail the request
+ * the way multer's fileSize limit does
+ */
+function limitFileSize(file) {
+  let size = 0;
+
+  const limited = file.stream.pipe(new Transform({
+    transform(chunk, encoding, cb) {
+      if (file.tooLarge) return cb();
+
+      size += chunk.length;
+      if (size > MAX_FILE_SIZE) {
+        file.tooLarge = true;
+        this.push(null);
+        return cb();
+      }
+
+      cb(null, chunk);
+    }
+  }));
+
+  // multer defines file.stream as read-only
+  Object.defineProperty(file, 'stream', { configurable: true, enumerable: false, value: limited });
+}
+
+const sizeLimitedStorage = {
+  _handleFile(req, file, cb) {
+    limitFileSize(file);
+    storage._handleFile(req, file, cb);
+  },
+  _removeFile(req, file, cb) {
+    storage._removeFile(req, file, cb);
   }
 };
 
+// Oversized files are flagged rather than failing in multer, so they can be
+// recorded like other rejections
 const upload = multer({
-  storage: storage,
+  storage: sizeLimitedStorage,
+  fileFilter: fileFilter
+});
+
+const MAX_BATCH_FILES = parseInt(process.env.MAX_BATCH_FILES) || 20;
+
+const batchUpload = multer({
+  storage: sizeLimitedStorage,
   limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
+    files: MAX_BATCH_FILES
   },
   fileFilter: fileFilter
 });
 
+/**
+ * Find a child in the household (uploads may optionally be tagged with one)
+ */
+async function findChild(childId, householdId) {
+  return getQuery(
+    'SELECT id FROM children WHERE id = ? AND household_id = ?',
+    [childId, householdId]
+  );
+}
+
+function removeUploadedFile(filePath) {
+  fs.unlink(filePath, (err) => {
+    if (err) console.error('Error deleting file:', err);
+  });
+}
+
+/**
+ * Validate a quarantined upload's bytes and scrub its identifying metadata
+ * (GPS, serial numbers, timestamps; the capture time is only reported when
+ * keepCaptureTime is set). A valid file is moved into the uploads directory
+ * (updating file.path, and setting file.privacy to the scrub report); a
+ * rejected one is deleted.
+ * @returns {Object|null} { code, error } when the file was rejected
+ */
+async function releaseFromQuarantine(file, { keepCaptureTime = false } = {}) {
+  const validation = await validateUpload(file);
+
+  if (validation.code) {
+    removeUploadedFile(file.path);
+    return { code: validation.code, error: validation.error };
+  }
+
+  try {
+    file.privacy = await scrubImageFile(file.path, { keepCaptureTime });
+  } catch (error) {
+    removeUploadedFile(file.path);
+    return { code: 'CORRUPT_IMAGE', error: `Image is damaged: ${error.message}` };
+  }
+
+  const releasedPath = path.join(UPLOAD_DIR, file.filename);
+  await fs.promises.rename(file.path, releasedPath);
+  file.path = releasedPath;
+  return null;
+}
+
+/**
+ * Delete a file flagged as over MAX_FILE_SIZE
+ * @returns {Object} { code, error }
+ */
+function tooLargeRejection(file) {
+  removeUploadedFile(file.path);
+  return { code: 'FILE_TOO_LARGE', error: `File is larger than ${MAX_FILE_SIZE / 1024 / 1024}MB` };
+}
+
+/**
+ * Record rejected uploads against the household, logging rather than
+ * failing the request if that goes wrong
+ */
+async function recordRejections(req, rejections) {
+  for (const rejection of rejections) {
+    try {
+      await recordRejection({
+        userId: req.user.userId,
+        householdId: req.household.id,
+        file: rejection,
+        code: rejection.code,
+        error: rejection.error
+      });
+    } catch (error) {
+      console.error('Record upload rejection error:', error);
+    }
+  }
+}
+
+async function hashFile(filePath) {
+  const buffer = await fs.promises.readFile(filePath);
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * An earlier upload of the same content by the same user to the household,
+ * whose file is still there
+ */
+async function findDuplicate(contentHash, userId, householdId) {
+  const image = await getQuery(
+    `SELECT id, filename, original_filename, file_path, child_id, room_id, scan_session_id, analysis_status
+     FROM image_records
+     WHERE content_hash = ? AND user_id = ? AND household_id = ?
+     ORDER BY id LIMIT 1`,
+    [contentHash, userId, householdId]
+  );
+
+  return image && fs.existsSync(image.file_path) ? image : null;
+}
+
+/**
+ * Save a released upload's record and queue its analysis.
+ *
+ * A file the user already uploaded links to the existing record instead (and
+ * is deleted), unless keepDuplicate is set: then it gets a record of its own
+ * marked as a duplicate, whose analysis comes from the detection cache. In a
+ * scan session, a linked record without a session joins this one; one that
+ * belongs to another session gets a duplicate record here instead.
+ *
+ * A file that would take the user or household over their storage quota is
+ * deleted and not recorded; only quotaExceeded ({ code, error, scope }) is
+ * returned then.
+ * @returns {Object} { imageId, filename, originalName, childId, roomId, status, duplicateOf, linked, privacy }
+ */
+async function recordUpload(file, {
+  userId,
+  householdId,
+  childId = null,
+  roomId = null,
+  scanSessionId = null,
+  keepDuplicate = false
+}) {
+  const { privacy } = file;
+  const contentHash = await hashFile(file.path);
+  const existing = await findDuplicate(contentHash, userId, householdId);
+  const inOtherSession = Boolean(scanSessionId && existing && existing.scan_session_id
+    && existing.scan_session_id !== scanSessionId);
+
+  if (existing && !keepDuplicate && !inOtherSession) {
+    removeUploadedFile(file.path);
+    if (scanSessionId && !existing.scan_session_id) {
+      await runQuery('UPDATE image_records SET scan_session_id = ? WHERE id = ?', [scanSessionId, existing.id]);
+    }
+    return {
+      imageId: existing.id,
+      filename: existing.filename,
+      originalName: existing.original_filename,
+      childId: existing.child_id,
+      roomId: existing.room_id,
+      status: existing.analysis_status,
+      duplicateOf: existing.id,
+      linked: true,
+      privacy
+    };
+  }
+
+  const { size: fileSize } = await fs.promises.stat(file.path);
+  const duplicateOf = existing ? existing.id : null;
+  const result = await runQuery(
+    `INSERT INTO image_records 
+     (filename, original_filename, file_path, user_id, household_id, child_id, room_id, scan_session_id,
+      content_hash, duplicate_of, orientation, captured_at, metadata_removed, file_size, analysis_status) 
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
+    [
+      file.filename, file.originalname, file.path, userId, householdId, childId, roomId, scanSessionId,
+      contentHash, duplicateOf, privacy.orientation, privacy.capturedAt, JSON.stringify(privacy.removed), fileSize
+    ]
+  );
+
+  // Checked once the record exists, so concurrent uploads count each other
+  // and can't all fit into the same remaining space
+  const quotaExceeded = await checkStorageQuota(userId, householdId, fileSize, { imageId: result.id });
+  if (quotaExceeded) {
+    await runQuery('DELETE FROM image_records WHERE id = ?', [result.id]);
+    removeUploadedFile(file.path);
+    return { quotaExceeded };
+  }
+
+  // Queue the analysis straight away - an idle worker picks it up immediately
+  await publishImageStatus(result.id);
+  await enqueueAnalysis(result.id);
+
+  return {
+    imageId: result.id,
+    filename: file.filename,
+    originalName: file.originalname,
+    childId,
+    roomId,
+    status: 'pending',
+    duplicateOf,
+    linked: false,
+    privacy
+  };
+}
+
 // Upload image
-router.post('/upload', authenticateToken, upload.single('image'), async (req, res) => {
+router.post('/upload', authenticateToken, requireHouseholdRole('caregiver'), upload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
+      const [rejection] = req.rejectedFiles || [];
+      if (rejection) {
+        await recordRejections(req, [rejection]);
+        return res.status(400).json({ error: rejection.error, code: rejection.code });
+      }
       return res.status(400).json({ error: 'No image file provided' });
     }
 
-    const { filename, originalname, path: filePath } = req.file;
-    const userId = req.user.userId;
+    const rejection = req.file.tooLarge
+      ? tooLargeRejection(req.file)
+      : await releaseFromQuarantine(req.file, { keepCaptureTime: req.body.keepCaptureTime === 'true' });
+    if (rejection) {
+      await recordRejections(req, [{ ...req.file, ...rejection }]);
+      return res.status(400).json({ error: rejection.error, code: rejection.code });
+    }
 
-    // Save image record to database
-    const result = await runQuery(
-      `INSERT INTO image_records 
-       (filename, original_filename, file_path, user_id, analysis_status) 
-       VALUES (?, ?, ?, ?, 'pending')`,
-      [filename, originalname, filePath, userId]
-    );
+    const { path: filePath } = req.file;
+    const householdId = req.household.id;
+    const childId = req.body.childId ? parseInt(req.body.childId) : null;
+    const roomId = req.body.roomId ? parseInt(req.body.roomId) : null;
+
+    // Optional child and room tags must belong to the household
+    if (childId && !(await findChild(childId, householdId))) {
+      removeUploadedFile(filePath);
+      return res.status(400).json({ error: 'Child not found' });
+    }
+
+    if (roomId && !(await findRoom(roomId, householdId))) {
+      removeUploadedFile(filePath);
+      return res.status(400).json({ error: 'Room not found' });
+    }
 
-    res.status(201).json({
-      message: 'Image uploaded successfully',
-      imageId: result.id,
-      filename: filename,
-      originalName: originalname,
-      status: 'pending'
+    const upload = await recordUpload(req.file, {
+      userId: req.user.userId,
+      householdId,
+      childId,
+      roomId,
+      keepDuplicate: req.body.keepDuplicate === 'true'
+    });
+
+    if (upload.quotaExceeded) {
+      const { error, code, scope } = upload.quotaExceeded;
+      return res.status(413).json({ error, code, scope });
+    }
+
+    res.status(upload.linked ? 200 : 201).json({
+      message: upload.linked ? 'Image was already uploaded' : 'Image uploaded successfully',
+      imageId: upload.imageId,
+      filename: upload.filename,
+      originalName: upload.originalName,
+      urls: getImageUrls(upload.imageId),
+      childId: upload.childId,
+      roomId: upload.roomId,
+      status: upload.status,
+      duplicate: Boolean(upload.duplicateOf),
+      duplicateOf: upload.duplicateOf,
+      linked: upload.linked,
+      privacy: upload.privacy
     });
   } catch (error) {
     console.error('Upload error:', error);
     
     // Clean up uploaded file if database insertion failed
     if (req.file && req.file.path) {
-      fs.unlink(req.file.path, (err) => {
-        if (err) console.error('Error deleting file:', err);
-      });
+      removeUploadedFile(req.file.path);
     }
     
     res.status(500).json({ error: 'Failed to upload image' });
   }
 });
 
-// Get user's images
-router.get('/my-images', authenticateToken, async (req, res) => {
+// Upload several images as one named scan session, with a result per file
+router.post('/batch', authenticateToken, requireHouseholdRole('caregiver'), batchUpload.array('images', MAX_BATCH_FILES), async (req, res) => {
+  const files = req.files || [];
+  const rejected = req.rejectedFiles || [];
+
+  try {
+    if (files.length === 0 && rejected.length === 0) {
+      return res.status(400).json({ error: 'No image files provided' });
+    }
+
+    const householdId = req.household.id;
+    const childId = req.body.childId ? parseInt(req.body.childId) : null;
+    const roomId = req.body.roomId ? parseInt(req.body.roomId) : null;
+    const name = req.body.name ? String(req.body.name).trim() : '';
+
+    if (name.length > 100) {
+      files.forEach(file => removeUploadedFile(file.path));
+      return res.status(400).json({ error: 'Scan session name must be at most 100 characters' });
+    }
+
+    if (childId && !(await findChild(childId, householdId))) {
+      files.forEach(file => removeUploadedFile(file.path));
+      return res.status(400).json({ error: 'Child not found' });
+    }
+
+    if (roomId && !(await findRoom(roomId, householdId))) {
+      files.forEach(file => removeUploadedFile(file.path));
+      return res.status(400).json({ error: 'Room not found' });
+    }
+
+    // Validate every file before anything is saved
+    const accepted = [];
+    for (const file of files) {
+      const rejection = file.tooLarge
+        ? tooLargeRejection(file)
+        : await releaseFromQuarantine(file, { keepCaptureTime: req.body.keepCaptureTime === 'true' });
+      if (rejection) {
+        rejected.push({ originalname: file.originalname, mimetype: file.mimetype, size: file.size, ...rejection });
+      } else {
+        accepted.push(file);
+      }
+    }
+
+    await recordRejections(req, rejected);
+
+    const results = rejected.map(file => ({
+      originalName: file.originalname,
+      success: false,
+      code: file.code,
+      error: file.error
+    }));
+
+    if (accepted.length === 0) {
+      return res.status(400).json({ error: 'None of the files could be uploaded', results });
+    }
+
+    const scanSession = await createScanSession(
+      householdId,
+      req.user.userId,
+      name || defaultScanSessionName()
+    );
+
+    // Each file succeeds or fails on its own
+    for (const file of accepted) {
+      try {
+        const upload = await recordUpload(file, {
+          userId: req.user.userId,
+          householdId,
+          childId,
+          roomId,
+          scanSessionId: scanSession.id,
+          keepDuplicate: req.body.keepDuplicate === 'true'
+        });
+
+        if (upload.quotaExceeded) {
+          const { error, code } = upload.quotaExceeded;
+          results.push({ originalName: file.originalname, success: false, code, error });
+          continue;
+        }
+
+        results.push({
+          originalName: file.originalname,
+          success: true,
+          imageId: upload.imageId,
+          filename: upload.filename,
+          urls: getImageUrls(upload.imageId),
+          status: upload.status,
+          duplicate: Boolean(upload.duplicateOf),
+          duplicateOf: upload.duplicateOf,
+          linked: upload.linked,
+          privacy: upload.privacy
+        });
+      } catch (error) {
+        console.error(`Batch upload error for ${file.originalname}:`, error);
+        removeUploadedFile(file.path);
+        results.push({ originalName: file.originalname, success: false, error: 'Failed to save image' });
+      }
+    }
+
+    const uploaded = results.filter(result => result.success).length;
+    const overQuota = results.some(result => result.code === 'STORAGE_QUOTA_EXCEEDED');
+
+    // Nothing was saved into the session
+    if (uploaded === 0) {
+      await runQuery('DELETE FROM scan_sessions WHERE id = ?', [scanSession.id]);
+    }
+
+    res.status(uploaded > 0 ? 201 : overQuota ? 413 : 500).json({
+      message: `Uploaded ${uploaded} of ${results.length} images`,
+      scanSession: uploaded > 0 ? {
+        id: scanSession.id,
+        name: scanSession.name,
+        createdAt: scanSession.created_at
+      } : null,
+      childId,
+      roomId,
+      uploaded,
+      failed: results.length - uploaded,
+      results
+    });
+  } catch (error) {
+    console.error('Batch upload error:', error);
+    files.forEach(file => removeUploadedFile(file.path));
+    res.status(500).json({ error: 'Failed to upload images' });
+  }
+});
+
+// Recent uploads the household's validation rejected, newest first
+router.get('/rejections', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const rejections = await allQuery(
+      `SELECT 
+        id, original_filename, mime_type, file_size, code, error, created_at,
+        (SELECT username FROM users WHERE users.id = upload_rejections.user_id) AS uploaded_by
+       FROM upload_rejections 
+       WHERE household_id = ? 
+       ORDER BY created_at DESC, id DESC 
+       LIMIT ?`,
+      [req.household.id, limit]
+    );
+
+    res.json({ rejections: rejections || [] });
+  } catch (error) {
+    console.error('Get upload rejections error:', error);
+    res.status(500).json({ error: 'Failed to fetch upload rejections' });
+  }
+});
+
+// Get the household's images
+router.get('/my-images', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
   try {
-    const userId = req.user.userId;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
+    const childId = req.query.childId ? parseInt(req.query.childId) : null;
+    const scanSessionId = req.query.scanSessionId ? parseInt(req.query.scanSessionId) : null;
+    const roomId = req.query.roomId ? parseInt(req.query.roomId) : null;
+
+    let whereClause = 'WHERE household_id = ?';
+    const params = [req.household.id];
+    if (childId) {
+      whereClause += ' AND child_id = ?';
+      params.push(childId);
+    }
+    if (scanSessionId) {
+      whereClause += ' AND scan_session_id = ?';
+      params.push(scanSessionId);
+    }
+    if (roomId) {
+      whereClause += ' AND room_id = ?';
+      params.push(roomId);
+    }
 
     const images = await allQuery(
       `SELECT 
         id, filename, original_filename, upload_timestamp, 
         analysis_status, detected_objects, risk_level, 
-        risk_description, confidence_scores
+        risk_description, confidence_scores, child_id, user_id,
+        analysis_attempts, last_error, next_attempt_at, scan_session_id, room_id, placeholder, duplicate_of, captured_at, original_removed_at,
+        (SELECT username FROM users WHERE users.id = image_records.user_id) AS uploaded_by
        FROM image_records 
-       WHERE user_id = ? 
+       ${whereClause} 
        ORDER BY upload_timestamp DESC 
        LIMIT ? OFFSET ?`,
-      [userId, limit, offset]
+      [...params, limit, offset]
     );
 
     // Get total count for pagination
     const countResult = await getQuery(
-      'SELECT COUNT(*) as total FROM image_records WHERE user_id = ?',
-      [userId]
+      `SELECT COUNT(*) as total FROM image_records ${whereClause}`,
+      params
     );
 
     res.json({
-      images: images || [],
+      images: (images || []).map(withImageUrls),
       pagination: {
         page,
         limit,
@@ -126,61 +580,82 @@ router.get('/my-images', authenticateToken, async (req, res) => {
 });
 
 // Get specific image details
-router.get('/:imageId', authenticateToken, async (req, res) => {
+router.get('/:imageId', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
   try {
     const { imageId } = req.params;
-    const userId = req.user.userId;
 
     const image = await getQuery(
       `SELECT 
         id, filename, original_filename, upload_timestamp, 
         analysis_status, detected_objects, risk_level, 
-        risk_description, confidence_scores
+        risk_description, confidence_scores, image_info, child_id, user_id,
+        analysis_attempts, last_error, next_attempt_at, scan_session_id, room_id, placeholder, duplicate_of, captured_at, original_removed_at,
+        (SELECT username FROM users WHERE users.id = image_records.user_id) AS uploaded_by
        FROM image_records 
-       WHERE id = ? AND user_id = ?`,
-      [imageId, userId]
+       WHERE id = ? AND household_id = ?`,
+      [imageId, req.household.id]
     );
 
     if (!image) {
       return res.status(404).json({ error: 'Image not found' });
     }
 
-    res.json({ image });
+    res.json({
+      image: {
+        ...withImageUrls(image),
+        imageInfo: image.image_info ? JSON.parse(image.image_info) : null
+      }
+    });
   } catch (error) {
     console.error('Get image error:', error);
     res.status(500).json({ error: 'Failed to fetch image details' });
   }
 });
 
-// Delete image
-router.delete('/:imageId', authenticateToken, async (req, res) => {
+// Fresh signed URLs for an image, for pages open longer than the URLs last
+router.get('/:imageId/urls', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  try {
+    const image = await getQuery(
+      'SELECT id FROM image_records WHERE id = ? AND household_id = ?',
+      [req.params.imageId, req.household.id]
+    );
+
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    res.json({ urls: getImageUrls(image.id) });
+  } catch (error) {
+    console.error('Get image URLs error:', error);
+    res.status(500).json({ error: 'Failed to sign image URLs' });
+  }
+});
+
+// Delete image (caregivers can delete their own uploads, owners any image)
+router.delete('/:imageId', authenticateToken, requireHouseholdRole('caregiver'), async (req, res) => {
   try {
     const { imageId } = req.params;
-    const userId = req.user.userId;
+    const householdId = req.household.id;
 
     // Get image details first
     const image = await getQuery(
-      'SELECT filename, file_path FROM image_records WHERE id = ? AND user_id = ?',
-      [imageId, userId]
+      'SELECT id, filename, file_path, derivatives, user_id FROM image_records WHERE id = ? AND household_id = ?',
+      [imageId, householdId]
     );
 
     if (!image) {
       return res.status(404).json({ error: 'Image not found' });
     }
 
-    // Delete from database
-    await runQuery(
-      'DELETE FROM image_records WHERE id = ? AND user_id = ?',
-      [imageId, userId]
-    );
-
-    // Delete file from filesystem
-    if (fs.existsSync(image.file_path)) {
-      fs.unlink(image.file_path, (err) => {
-        if (err) console.error('Error deleting file:', err);
+    if (req.household.role !== 'owner' && image.user_id !== req.user.userId) {
+      return res.status(403).json({
+        error: 'Only household owners can delete images uploaded by others',
+        code: 'INSUFFICIENT_ROLE'
       });
     }
 
+    await deleteImageRecord(image);
+
     res.json({ message: 'Image deleted successfully' });
   } catch (error) {
     console.error('Delete image error:', error);
@@ -191,15 +666,11 @@ router.delete('/:imageId', authenticateToken, async (req, res) => {
 // Error handling middleware for multer
 router.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
-    if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ error: 'File too large. Maximum size is 10MB.' });
+    if (error.code === 'LIMIT_FILE_COUNT' || (error.code === 'LIMIT_UNEXPECTED_FILE' && error.field === 'images')) {
+      return res.status(400).json({ error: `Too many files. Maximum is ${MAX_BATCH_FILES} per batch.` });
     }
   }
   
-  if (error.message === 'Only image files are allowed!') {
-    return res.status(400).json({ error: error.message });
-  }
-  
   next(error);
 });
 
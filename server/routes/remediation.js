@@ -0,0 +1,115 @@
+const express = require('express');
+const { getQuery, allQuery } = require('../database/database');
+const { authenticateToken } = require('../middleware/auth');
+const { requireHouseholdRole } = require('../middleware/household');
+const { RISK_ORDER } = require('../services/riskSummary');
+const {
+  HAZARD_ITEM_STATUSES,
+  toHazardItem,
+  updateHazardItem
+} = require('../services/remediation');
+
+const router = express.Router();
+
+/**
+ * Load a hazard item in the household with its room name, or null
+ */
+async function findHazardItem(itemId, householdId) {
+  return getQuery(
+    `SELECT h.*, r.name AS room_name, u.username AS resolved_by_username
+     FROM hazard_items h
+     LEFT JOIN rooms r ON r.id = h.room_id
+     LEFT JOIN users u ON u.id = h.resolved_by
+     WHERE h.id = ? AND h.household_id = ?`,
+    [itemId, householdId]
+  );
+}
+
+// Get the household's hazard items, most severe and most recently seen first.
+// ?status= takes a comma separated list (default: open,acknowledged)
+router.get('/', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  try {
+    const statuses = String(req.query.status || 'open,acknowledged').split(',').map(status => status.trim());
+    const invalid = statuses.filter(status => !HAZARD_ITEM_STATUSES.includes(status));
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: `Status must be one of: ${HAZARD_ITEM_STATUSES.join(', ')}`
+      });
+    }
+
+    let sql = `
+      SELECT h.*, r.name AS room_name, u.username AS resolved_by_username
+      FROM hazard_items h
+      LEFT JOIN rooms r ON r.id = h.room_id
+      LEFT JOIN users u ON u.id = h.resolved_by
+      WHERE h.household_id = ? AND h.status IN (${statuses.map(() => '?').join(', ')})
+    `;
+    const params = [req.household.id, ...statuses];
+
+    if (req.query.roomId) {
+      sql += ' AND h.room_id = ?';
+      params.push(req.query.roomId);
+    }
+
+    const items = await allQuery(`${sql} ORDER BY h.last_seen_at DESC, h.id DESC`, params);
+    items.sort((a, b) => RISK_ORDER.indexOf(b.risk_level) - RISK_ORDER.indexOf(a.risk_level));
+
+    const counts = await allQuery(
+      'SELECT status, COUNT(*) AS count FROM hazard_items WHERE household_id = ? GROUP BY status',
+      [req.household.id]
+    );
+
+    res.json({
+      items: items.map(toHazardItem),
+      counts: Object.fromEntries(HAZARD_ITEM_STATUSES.map(status => [
+        status,
+        (counts.find(row => row.status === status) || { count: 0 }).count
+      ]))
+    });
+  } catch (error) {
+    console.error('Get hazard items error:', error);
+    res.status(500).json({ error: 'Failed to fetch hazard items' });
+  }
+});
+
+// Update a hazard item's status and/or notes
+router.put('/:itemId', authenticateToken, requireHouseholdRole('caregiver'), async (req, res) => {
+  try {
+    const { status, notes } = req.body;
+
+    if (status !== undefined && !HAZARD_ITEM_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Status must be one of: ${HAZARD_ITEM_STATUSES.join(', ')}`
+      });
+    }
+
+    if (notes !== undefined && notes !== null && String(notes).length > 1000) {
+      return res.status(400).json({ error: 'Notes must be at most 1000 characters' });
+    }
+
+    const item = await findHazardItem(req.params.itemId, req.household.id);
+
+    if (!item) {
+      return res.status(404).json({ error: 'Hazard item not found' });
+    }
+
+    await updateHazardItem(
+      item,
+      { status, notes: notes === undefined || notes === null ? notes : String(notes).trim() },
+      req.user.userId
+    );
+
+    const updated = await findHazardItem(item.id, req.household.id);
+
+    res.json({
+      message: 'Hazard item updated successfully',
+      item: toHazardItem(updated)
+    });
+  } catch (error) {
+    console.error('Update hazard item error:', error);
+    res.status(500).json({ error: 'Failed to update hazard item' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { requireHouseholdRole } = require('../middleware/household');
+const {
+  REPORT_FORMATS,
+  MAX_REPORT_IMAGES,
+  resolveReportFilter,
+  getReportRows,
+  buildCsvReport,
+  writePdfReport
+} = require('../services/reports');
+
+const router = express.Router();
+
+// Download a safety report of the household's analyses as PDF (default) or
+// CSV. ?from= and ?to= (YYYY-MM-DD, UTC), ?childId= and ?roomId= narrow it.
+router.get('/', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  try {
+    const format = req.query.format || 'pdf';
+
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Format must be one of: ${REPORT_FORMATS.join(', ')}` });
+    }
+
+    const { filter, error } = await resolveReportFilter(req.query, req.household.id);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const rows = await getReportRows(filter);
+
+    if (!rows) {
+      return res.status(400).json({
+        error: `Reports are limited to ${MAX_REPORT_IMAGES} photos - choose a shorter date range`
+      });
+    }
+
+    const filename = `alwaycare-report-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.attachment(filename);
+
+    if (format === 'csv') {
+      return res.type('text/csv').send(buildCsvReport(rows));
+    }
+
+    res.type('application/pdf');
+    writePdfReport(res, { householdName: req.household.name, filter, rows });
+  } catch (error) {
+    console.error('Generate report error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ error: 'Failed to generate report' });
+  }
+});
+
+module.exports = router;
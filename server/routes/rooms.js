@@ -0,0 +1,193 @@
+const express = require('express');
+const { runQuery, allQuery } = require('../database/database');
+const { authenticateToken } = require('../middleware/auth');
+const { requireHouseholdRole } = require('../middleware/household');
+const { ROOM_KINDS, toRoom, findRoom, getRoomSummary, getCurrentRisk } = require('../services/rooms');
+const { summarizeImages } = require('../services/riskSummary');
+const { OUTSTANDING_STATUSES, toHazardItem, getOutstandingItems } = require('../services/remediation');
+
+const router = express.Router();
+
+/**
+ * Validate a room payload; returns an error message or null
+ */
+function validateRoom({ name, kind }) {
+  if (!name || !String(name).trim() || String(name).trim().length > 60) {
+    return 'Room name must be 1-60 characters';
+  }
+
+  if (kind !== undefined && !ROOM_KINDS.includes(kind)) {
+    return `Room kind must be one of: ${ROOM_KINDS.join(', ')}`;
+  }
+
+  return null;
+}
+
+function isDuplicateName(error) {
+  return /UNIQUE constraint failed/.test(error.message);
+}
+
+// Get the household's rooms with each room's risk summary and the hazards
+// still outstanding there (the home map)
+router.get('/', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  try {
+    const rooms = await allQuery(
+      'SELECT * FROM rooms WHERE household_id = ? ORDER BY name',
+      [req.household.id]
+    );
+
+    const images = await allQuery(
+      `SELECT room_id, analysis_status, risk_level, confidence_scores, upload_timestamp
+       FROM image_records
+       WHERE household_id = ? AND room_id IS NOT NULL`,
+      [req.household.id]
+    );
+
+    const outstanding = await getOutstandingItems(req.household.id);
+
+    res.json({
+      rooms: rooms.map(room => {
+        const summary = summarizeImages(images.filter(image => image.room_id === room.id));
+        const items = outstanding.filter(item => item.room_id === room.id);
+
+        return {
+          ...toRoom(room),
+          summary,
+          currentRisk: getCurrentRisk(summary, items),
+          outstanding: items.map(toHazardItem)
+        };
+      }),
+      kinds: ROOM_KINDS
+    });
+  } catch (error) {
+    console.error('Get rooms error:', error);
+    res.status(500).json({ error: 'Failed to fetch rooms' });
+  }
+});
+
+// Add a room
+router.post('/', authenticateToken, requireHouseholdRole('caregiver'), async (req, res) => {
+  try {
+    const { name, kind = 'other' } = req.body;
+
+    const validationError = validateRoom({ name, kind });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await runQuery(
+      'INSERT INTO rooms (household_id, name, kind, created_by) VALUES (?, ?, ?, ?)',
+      [req.household.id, String(name).trim(), kind, req.user.userId]
+    );
+
+    const room = await findRoom(result.id, req.household.id);
+
+    res.status(201).json({
+      message: 'Room added successfully',
+      room: toRoom(room)
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ error: 'A room with that name already exists' });
+    }
+    console.error('Create room error:', error);
+    res.status(500).json({ error: 'Failed to add room' });
+  }
+});
+
+// Get a room's summary: worst risk, the hazards merged from all its images and
+// their remediation items
+router.get('/:roomId/summary', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  try {
+    const room = await findRoom(req.params.roomId, req.household.id);
+
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const summary = await getRoomSummary(room.id);
+
+    const hazardItems = await allQuery(
+      'SELECT * FROM hazard_items WHERE room_id = ? ORDER BY last_seen_at DESC, id DESC',
+      [room.id]
+    );
+    const outstanding = hazardItems.filter(item => OUTSTANDING_STATUSES.includes(item.status));
+
+    const recentImages = await allQuery(
+      `SELECT id, filename, original_filename, upload_timestamp, analysis_status, risk_level
+       FROM image_records
+       WHERE room_id = ?
+       ORDER BY upload_timestamp DESC, id DESC
+       LIMIT 10`,
+      [room.id]
+    );
+
+    res.json({
+      room: toRoom(room),
+      summary,
+      currentRisk: getCurrentRisk(summary, outstanding),
+      hazardItems: hazardItems.map(toHazardItem),
+      recentImages
+    });
+  } catch (error) {
+    console.error('Get room summary error:', error);
+    res.status(500).json({ error: 'Failed to fetch room summary' });
+  }
+});
+
+// Update a room
+router.put('/:roomId', authenticateToken, requireHouseholdRole('caregiver'), async (req, res) => {
+  try {
+    const room = await findRoom(req.params.roomId, req.household.id);
+
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const name = req.body.name !== undefined ? req.body.name : room.name;
+    const kind = req.body.kind !== undefined ? req.body.kind : room.kind;
+
+    const validationError = validateRoom({ name, kind });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    await runQuery(
+      'UPDATE rooms SET name = ?, kind = ? WHERE id = ?',
+      [String(name).trim(), kind, room.id]
+    );
+
+    res.json({
+      message: 'Room updated successfully',
+      room: toRoom({ ...room, name: String(name).trim(), kind })
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ error: 'A room with that name already exists' });
+    }
+    console.error('Update room error:', error);
+    res.status(500).json({ error: 'Failed to update room' });
+  }
+});
+
+// Delete a room; its images and hazard items are kept but no longer tagged
+router.delete('/:roomId', authenticateToken, requireHouseholdRole('caregiver'), async (req, res) => {
+  try {
+    const room = await findRoom(req.params.roomId, req.household.id);
+
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    await runQuery('UPDATE image_records SET room_id = NULL WHERE room_id = ?', [room.id]);
+    await runQuery('UPDATE hazard_items SET room_id = NULL WHERE room_id = ?', [room.id]);
+    await runQuery('DELETE FROM rooms WHERE id = ?', [room.id]);
+
+    res.json({ message: 'Room deleted successfully' });
+  } catch (error) {
+    console.error('Delete room error:', error);
+    res.status(500).json({ error: 'Failed to delete room' });
+  }
+});
+
+module.exports = router;
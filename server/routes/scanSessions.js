@@ -0,0 +1,139 @@
+const express = require('express');
+const { runQuery, getQuery, allQuery } = require('../database/database');
+const { authenticateToken } = require('../middleware/auth');
+const { requireHouseholdRole } = require('../middleware/household');
+const { summarizeImages } = require('../services/riskSummary');
+
+const router = express.Router();
+
+function toScanSession(session, images) {
+  return {
+    id: session.id,
+    name: session.name,
+    createdAt: session.created_at,
+    createdBy: session.created_by_username,
+    summary: summarizeImages(images)
+  };
+}
+
+/**
+ * Load a scan session in the household, or null
+ */
+async function findScanSession(scanSessionId, householdId) {
+  return getQuery(
+    `SELECT s.*, u.username AS created_by_username
+     FROM scan_sessions s
+     LEFT JOIN users u ON u.id = s.created_by
+     WHERE s.id = ? AND s.household_id = ?`,
+    [scanSessionId, householdId]
+  );
+}
+
+// Get the household's scan sessions, newest first, with their risk summaries
+router.get('/', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  try {
+    const sessions = await allQuery(
+      `SELECT s.*, u.username AS created_by_username
+       FROM scan_sessions s
+       LEFT JOIN users u ON u.id = s.created_by
+       WHERE s.household_id = ?
+       ORDER BY s.created_at DESC, s.id DESC`,
+      [req.household.id]
+    );
+
+    const images = await allQuery(
+      `SELECT scan_session_id, analysis_status, risk_level, confidence_scores, upload_timestamp
+       FROM image_records
+       WHERE household_id = ? AND scan_session_id IS NOT NULL`,
+      [req.household.id]
+    );
+
+    res.json({
+      scanSessions: sessions.map(session => toScanSession(
+        session,
+        images.filter(image => image.scan_session_id === session.id)
+      ))
+    });
+  } catch (error) {
+    console.error('Get scan sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch scan sessions' });
+  }
+});
+
+// Get a scan session with its images and risk summary
+router.get('/:scanSessionId', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  try {
+    const session = await findScanSession(req.params.scanSessionId, req.household.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Scan session not found' });
+    }
+
+    const images = await allQuery(
+      `SELECT
+        id, filename, original_filename, upload_timestamp, child_id,
+        analysis_status, risk_level, risk_description, confidence_scores
+       FROM image_records
+       WHERE scan_session_id = ?
+       ORDER BY upload_timestamp, id`,
+      [session.id]
+    );
+
+    res.json({
+      scanSession: toScanSession(session, images),
+      images: images.map(({ confidence_scores: confidenceScores, ...image }) => ({
+        ...image,
+        confidenceScores: confidenceScores ? JSON.parse(confidenceScores) : null
+      }))
+    });
+  } catch (error) {
+    console.error('Get scan session error:', error);
+    res.status(500).json({ error: 'Failed to fetch scan session' });
+  }
+});
+
+// Rename a scan session
+router.put('/:scanSessionId', authenticateToken, requireHouseholdRole('caregiver'), async (req, res) => {
+  try {
+    const name = req.body.name ? String(req.body.name).trim() : '';
+
+    if (!name || name.length > 100) {
+      return res.status(400).json({ error: 'Scan session name must be 1-100 characters' });
+    }
+
+    const result = await runQuery(
+      'UPDATE scan_sessions SET name = ? WHERE id = ? AND household_id = ?',
+      [name, req.params.scanSessionId, req.household.id]
+    );
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Scan session not found' });
+    }
+
+    res.json({ message: 'Scan session renamed successfully', id: parseInt(req.params.scanSessionId), name });
+  } catch (error) {
+    console.error('Rename scan session error:', error);
+    res.status(500).json({ error: 'Failed to rename scan session' });
+  }
+});
+
+// Delete a scan session; its images are kept, just no longer grouped
+router.delete('/:scanSessionId', authenticateToken, requireHouseholdRole('caregiver'), async (req, res) => {
+  try {
+    const session = await findScanSession(req.params.scanSessionId, req.household.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Scan session not found' });
+    }
+
+    await runQuery('UPDATE image_records SET scan_session_id = NULL WHERE scan_session_id = ?', [session.id]);
+    await runQuery('DELETE FROM scan_sessions WHERE id = ?', [session.id]);
+
+    res.json({ message: 'Scan session deleted successfully' });
+  } catch (error) {
+    console.error('Delete scan session error:', error);
+    res.status(500).json({ error: 'Failed to delete scan session' });
+  }
+});
+
+module.exports = router;
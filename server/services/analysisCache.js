@@ -0,0 +1,53 @@
+const { runQuery, getQuery } = require('../database/database');
+
+// Detections depend only on the file's bytes, the detector version and (for
+// seeded simulations) the seed. Risk levels are not cached: they are scored
+// afterwards against the uploader's catalogue and the tagged child.
+
+const cacheKey = ({ contentHash, detector, seed }) => [
+  contentHash,
+  detector.name,
+  detector.version,
+  detector.usesSeed && seed !== null ? seed : ''
+];
+
+/**
+ * Cached detections for an image's content and the detector, if any
+ * @param {Object} key - { contentHash, detector, seed }
+ * @returns {Array|null} The detections, or null on a cache miss
+ */
+async function getCachedDetections(key) {
+  const entry = await getQuery(
+    `SELECT id, detected_objects FROM analysis_cache
+     WHERE content_hash = ? AND detector = ? AND detector_version = ? AND seed = ?`,
+    cacheKey(key)
+  );
+
+  if (!entry) {
+    return null;
+  }
+
+  await runQuery(
+    'UPDATE analysis_cache SET hit_count = hit_count + 1, last_used_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [entry.id]
+  );
+
+  return JSON.parse(entry.detected_objects);
+}
+
+/**
+ * Store (or replace, after a forced re-run) the detections for a content hash
+ */
+async function cacheDetections(key, detectedObjects) {
+  await runQuery(
+    `INSERT OR REPLACE INTO analysis_cache
+     (content_hash, detector, detector_version, seed, detected_objects)
+     VALUES (?, ?, ?, ?, ?)`,
+    [...cacheKey(key), JSON.stringify(detectedObjects)]
+  );
+}
+
+module.exports = {
+  getCachedDetections,
+  cacheDetections
+};
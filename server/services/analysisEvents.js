@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { getQuery } = require('../database/database');
+
+// Recent events kept in memory so reconnecting clients can catch up
+const REPLAY_BUFFER_SIZE = parseInt(process.env.EVENT_REPLAY_BUFFER_SIZE) || 500;
+
+// Event ids are "<stream>-<sequence>". The stream id changes on every start,
+// so a client resuming from before a restart knows it has to refetch.
+const STREAM_ID = crypto.randomBytes(4).toString('hex');
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const recentEvents = [];
+let sequence = 0;
+
+/**
+ * Publish an event to the household's subscribers
+ * @param {number} householdId - Household the event belongs to
+ * @param {string} type - SSE event name
+ * @param {Object} data - JSON payload
+ */
+function publishEvent(householdId, type, data) {
+  sequence++;
+  const event = { id: `${STREAM_ID}-${sequence}`, sequence, householdId, type, data };
+
+  recentEvents.push(event);
+  if (recentEvents.length > REPLAY_BUFFER_SIZE) {
+    recentEvents.shift();
+  }
+
+  emitter.emit('event', event);
+  return event;
+}
+
+/**
+ * Publish an image's current analysis state: a 'completed' event with the
+ * results once analyzed, otherwise a 'status' event. Never throws, so a
+ * failed publish cannot fail the analysis itself.
+ */
+async function publishImageStatus(imageId) {
+  try {
+    const image = await getQuery(
+      `SELECT
+        id, household_id, filename, original_filename, upload_timestamp,
+        analysis_status, detected_objects, risk_level,
+        risk_description, confidence_scores, image_info, child_id, user_id,
+        analysis_attempts, last_error, next_attempt_at, scan_session_id, room_id, placeholder, duplicate_of, captured_at, original_removed_at,
+        (SELECT username FROM users WHERE users.id = image_records.user_id) AS uploaded_by
+       FROM image_records
+       WHERE id = ?`,
+      [imageId]
+    );
+
+    if (!image) {
+      return;
+    }
+
+    const { household_id: householdId, ...fields } = image;
+    const completed = image.analysis_status === 'completed';
+
+    publishEvent(householdId, completed ? 'completed' : 'status', {
+      imageId: image.id,
+      status: image.analysis_status,
+      image: {
+        ...fields,
+        detectedObjects: image.detected_objects ? JSON.parse(image.detected_objects) : null,
+        confidenceScores: image.confidence_scores ? JSON.parse(image.confidence_scores) : null,
+        imageInfo: image.image_info ? JSON.parse(image.image_info) : null
+      }
+    });
+  } catch (error) {
+    console.error('Publish analysis event error:', error);
+  }
+}
+
+/**
+ * Events for a household published after lastEventId
+ * @returns {Array|null} The missed events, or null if they are no longer
+ * available (server restarted or the buffer has moved past them)
+ */
+function getEventsSince(householdId, lastEventId) {
+  const [streamId, lastSequence] = String(lastEventId).split('-');
+  const since = parseInt(lastSequence);
+
+  if (streamId !== STREAM_ID || isNaN(since) || since > sequence) {
+    return null;
+  }
+
+  if (recentEvents.length > 0 && recentEvents[0].sequence > since + 1) {
+    return null;
+  }
+
+  return recentEvents.filter(event => event.sequence > since && event.householdId === householdId);
+}
+
+/**
+ * Id of the latest event, for clients to resume from
+ */
+function getCurrentEventId() {
+  return `${STREAM_ID}-${sequence}`;
+}
+
+/**
+ * Receive every published event
+ * @returns {Function} Unsubscribe
+ */
+function subscribeToEvents(listener) {
+  emitter.on('event', listener);
+  return () => emitter.removeListener('event', listener);
+}
+
+module.exports = {
+  publishEvent,
+  publishImageStatus,
+  getEventsSince,
+  getCurrentEventId,
+  subscribeToEvents
+};
@@ -1,74 +1,168 @@
 const { runQuery, getQuery, allQuery } = require('../database/database');
 const { processImageAnalysis } = require('./imageAnalysis');
+const { getHazardCatalogue } = require('./hazardCatalogue');
+const { getChildProfile } = require('./childProfiles');
+const { enqueueAnalysis, finishJob, cancelQueuedJobs } = require('./jobQueue');
+const { publishImageStatus } = require('./analysisEvents');
+const { syncHazardItems } = require('./remediation');
+const { deleteImageRecord, removeImageOriginal } = require('./imageRemoval');
+const { ensureDerivatives } = require('./derivatives');
+
+// Attempts before a failing image is marked 'dead' and no longer retried
+const MAX_ANALYSIS_ATTEMPTS = parseInt(process.env.ANALYSIS_MAX_ATTEMPTS) || 5;
+// Retry delays double from the base up to the maximum (30s, 1m, 2m, ...)
+const RETRY_BASE_DELAY_SECONDS = parseInt(process.env.ANALYSIS_RETRY_BASE_SECONDS) || 30;
+const RETRY_MAX_DELAY_SECONDS = parseInt(process.env.ANALYSIS_RETRY_MAX_SECONDS) || 3600;
 
 /**
- * Process all pending images in the background
- * This function is called periodically by the scheduler
+ * Analyze an image against the uploader's hazard catalogue and the tagged
+ * child's age band, and store the results on its record
+ * @param {Object} image - image_records row (id, file_path, user_id, child_id)
+ * @param {Object} options - { seed, force } passed through to processImageAnalysis
+ * @returns {Object} The analysis result
  */
-async function processPendingImages() {
-  try {
-    // Get all pending images
-    const pendingImages = await allQuery(
-      `SELECT id, filename, file_path, user_id 
-       FROM image_records 
-       WHERE analysis_status = 'pending' 
-       ORDER BY upload_timestamp ASC 
-       LIMIT 5`
-    );
+async function analyzeImage(image, options = {}) {
+  const catalogue = await getHazardCatalogue(image.user_id);
+  const child = await getChildProfile(image.child_id);
+  const analysisResult = await processImageAnalysis(image.file_path, {
+    ...options,
+    catalogue,
+    child
+  });
+
+  // Update database with results
+  await runQuery(
+    `UPDATE image_records 
+     SET analysis_status = ?, detected_objects = ?, risk_level = ?, 
+         risk_description = ?, confidence_scores = ?, image_info = ?,
+         simulation_seed = ?, content_hash = ?, last_error = NULL, next_attempt_at = NULL
+     WHERE id = ?`,
+    [
+      'completed',
+      JSON.stringify(analysisResult.detectedObjects),
+      analysisResult.riskLevel,
+      analysisResult.riskDescription,
+      JSON.stringify(analysisResult.confidenceScores),
+      JSON.stringify(analysisResult.imageInfo),
+      analysisResult.seed,
+      analysisResult.contentHash,
+      image.id
+    ]
+  );
+
+  // Remediation tracking is bookkeeping; it must not fail the analysis
+  await syncHazardItems(image.id).catch(error => console.error('Hazard item sync error:', error));
+  await publishImageStatus(image.id);
+
+  return analysisResult;
+}
 
-    if (!pendingImages || pendingImages.length === 0) {
-      return; // No pending images to process
-    }
+/**
+ * Mark an image as being analyzed and count the attempt
+ * @param {boolean} fresh - Start a new retry cycle (manual runs and re-queues)
+ */
+async function startAnalysisAttempt(imageId, { fresh = false } = {}) {
+  await runQuery(
+    `UPDATE image_records
+     SET analysis_status = 'processing', next_attempt_at = NULL,
+         analysis_attempts = ${fresh ? '1' : 'analysis_attempts + 1'}
+     WHERE id = ?`,
+    [imageId]
+  );
+  await publishImageStatus(imageId);
+}
 
-    console.log(`🔄 Processing ${pendingImages.length} pending images...`);
+/**
+ * Seconds to wait before the next attempt: the base delay doubled for each
+ * attempt already made, capped at the maximum
+ */
+function getRetryDelaySeconds(attempts) {
+  return Math.min(RETRY_BASE_DELAY_SECONDS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_DELAY_SECONDS);
+}
 
-    // Process each pending image
-    for (const image of pendingImages) {
-      try {
-        // Update status to processing
-        await runQuery(
-          'UPDATE image_records SET analysis_status = ? WHERE id = ?',
-          ['processing', image.id]
-        );
+/**
+ * Record a failed attempt and either schedule a retry with backoff or, once
+ * the attempts are used up, move the image to the terminal 'dead' state
+ * @returns {Object} { status, attempts, nextAttemptAt }
+ */
+async function recordAnalysisFailure(imageId, error) {
+  const image = await getQuery(
+    'SELECT analysis_attempts FROM image_records WHERE id = ?',
+    [imageId]
+  );
+  const attempts = image ? image.analysis_attempts : 0;
+  const message = error && error.message ? error.message : String(error);
+
+  if (attempts >= MAX_ANALYSIS_ATTEMPTS) {
+    await runQuery(
+      `UPDATE image_records
+       SET analysis_status = 'dead', last_error = ?, next_attempt_at = NULL
+       WHERE id = ?`,
+      [message, imageId]
+    );
+    await publishImageStatus(imageId);
+    console.log(`💀 Giving up on image ${imageId} after ${attempts} attempt(s)`);
+    return { status: 'dead', attempts, nextAttemptAt: null };
+  }
+
+  const delaySeconds = getRetryDelaySeconds(attempts);
+  await runQuery(
+    `UPDATE image_records
+     SET analysis_status = 'failed', last_error = ?, next_attempt_at = datetime('now', ?)
+     WHERE id = ?`,
+    [message, `+${delaySeconds} seconds`, imageId]
+  );
+  await publishImageStatus(imageId);
+  await enqueueAnalysis(imageId, { delaySeconds });
+
+  const { next_attempt_at: nextAttemptAt } = await getQuery(
+    'SELECT next_attempt_at FROM image_records WHERE id = ?',
+    [imageId]
+  );
+  console.log(`🔁 Retrying image ${imageId} in ${delaySeconds}s (attempt ${attempts + 1} of ${MAX_ANALYSIS_ATTEMPTS})`);
+
+  return { status: 'failed', attempts, nextAttemptAt };
+}
+
+/**
+ * Queue handler: analyze the job's image and finish the job
+ */
+async function processAnalysisJob(job) {
+  const image = await getQuery(
+    `SELECT id, filename, file_path, user_id, child_id, derivatives 
+     FROM image_records 
+     WHERE id = ?`,
+    [job.image_id]
+  );
+
+  // The image was deleted while its job was queued
+  if (!image) {
+    await finishJob(job, 'cancelled');
+    return;
+  }
 
-        console.log(`📸 Analyzing image: ${image.filename}`);
+  try {
+    await startAnalysisAttempt(image.id);
 
-        // Process the image analysis
-        const analysisResult = await processImageAnalysis(image.file_path);
+    // Thumbnails are made here, after the upload has responded; the original
+    // is served in their place until they exist
+    await ensureDerivatives(image).catch(error => console.error('Derivative generation error:', error));
 
-        // Update database with results
-        await runQuery(
-          `UPDATE image_records 
-           SET analysis_status = ?, detected_objects = ?, risk_level = ?, 
-               risk_description = ?, confidence_scores = ?
-           WHERE id = ?`,
-          [
-            'completed',
-            JSON.stringify(analysisResult.detectedObjects),
-            analysisResult.riskLevel,
-            analysisResult.riskDescription,
-            JSON.stringify(analysisResult.confidenceScores),
-            image.id
-          ]
-        );
+    console.log(`📸 Analyzing image: ${image.filename} (job ${job.id}, attempt ${job.attempts})`);
 
-        console.log(`✅ Analysis completed for image: ${image.filename}`);
-        console.log(`   Risk Level: ${analysisResult.riskLevel}`);
-        console.log(`   Objects Detected: ${analysisResult.detectedObjects.length}`);
+    const analysisResult = await analyzeImage(image);
+    await finishJob(job, 'completed');
 
-      } catch (error) {
-        console.error(`❌ Failed to process image ${image.filename}:`, error.message);
-        
-        // Update status to failed
-        await runQuery(
-          'UPDATE image_records SET analysis_status = ? WHERE id = ?',
-          ['failed', image.id]
-        );
-      }
-    }
+    console.log(`✅ Analysis completed for image: ${image.filename}${analysisResult.cached ? ' (cached detections)' : ''}`);
+    console.log(`   Risk Level: ${analysisResult.riskLevel}`);
+    console.log(`   Objects Detected: ${analysisResult.detectedObjects.length}`);
 
   } catch (error) {
-    console.error('Background processing error:', error);
+    console.error(`❌ Failed to process image ${image.filename}:`, error.message);
+
+    // Finish this job first so the retry can be queued behind it
+    await finishJob(job, 'failed');
+    await recordAnalysisFailure(image.id, error);
   }
 }
 
@@ -93,139 +187,144 @@ async function getProcessingStats() {
 }
 
 /**
- * Retry failed analyses
+ * Put a failed or dead image back on the queue with a fresh set of attempts
  */
-async function retryFailedAnalyses() {
-  try {
-    const failedImages = await getQuery(
-      `SELECT id, filename, file_path 
-       FROM image_records 
-       WHERE analysis_status = 'failed' 
-       ORDER BY upload_timestamp ASC 
-       LIMIT 10`
-    );
-
-    if (!failedImages || failedImages.length === 0) {
-      return { message: 'No failed analyses to retry' };
-    }
-
-    console.log(`🔄 Retrying ${failedImages.length} failed analyses...`);
-
-    let successCount = 0;
-    let failureCount = 0;
-
-    for (const image of failedImages) {
-      try {
-        // Update status to processing
-        await runQuery(
-          'UPDATE image_records SET analysis_status = ? WHERE id = ?',
-          ['processing', image.id]
-        );
-
-        // Process the image analysis
-        const analysisResult = await processImageAnalysis(image.file_path);
-
-        // Update database with results
-        await runQuery(
-          `UPDATE image_records 
-           SET analysis_status = ?, detected_objects = ?, risk_level = ?, 
-               risk_description = ?, confidence_scores = ?
-           WHERE id = ?`,
-          [
-            'completed',
-            JSON.stringify(analysisResult.detectedObjects),
-            analysisResult.riskLevel,
-            analysisResult.riskDescription,
-            JSON.stringify(analysisResult.confidenceScores),
-            image.id
-          ]
-        );
+async function requeueAnalysis(imageId) {
+  await cancelQueuedJobs(imageId);
+  await runQuery(
+    `UPDATE image_records
+     SET analysis_status = 'pending', analysis_attempts = 0, last_error = NULL,
+         next_attempt_at = NULL
+     WHERE id = ?`,
+    [imageId]
+  );
+  await publishImageStatus(imageId);
+  await enqueueAnalysis(imageId);
+}
 
-        successCount++;
-        console.log(`✅ Retry successful for image: ${image.filename}`);
+/**
+ * Re-queue every failed or dead analysis in a household
+ * @returns {number} Number of images re-queued
+ */
+async function requeueFailedAnalyses(householdId) {
+  const failedImages = await allQuery(
+    `SELECT id FROM image_records
+     WHERE household_id = ? AND analysis_status IN ('failed', 'dead')
+     ORDER BY upload_timestamp ASC`,
+    [householdId]
+  );
+
+  for (const image of failedImages) {
+    await requeueAnalysis(image.id);
+  }
 
-      } catch (error) {
-        failureCount++;
-        console.error(`❌ Retry failed for image ${image.filename}:`, error.message);
-        
-        // Update status to failed
-        await runQuery(
-          'UPDATE image_records SET analysis_status = ? WHERE id = ?',
-          ['failed', image.id]
-        );
-      }
-    }
+  if (failedImages.length > 0) {
+    console.log(`🔄 Re-queued ${failedImages.length} failed analyses`);
+  }
 
-    return {
-      message: `Retry completed: ${successCount} successful, ${failureCount} failed`,
-      successCount,
-      failureCount
-    };
+  return failedImages.length;
+}
 
-  } catch (error) {
-    console.error('Retry failed analyses error:', error);
-    throw error;
+// What each retention policy does to finished images older than its days
+const RETENTION_ACTIONS = {
+  days: { action: 'deleted', where: '' },
+  risky_only: {
+    action: 'deleted',
+    where: "AND (analysis_status = 'dead' OR COALESCE(risk_level, 'none') IN ('none', 'low'))"
+  },
+  results_only: {
+    action: 'original_removed',
+    where: "AND analysis_status = 'completed' AND original_removed_at IS NULL"
   }
-}
+};
 
 /**
- * Clean up old processed images (optional)
- * This can be used to manage storage space
+ * Apply a household's retention policy to images whose analysis has
+ * finished (completed or dead) and that are older than the policy's days:
+ * 'days' deletes them, 'risky_only' deletes the ones without medium or high
+ * risk (including dead ones, which were never assessed), and 'results_only' removes their files but keeps the results.
+ * 'forever' keeps everything. Each purge is recorded in retention_purges.
+ * @param {Object} retention - { householdId, policy, days }
+ * @param {Object} options - { dryRun } lists what would be purged without purging
+ * @returns {Object} { policy, days, dryRun, images, deletedCount, originalsRemovedCount, bytes }
  */
-async function cleanupOldImages(daysToKeep = 30) {
-  try {
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
-
-    const oldImages = await allQuery(
-      `SELECT id, file_path 
-       FROM image_records 
-       WHERE upload_timestamp < ? AND analysis_status = 'completed'`,
-      [cutoffDate.toISOString()]
-    );
-
-    if (!oldImages || oldImages.length === 0) {
-      return { message: 'No old images to clean up' };
-    }
+async function cleanupOldImages({ householdId, policy, days }, { dryRun = false } = {}) {
+  const rule = RETENTION_ACTIONS[policy];
+  const result = { policy, days, dryRun, images: [], deletedCount: 0, originalsRemovedCount: 0, bytes: 0 };
 
-    console.log(`🧹 Cleaning up ${oldImages.length} old images...`);
+  if (!rule || !days) {
+    return result;
+  }
 
-    let deletedCount = 0;
-    const fs = require('fs');
+  const expiredImages = await allQuery(
+    `SELECT id, user_id, filename, original_filename, file_path, derivatives, file_size,
+            upload_timestamp, analysis_status, risk_level
+     FROM image_records
+     WHERE household_id = ? AND upload_timestamp < datetime('now', ?)
+       AND analysis_status IN ('completed', 'dead') ${rule.where}
+     ORDER BY upload_timestamp ASC`,
+    [householdId, `-${days} days`]
+  );
+
+  for (const image of expiredImages) {
+    const entry = {
+      imageId: image.id,
+      originalFilename: image.original_filename,
+      uploadTimestamp: image.upload_timestamp,
+      analysisStatus: image.analysis_status,
+      riskLevel: image.risk_level,
+      fileSize: image.file_size,
+      action: rule.action
+    };
 
-    for (const image of oldImages) {
+    if (!dryRun) {
       try {
-        // Delete file from filesystem
-        if (fs.existsSync(image.file_path)) {
-          fs.unlinkSync(image.file_path);
+        if (rule.action === 'deleted') {
+          await deleteImageRecord(image);
+        } else {
+          await removeImageOriginal(image);
         }
 
-        // Delete from database
         await runQuery(
-          'DELETE FROM image_records WHERE id = ?',
-          [image.id]
+          `INSERT INTO retention_purges
+           (household_id, image_id, user_id, original_filename, upload_timestamp, analysis_status,
+            risk_level, file_size, action, policy, retention_days)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            householdId, image.id, image.user_id, image.original_filename, image.upload_timestamp,
+            image.analysis_status, image.risk_level, image.file_size, rule.action, policy, days
+          ]
         );
-
-        deletedCount++;
       } catch (error) {
         console.error(`❌ Failed to clean up image ${image.id}:`, error.message);
+        continue;
       }
     }
 
-    return {
-      message: `Cleanup completed: ${deletedCount} images deleted`,
-      deletedCount
-    };
+    result.images.push(entry);
+    result.bytes += image.file_size || 0;
+    if (rule.action === 'deleted') {
+      result.deletedCount++;
+    } else {
+      result.originalsRemovedCount++;
+    }
+  }
 
-  } catch (error) {
-    console.error('Cleanup error:', error);
-    throw error;
+  if (!dryRun && result.images.length > 0) {
+    console.log(`🧹 Retention (${policy}, ${days} days) for household ${householdId}: ${result.deletedCount} deleted, ${result.originalsRemovedCount} originals removed`);
   }
+
+  return result;
 }
 
 module.exports = {
-  processPendingImages,
+  MAX_ANALYSIS_ATTEMPTS,
+  analyzeImage,
+  startAnalysisAttempt,
+  recordAnalysisFailure,
+  processAnalysisJob,
   getProcessingStats,
-  retryFailedAnalyses,
+  requeueAnalysis,
+  requeueFailedAnalyses,
   cleanupOldImages
 };
@@ -0,0 +1,151 @@
+const { getQuery } = require('../database/database');
+
+// Age bands, by upper bound in months (exclusive)
+const AGE_BANDS = [
+  { name: 'infant', label: 'Infant (under 1)', maxMonths: 12 },
+  { name: 'toddler', label: 'Toddler (1-2)', maxMonths: 36 },
+  { name: 'preschool', label: 'Preschool (3-5)', maxMonths: 72 },
+  { name: 'school', label: 'School age (6-12)', maxMonths: 156 },
+  { name: 'teen', label: 'Teen (13+)', maxMonths: Infinity }
+];
+
+// Ordered hazard severities that age adjustments move between
+const SEVERITY_SCALE = ['low', 'medium', 'high'];
+
+// Category adjustments by child profile: +1 raises a hazard one level, -1 lowers it
+const AGE_RISK_RULES = [
+  {
+    category: 'choking',
+    adjust: 1,
+    reason: 'higher risk under 3',
+    applies: child => child.ageMonths < 36
+  },
+  {
+    category: 'choking',
+    adjust: -1,
+    reason: 'lower risk from age 6',
+    applies: child => child.ageMonths >= 72
+  },
+  {
+    category: 'heights',
+    adjust: 1,
+    reason: 'higher risk under 3',
+    applies: child => child.ageMonths < 36
+  },
+  {
+    category: 'water',
+    adjust: 1,
+    reason: 'higher risk for non-swimmers',
+    applies: child => !child.canSwim
+  }
+];
+
+/**
+ * Whole months between a birth date and a reference date
+ */
+function getAgeInMonths(birthDate, at = new Date()) {
+  const birth = new Date(birthDate);
+  if (Number.isNaN(birth.getTime())) {
+    return null;
+  }
+
+  let months = (at.getFullYear() - birth.getFullYear()) * 12 + (at.getMonth() - birth.getMonth());
+  if (at.getDate() < birth.getDate()) {
+    months--;
+  }
+
+  return Math.max(months, 0);
+}
+
+/**
+ * Get the age band for an age in months
+ */
+function getAgeBand(ageMonths) {
+  return AGE_BANDS.find(band => ageMonths < band.maxMonths) || AGE_BANDS[AGE_BANDS.length - 1];
+}
+
+/**
+ * Shape a children row for API responses and scoring
+ */
+function toChildProfile(row, at = new Date()) {
+  const ageMonths = getAgeInMonths(row.birth_date, at);
+  const band = ageMonths === null ? null : getAgeBand(ageMonths);
+
+  return {
+    id: row.id,
+    name: row.name,
+    birthDate: row.birth_date,
+    developmentalNotes: row.developmental_notes,
+    canSwim: Boolean(row.can_swim),
+    ageMonths,
+    ageBand: band ? band.name : null,
+    ageBandLabel: band ? band.label : null
+  };
+}
+
+/**
+ * Load a child profile by id (scoped to a household when householdId is given)
+ */
+async function getChildProfile(childId, householdId = null) {
+  if (!childId) {
+    return null;
+  }
+
+  const row = householdId
+    ? await getQuery('SELECT * FROM children WHERE id = ? AND household_id = ?', [childId, householdId])
+    : await getQuery('SELECT * FROM children WHERE id = ?', [childId]);
+
+  return row ? toChildProfile(row) : null;
+}
+
+/**
+ * Raise or lower hazard severities in a catalogue for a child's age and abilities
+ * @param {Object} catalogue - Hazard map (HAZARDOUS_OBJECTS shape)
+ * @param {Object} child - Profile from toChildProfile
+ * @returns {Object} - A new catalogue; the input is not modified
+ */
+function applyChildProfile(catalogue, child) {
+  if (!child || child.ageMonths === null || child.ageMonths === undefined) {
+    return catalogue;
+  }
+
+  const rules = AGE_RISK_RULES.filter(rule => rule.applies(child));
+  if (rules.length === 0) {
+    return catalogue;
+  }
+
+  const adjusted = {};
+
+  for (const [label, hazard] of Object.entries(catalogue)) {
+    const matching = rules.filter(rule => rule.category === hazard.category);
+    const shift = matching.reduce((sum, rule) => sum + rule.adjust, 0);
+    const index = SEVERITY_SCALE.indexOf(hazard.risk);
+
+    if (shift === 0 || index === -1) {
+      adjusted[label] = hazard;
+      continue;
+    }
+
+    const newIndex = Math.min(Math.max(index + shift, 0), SEVERITY_SCALE.length - 1);
+    const reasons = matching.map(rule => rule.reason).join(', ');
+
+    adjusted[label] = {
+      ...hazard,
+      risk: SEVERITY_SCALE[newIndex],
+      description: newIndex === index
+        ? hazard.description
+        : `${hazard.description} (${reasons} for ${child.name})`
+    };
+  }
+
+  return adjusted;
+}
+
+module.exports = {
+  AGE_BANDS,
+  getAgeInMonths,
+  getAgeBand,
+  toChildProfile,
+  getChildProfile,
+  applyChildProfile
+};
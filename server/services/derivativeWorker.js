@@ -0,0 +1,206 @@
+// Worker thread that decodes an upload and writes its JPEG derivatives and
+// blurred placeholder, so the pixel work stays off the server's event loop.
+// Started by derivatives.js, one image per worker.
+
+const fs = require('fs');
+const path = require('path');
+const { parentPort, workerData } = require('worker_threads');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const { GifReader } = require('omggif');
+const { parseImageMetadata } = require('./imageMetadata');
+
+const DERIVATIVE_QUALITY = 80;
+
+// The placeholder is tiny and blurred, inlined in API responses as a data URL
+const PLACEHOLDER_SIZE = 16;
+const PLACEHOLDER_QUALITY = 50;
+
+/**
+ * Decode an image to RGBA pixels
+ * @returns {Object} { width, height, data }
+ */
+function decodeImage(buffer, format) {
+  switch (format) {
+    case 'jpeg':
+      return jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: workerData.maxPixels / 1e6 });
+    case 'png':
+      return PNG.sync.read(buffer);
+    case 'gif': {
+      const reader = new GifReader(new Uint8Array(buffer));
+      const data = new Uint8Array(reader.width * reader.height * 4);
+      reader.decodeAndBlitFrameRGBA(0, data);
+      return { width: reader.width, height: reader.height, data };
+    }
+    default:
+      throw new Error(`Cannot decode ${format || 'unknown'} images`);
+  }
+}
+
+/**
+ * Downscale with a box filter (each output pixel averages the source pixels
+ * it covers), flattening transparency onto white for JPEG output
+ */
+function resize(image, maxEdge) {
+  const scale = Math.min(1, maxEdge / Math.max(image.width, image.height));
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+  const data = new Uint8Array(width * height * 4);
+  const xRatio = image.width / width;
+  const yRatio = image.height / height;
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y * yRatio);
+    const y1 = Math.max(y0 + 1, Math.floor((y + 1) * yRatio));
+
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * xRatio);
+      const x1 = Math.max(x0 + 1, Math.floor((x + 1) * xRatio));
+      let r = 0;
+      let g = 0;
+      let b = 0;
+
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const i = (sy * image.width + sx) * 4;
+          const alpha = image.data[i + 3] / 255;
+          r += image.data[i] * alpha + 255 * (1 - alpha);
+          g += image.data[i + 1] * alpha + 255 * (1 - alpha);
+          b += image.data[i + 2] * alpha + 255 * (1 - alpha);
+        }
+      }
+
+      const count = (y1 - y0) * (x1 - x0);
+      const o = (y * width + x) * 4;
+      data[o] = r / count;
+      data[o + 1] = g / count;
+      data[o + 2] = b / count;
+      data[o + 3] = 255;
+    }
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * Apply an EXIF orientation (1-8) so the pixels are stored upright - the
+ * derivatives carry no EXIF for the browser to rotate them by
+ */
+function orient(image, orientation) {
+  if (!orientation || orientation === 1) {
+    return image;
+  }
+
+  const { width: w, height: h } = image;
+  const swap = orientation >= 5;
+  const width = swap ? h : w;
+  const height = swap ? w : h;
+  const data = new Uint8Array(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sx;
+      let sy;
+
+      switch (orientation) {
+        case 2: sx = w - 1 - x; sy = y; break; // mirrored
+        case 3: sx = w - 1 - x; sy = h - 1 - y; break; // rotated 180
+        case 4: sx = x; sy = h - 1 - y; break; // mirrored, rotated 180
+        case 5: sx = y; sy = x; break; // mirrored, rotated 90 CCW
+        case 6: sx = y; sy = h - 1 - x; break; // rotated 90 CW
+        case 7: sx = w - 1 - y; sy = h - 1 - x; break; // mirrored, rotated 90 CW
+        default: sx = w - 1 - y; sy = x; break; // 8: rotated 90 CCW
+      }
+
+      const i = (sy * w + sx) * 4;
+      const o = (y * width + x) * 4;
+      data[o] = image.data[i];
+      data[o + 1] = image.data[i + 1];
+      data[o + 2] = image.data[i + 2];
+      data[o + 3] = image.data[i + 3];
+    }
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * 3x3 box blur, so the upscaled placeholder reads as a soft preview
+ */
+function blur(image) {
+  const { width, height } = image;
+  const data = new Uint8Array(image.data.length);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const sums = [0, 0, 0];
+      let count = 0;
+
+      for (let sy = Math.max(0, y - 1); sy <= Math.min(height - 1, y + 1); sy++) {
+        for (let sx = Math.max(0, x - 1); sx <= Math.min(width - 1, x + 1); sx++) {
+          const i = (sy * width + sx) * 4;
+          sums[0] += image.data[i];
+          sums[1] += image.data[i + 1];
+          sums[2] += image.data[i + 2];
+          count++;
+        }
+      }
+
+      const o = (y * width + x) * 4;
+      data[o] = sums[0] / count;
+      data[o + 1] = sums[1] / count;
+      data[o + 2] = sums[2] / count;
+      data[o + 3] = 255;
+    }
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * Generate the derivatives and the placeholder for one image
+ * @param {Object} job - { filePath, filename, derivativeDir, sizes, maxPixels }
+ * @returns {Object} { derivatives: { small: { filename, width, height }, ... }, placeholder }
+ */
+async function generate({ filePath, filename: imageFilename, derivativeDir, sizes: derivativeSizes, maxPixels }) {
+  const buffer = await fs.promises.readFile(filePath);
+  const metadata = parseImageMetadata(buffer);
+
+  if (metadata.width * metadata.height > maxPixels) {
+    throw new Error(`Image is too large to decode (${metadata.width}x${metadata.height})`);
+  }
+
+  await fs.promises.mkdir(derivativeDir, { recursive: true });
+
+  const decoded = decodeImage(buffer, metadata.format);
+  const derivatives = {};
+  let source = decoded;
+
+  // Largest first, each from the previous one to keep the work down
+  const sizes = Object.entries(derivativeSizes).sort(([, a], [, b]) => b - a);
+  let smallest = null;
+
+  for (const [size, maxEdge] of sizes) {
+    source = resize(source, maxEdge);
+    const upright = orient(source, metadata.orientation);
+    const filename = `${path.parse(imageFilename).name}-${size}.jpg`;
+
+    await fs.promises.writeFile(
+      path.join(derivativeDir, filename),
+      jpeg.encode(upright, DERIVATIVE_QUALITY).data
+    );
+
+    derivatives[size] = { filename, width: upright.width, height: upright.height };
+    smallest = source;
+  }
+
+  const tiny = blur(orient(resize(smallest, PLACEHOLDER_SIZE), metadata.orientation));
+  const placeholder = `data:image/jpeg;base64,${jpeg.encode(tiny, PLACEHOLDER_QUALITY).data.toString('base64')}`;
+
+  return { derivatives, placeholder };
+}
+
+generate(workerData).then(
+  result => parentPort.postMessage({ result }),
+  error => parentPort.postMessage({ error: error.message })
+);
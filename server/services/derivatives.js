@@ -0,0 +1,135 @@
+// Pure JavaScript thumbnails (no native modules - sharp segfaulted on our
+// deployment targets). JPEG, PNG and GIF (first frame) are decoded, turned
+// upright using the EXIF orientation and written as downscaled JPEGs by
+// derivativeWorker.js in a worker thread, one image at a time, so uploads and
+// other requests never wait on the pixel work.
+
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { runQuery } = require('../database/database');
+
+// Longest edge of each derivative; originals smaller than that are not enlarged
+const DERIVATIVE_SIZES = {
+  small: 320,
+  medium: 1024
+};
+
+// Decoding needs 4 bytes per pixel plus the decoder's working memory (about
+// 400MB at 12 megapixels); larger images are served as originals only
+const MAX_DECODE_PIXELS = parseInt(process.env.DERIVATIVE_MAX_PIXELS) || 16 * 1000 * 1000;
+
+const DERIVATIVE_DIR = path.join(__dirname, '../../uploads/derivatives');
+const WORKER_PATH = path.join(__dirname, 'derivativeWorker.js');
+
+const getDerivativePath = (filename) => path.join(DERIVATIVE_DIR, path.basename(filename));
+
+// Generation runs one image at a time; requests for an image already waiting
+// share its promise
+let derivativeQueue = Promise.resolve();
+const pendingDerivatives = new Map();
+
+/**
+ * Generate the small and medium JPEG derivatives and the blurred placeholder
+ * for an uploaded image in a worker thread
+ * @param {Object} image - image_records row (filename, file_path)
+ * @returns {Object} { derivatives: { small: { filename, width, height }, ... }, placeholder }
+ */
+function generateDerivatives(image) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_PATH, {
+      workerData: {
+        filePath: image.file_path,
+        filename: image.filename,
+        derivativeDir: DERIVATIVE_DIR,
+        sizes: DERIVATIVE_SIZES,
+        maxPixels: MAX_DECODE_PIXELS
+      }
+    });
+
+    worker.once('message', ({ result, error }) => (error ? reject(new Error(error)) : resolve(result)));
+    worker.once('error', reject);
+    worker.once('exit', (code) => {
+      if (code !== 0) reject(new Error(`Derivative worker stopped with exit code ${code}`));
+    });
+  });
+}
+
+async function createDerivatives(image) {
+  let derivatives = {};
+  let placeholder = null;
+
+  try {
+    ({ derivatives, placeholder } = await generateDerivatives(image));
+  } catch (error) {
+    console.warn(`⚠️ No derivatives for image ${image.id}: ${error.message}`);
+  }
+
+  await runQuery(
+    'UPDATE image_records SET derivatives = ?, placeholder = ? WHERE id = ?',
+    [JSON.stringify(derivatives), placeholder, image.id]
+  );
+
+  return derivatives;
+}
+
+/**
+ * An image's derivatives, if they have been generated and their files exist
+ * @returns {Object|null} Derivatives by size (empty for images that can't be
+ *   decoded), or null when they still need generating
+ */
+function getExistingDerivatives(image) {
+  const existing = image.derivatives ? JSON.parse(image.derivatives) : null;
+
+  return existing && Object.values(existing).every(d => fs.existsSync(getDerivativePath(d.filename)))
+    ? existing
+    : null;
+}
+
+/**
+ * An image's derivatives, generating and recording them if they are missing
+ * (the analysis job does this for new uploads; images uploaded before
+ * derivatives existed are queued when first requested). Images that can't be
+ * decoded record none and are served as originals.
+ * @param {Object} image - image_records row (id, filename, file_path, derivatives)
+ * @returns {Object} Derivatives by size; empty when there are none
+ */
+async function ensureDerivatives(image) {
+  const existing = getExistingDerivatives(image);
+  if (existing) {
+    return existing;
+  }
+
+  if (!pendingDerivatives.has(image.id)) {
+    const pending = derivativeQueue
+      .then(() => createDerivatives(image))
+      .finally(() => pendingDerivatives.delete(image.id));
+
+    derivativeQueue = pending.catch(() => {});
+    pendingDerivatives.set(image.id, pending);
+  }
+
+  return pendingDerivatives.get(image.id);
+}
+
+/**
+ * Delete an image's derivative files
+ */
+function removeDerivatives(image) {
+  const derivatives = image.derivatives ? JSON.parse(image.derivatives) : {};
+
+  for (const { filename } of Object.values(derivatives)) {
+    fs.unlink(getDerivativePath(filename), (err) => {
+      if (err && err.code !== 'ENOENT') console.error('Error deleting derivative:', err);
+    });
+  }
+}
+
+module.exports = {
+  DERIVATIVE_SIZES,
+  getDerivativePath,
+  generateDerivatives,
+  getExistingDerivatives,
+  ensureDerivatives,
+  removeDerivatives
+};
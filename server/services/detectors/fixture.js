@@ -0,0 +1,74 @@
+/**
+ * Fixture detector backend
+ * Returns pre-recorded detections so tests and demos are fully deterministic.
+ *
+ * Fixtures are keyed by the SHA-256 of the image file, with an optional
+ * "default" entry used for any image that has no fixture of its own:
+ *   {
+ *     "default": [],
+ *     "9f86d08...": [{ "name": "knife", "confidence": 0.91, "bbox": [0.2, 0.3, 0.3, 0.4] }]
+ *   }
+ *
+ * They are loaded from DETECTOR_FIXTURE_PATH, or set in code with setFixtures().
+ * The version is a hash of the table, so cached results from an older table
+ * are not reused.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const DEFAULT_DETECTIONS = [
+  { name: 'safe_environment', confidence: 0.95, bbox: [0, 0, 1, 1] }
+];
+
+let fixtures = null;
+let fixturesVersion = null;
+
+function loadFixtures() {
+  if (fixtures) {
+    return fixtures;
+  }
+
+  const fixturePath = process.env.DETECTOR_FIXTURE_PATH;
+  if (fixturePath) {
+    fixtures = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  } else {
+    fixtures = {};
+  }
+
+  return fixtures;
+}
+
+function getVersion() {
+  if (!fixturesVersion) {
+    const table = JSON.stringify(loadFixtures());
+    fixturesVersion = crypto.createHash('sha256').update(table).digest('hex').slice(0, 16);
+  }
+
+  return fixturesVersion;
+}
+
+/**
+ * Replace the fixture table (pass null to reload from DETECTOR_FIXTURE_PATH)
+ */
+function setFixtures(newFixtures) {
+  fixtures = newFixtures;
+  fixturesVersion = null;
+}
+
+module.exports = {
+  name: 'fixture',
+  get version() {
+    return getVersion();
+  },
+  setFixtures,
+
+  async detect(buffer) {
+    const table = loadFixtures();
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const detections = table[hash] || table.default || DEFAULT_DETECTIONS;
+
+    // Hand out copies so callers can't mutate the fixture table
+    return detections.map(detection => ({ ...detection }));
+  }
+};
@@ -0,0 +1,77 @@
+/**
+ * Local HTTP detector backend
+ * Posts the raw image to an inference server and reads detections back.
+ *
+ * Request:  POST DETECTOR_HTTP_URL with the image bytes as the body,
+ *           Content-Type set to the image MIME type and X-Image-Width /
+ *           X-Image-Height headers.
+ * Response: JSON - either an array of detections or { detections: [...] }
+ */
+
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_URL = 'http://127.0.0.1:8500/detect';
+const DEFAULT_TIMEOUT_MS = 30000;
+
+function postImage(url, buffer, meta) {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  const timeout = parseInt(process.env.DETECTOR_HTTP_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(
+      target,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': meta.mimeType || 'application/octet-stream',
+          'Content-Length': buffer.length,
+          'X-Image-Width': meta.width,
+          'X-Image-Height': meta.height,
+          Accept: 'application/json'
+        },
+        timeout
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          const body = Buffer.concat(chunks).toString('utf8');
+
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            reject(new Error(`Inference server responded with ${res.statusCode}`));
+            return;
+          }
+
+          try {
+            resolve(JSON.parse(body));
+          } catch (error) {
+            reject(new Error('Inference server returned invalid JSON'));
+          }
+        });
+      }
+    );
+
+    req.on('timeout', () => {
+      req.destroy(new Error(`Inference server timed out after ${timeout}ms`));
+    });
+    req.on('error', reject);
+
+    req.end(buffer);
+  });
+}
+
+module.exports = {
+  name: 'http',
+  // Without a version the model behind the URL can change unnoticed, so its
+  // results are not cached
+  version: process.env.DETECTOR_HTTP_VERSION || null,
+
+  async detect(buffer, meta) {
+    const url = process.env.DETECTOR_HTTP_URL || DEFAULT_URL;
+    const response = await postImage(url, buffer, meta);
+
+    return Array.isArray(response) ? response : response.detections;
+  }
+};
@@ -0,0 +1,118 @@
+/**
+ * Detector backend registry
+ *
+ * A detector is an object of the form:
+ *   {
+ *     name: 'my-model',
+ *     version: '1',
+ *     detect: async (buffer, meta) => [{ name, confidence, bbox }]
+ *   }
+ *
+ * `buffer` is the raw image file and `meta` is the header information from
+ * imageMetadata (width, height, format, mimeType, orientation, ...) plus
+ * `contentHash` (SHA-256 hex) and `seed`. `bbox` is [x, y, width, height]
+ * normalised to 0-1.
+ *
+ * Backends whose output depends on `seed` set `usesSeed: true` so the seed is
+ * recorded with each result. Detections are cached by `version`; a backend
+ * whose output can change without a version bump sets `version: null` so they
+ * are not cached.
+ *
+ * The active backend is chosen with the DETECTOR_BACKEND environment variable.
+ */
+
+const mockDetector = require('./mock');
+const fixtureDetector = require('./fixture');
+const httpDetector = require('./http');
+
+const DEFAULT_BACKEND = 'mock';
+
+const detectors = new Map();
+
+/**
+ * Register a detector backend under a name
+ */
+function registerDetector(name, detector) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('Detector name is required');
+  }
+
+  if (!detector || typeof detector.detect !== 'function') {
+    throw new Error(`Detector "${name}" must implement detect(buffer, meta)`);
+  }
+
+  detectors.set(name, detector);
+}
+
+/**
+ * Get a registered detector, wrapped so its output is always validated
+ * @param {string} [name] - Backend name (defaults to DETECTOR_BACKEND or 'mock')
+ */
+function getDetector(name = process.env.DETECTOR_BACKEND || DEFAULT_BACKEND) {
+  const detector = detectors.get(name);
+
+  if (!detector) {
+    throw new Error(
+      `Unknown detector backend "${name}". Available: ${listDetectors().join(', ')}`
+    );
+  }
+
+  return {
+    name,
+    version: detector.version === null ? null : String(detector.version || '1'),
+    usesSeed: Boolean(detector.usesSeed),
+    detect: async (buffer, meta) => normalizeDetections(await detector.detect(buffer, meta), name)
+  };
+}
+
+/**
+ * Names of all registered backends
+ */
+function listDetectors() {
+  return Array.from(detectors.keys());
+}
+
+/**
+ * Validate and clean up a backend's detections
+ */
+function normalizeDetections(detections, backendName) {
+  if (!Array.isArray(detections)) {
+    throw new Error(`Detector "${backendName}" must return an array of detections`);
+  }
+
+  return detections.map((detection, index) => {
+    if (!detection || typeof detection.name !== 'string' || !detection.name) {
+      throw new Error(`Detector "${backendName}" returned a detection without a name (index ${index})`);
+    }
+
+    const confidence = Number(detection.confidence);
+    if (!Number.isFinite(confidence)) {
+      throw new Error(`Detector "${backendName}" returned an invalid confidence for "${detection.name}"`);
+    }
+
+    return {
+      name: detection.name,
+      confidence: Math.min(Math.max(confidence, 0), 1),
+      bbox: normalizeBbox(detection.bbox)
+    };
+  });
+}
+
+function normalizeBbox(bbox) {
+  if (!Array.isArray(bbox) || bbox.length !== 4 || !bbox.every(Number.isFinite)) {
+    // Unknown location - cover the whole image
+    return [0, 0, 1, 1];
+  }
+
+  return bbox.map(value => Math.min(Math.max(value, 0), 1));
+}
+
+registerDetector('mock', mockDetector);
+registerDetector('fixture', fixtureDetector);
+registerDetector('http', httpDetector);
+
+module.exports = {
+  registerDetector,
+  getDetector,
+  listDetectors
+};
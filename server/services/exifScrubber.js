@@ -0,0 +1,344 @@
+// Pure JavaScript metadata scrubbing for uploads. Phones embed GPS
+// coordinates, serial numbers and timestamps in EXIF and XMP; those are
+// removed from JPEG and PNG files before anything else reads them. Only the
+// orientation is written back, as a minimal EXIF block, so the photo still
+// displays upright.
+
+const fs = require('fs');
+const { detectImageFormat, jpegSegments, pngChunks } = require('./imageMetadata');
+
+const PNG_SIGNATURE_LENGTH = 8;
+
+// Tags worth naming in the report; anything else in the EXIF block is counted
+const IDENTIFYING_TAGS = {
+  0x010e: 'ImageDescription',
+  0x010f: 'Make',
+  0x0110: 'Model',
+  0x0131: 'Software',
+  0x0132: 'DateTime',
+  0x013b: 'Artist',
+  0x8298: 'Copyright',
+  0x9003: 'DateTimeOriginal',
+  0x9004: 'DateTimeDigitized',
+  0x9010: 'OffsetTime',
+  0x9011: 'OffsetTimeOriginal',
+  0x9012: 'OffsetTimeDigitized',
+  0x927c: 'MakerNote',
+  0x9286: 'UserComment',
+  0x9c9b: 'XPTitle',
+  0x9c9c: 'XPComment',
+  0x9c9d: 'XPAuthor',
+  0x9c9e: 'XPKeywords',
+  0x9c9f: 'XPSubject',
+  0xa420: 'ImageUniqueID',
+  0xa430: 'CameraOwnerName',
+  0xa431: 'BodySerialNumber',
+  0xa433: 'LensMake',
+  0xa434: 'LensModel',
+  0xa435: 'LensSerialNumber',
+  0xc62f: 'CameraSerialNumber'
+};
+
+const TAG_ORIENTATION = 0x0112;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_INTEROP_IFD = 0xa005;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const TAG_DATE_TIME_DIGITIZED = 0x9004;
+const TAG_OFFSET_TIME_ORIGINAL = 0x9011;
+
+// JPEG APPn segments identified by their header string
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+const EXTENDED_XMP_HEADER = 'http://ns.adobe.com/xmp/extension/\0';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Read the tags of an EXIF (TIFF) block: IFD0, the Exif and GPS sub-IFDs
+ * and whether there is an embedded thumbnail (IFD1)
+ * @returns {Object} { tags: Map(tag -> value), hasGps, hasThumbnail }
+ */
+function readExif(tiff) {
+  const byteOrder = tiff.toString('ascii', 0, 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') {
+    throw new Error('Invalid EXIF byte order');
+  }
+
+  const littleEndian = byteOrder === 'II';
+  const readUInt16 = (pos) => (littleEndian ? tiff.readUInt16LE(pos) : tiff.readUInt16BE(pos));
+  const readUInt32 = (pos) => (littleEndian ? tiff.readUInt32LE(pos) : tiff.readUInt32BE(pos));
+
+  const tags = new Map();
+  const visited = new Set();
+  let hasGps = false;
+
+  // Entries are 12 bytes: tag, type, count, then the value (inline when it
+  // fits in 4 bytes, else an offset). Only ASCII and SHORT values are read.
+  const readIfd = (offset) => {
+    if (!offset || visited.has(offset) || offset + 2 > tiff.length) {
+      return 0;
+    }
+    visited.add(offset);
+
+    const entryCount = readUInt16(offset);
+    for (let i = 0; i < entryCount; i++) {
+      const entry = offset + 2 + i * 12;
+      if (entry + 12 > tiff.length) {
+        break;
+      }
+
+      const tag = readUInt16(entry);
+      const type = readUInt16(entry + 2);
+      const count = readUInt32(entry + 4);
+
+      if (tag === TAG_GPS_IFD) {
+        hasGps = true;
+      } else if (tag === TAG_EXIF_IFD || tag === TAG_INTEROP_IFD) {
+        readIfd(readUInt32(entry + 8));
+      } else if (type === 2) {
+        const start = count > 4 ? readUInt32(entry + 8) : entry + 8;
+        const end = Math.min(start + count, tiff.length);
+        tags.set(tag, tiff.toString('latin1', start, end).replace(/\0+$/, ''));
+      } else if (type === 3) {
+        tags.set(tag, readUInt16(entry + 8));
+      } else {
+        tags.set(tag, null);
+      }
+    }
+
+    const next = offset + 2 + entryCount * 12;
+    return next + 4 <= tiff.length ? readUInt32(next) : 0;
+  };
+
+  const ifd1 = readIfd(readUInt32(4));
+
+  return { tags, hasGps, hasThumbnail: ifd1 > 0 && ifd1 < tiff.length };
+}
+
+/**
+ * Capture time as YYYY-MM-DDTHH:MM:SS, with the UTC offset when the camera
+ * recorded one, or null
+ */
+function readCaptureTime(tags) {
+  const value = tags.get(TAG_DATE_TIME_ORIGINAL) || tags.get(TAG_DATE_TIME_DIGITIZED);
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})$/.exec(value || '');
+
+  if (!match || match[1] === '0000') {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second] = match;
+  const offset = tags.get(TAG_OFFSET_TIME_ORIGINAL);
+
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}${/^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : ''}`;
+}
+
+/**
+ * A big-endian TIFF block holding only the Orientation tag
+ */
+function buildOrientationExif(orientation) {
+  const tiff = Buffer.alloc(26);
+  tiff.write('MM', 0, 'ascii');
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4);
+  tiff.writeUInt16BE(1, 8);
+  tiff.writeUInt16BE(TAG_ORIENTATION, 10);
+  tiff.writeUInt16BE(3, 12);
+  tiff.writeUInt32BE(1, 14);
+  tiff.writeUInt16BE(orientation, 18);
+  // Next IFD offset stays 0
+  return tiff;
+}
+
+/**
+ * Record an EXIF block's contents in the report and return its orientation
+ */
+function reportExif(tiff, report) {
+  let exif;
+  try {
+    exif = readExif(tiff);
+  } catch (error) {
+    report.removed.add('EXIF');
+    return 1;
+  }
+
+  const orientation = exif.tags.get(TAG_ORIENTATION);
+
+  if (exif.hasGps) {
+    report.removed.add('GPS');
+  }
+  if (exif.hasThumbnail) {
+    report.removed.add('Thumbnail');
+  }
+
+  for (const tag of exif.tags.keys()) {
+    if (IDENTIFYING_TAGS[tag]) {
+      report.removed.add(IDENTIFYING_TAGS[tag]);
+    } else if (tag !== TAG_ORIENTATION) {
+      report.otherExifTags++;
+    }
+  }
+
+  report.capturedAt = report.capturedAt || readCaptureTime(exif.tags);
+
+  return orientation >= 1 && orientation <= 8 ? orientation : 1;
+}
+
+function jpegSegment(marker, data) {
+  const header = Buffer.alloc(4);
+  header[0] = 0xff;
+  header[1] = marker;
+  header.writeUInt16BE(data.length + 2, 2);
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Rewrite a JPEG without EXIF (except orientation), XMP, IPTC, comments,
+ * multi-picture previews, other vendor segments or data after the image
+ */
+function scrubJpeg(buffer, report) {
+  const parts = [buffer.subarray(0, 2)];
+
+  for (const { marker, dataStart, end } of jpegSegments(buffer)) {
+    // Entropy-coded scan data
+    if (marker === null) {
+      parts.push(buffer.subarray(dataStart, end));
+      continue;
+    }
+
+    if (marker === 0xd9) {
+      parts.push(Buffer.from([0xff, 0xd9]));
+      if (end < buffer.length) {
+        report.removed.add('Trailing data');
+      }
+      break;
+    }
+
+    if ((marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+      parts.push(Buffer.from([0xff, marker]));
+      continue;
+    }
+
+    const data = buffer.subarray(dataStart, end);
+
+    if (marker === 0xe1 && data.toString('latin1', 0, 6) === 'Exif\0\0') {
+      report.orientation = reportExif(data.subarray(6), report);
+      if (report.orientation !== 1) {
+        parts.push(jpegSegment(0xe1, Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), buildOrientationExif(report.orientation)])));
+      }
+    } else if (marker === 0xe1 && (data.toString('latin1', 0, XMP_HEADER.length) === XMP_HEADER
+      || data.toString('latin1', 0, EXTENDED_XMP_HEADER.length) === EXTENDED_XMP_HEADER)) {
+      report.removed.add('XMP');
+    } else if (marker === 0xed) {
+      report.removed.add('IPTC');
+    } else if (marker === 0xfe) {
+      report.removed.add('Comment');
+    } else if (marker === 0xe2 && data.toString('latin1', 0, 4) === 'MPF\0') {
+      report.removed.add('Embedded previews');
+    } else if (marker >= 0xe1 && marker <= 0xef
+      && !(marker === 0xe2 && data.toString('latin1', 0, 12) === 'ICC_PROFILE\0')
+      && !(marker === 0xee && data.toString('latin1', 0, 5) === 'Adobe')) {
+      // Vendor data; the ICC colour profile and Adobe colour transform are kept
+      report.removed.add(`APP${marker - 0xe0} data`);
+    } else {
+      parts.push(buffer.subarray(dataStart - 4, end));
+    }
+  }
+
+  return Buffer.concat(parts);
+}
+
+function pngChunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(data.length, 0);
+  header.write(type, 4, 'ascii');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), data])), 0);
+  return Buffer.concat([header, data, crc]);
+}
+
+/**
+ * Rewrite a PNG without its eXIf (except orientation), text chunks
+ * (including XMP), modification time or data after the image
+ */
+function scrubPng(buffer, report) {
+  const parts = [buffer.subarray(0, PNG_SIGNATURE_LENGTH)];
+
+  for (const { type, start, dataStart, dataEnd, end } of pngChunks(buffer)) {
+    const data = buffer.subarray(dataStart, dataEnd);
+
+    if (type === 'eXIf') {
+      report.orientation = reportExif(data, report);
+      if (report.orientation !== 1) {
+        parts.push(pngChunk('eXIf', buildOrientationExif(report.orientation)));
+      }
+    } else if (type === 'tEXt' || type === 'zTXt' || type === 'iTXt') {
+      const keyword = data.toString('latin1', 0, Math.max(data.indexOf(0), 0));
+      report.removed.add(keyword === 'XML:com.adobe.xmp' ? 'XMP' : `Text (${keyword || 'untitled'})`);
+    } else if (type === 'tIME') {
+      report.removed.add('Modification time');
+    } else {
+      parts.push(buffer.subarray(start, end));
+    }
+
+    if (type === 'IEND') {
+      if (end < buffer.length) {
+        report.removed.add('Trailing data');
+      }
+      return Buffer.concat(parts);
+    }
+  }
+
+  throw new Error('PNG end chunk not found');
+}
+
+/**
+ * Remove identifying metadata from a JPEG or PNG file in place. Other
+ * formats are left as they are.
+ * @param {string} filePath - The uploaded file
+ * @param {Object} [options]
+ * @param {boolean} [options.keepCaptureTime] - Report the capture time (it is
+ *   removed from the file either way)
+ * @returns {Object} { scrubbed, removed, otherExifTags, orientation, capturedAt }
+ */
+async function scrubImageFile(filePath, { keepCaptureTime = false } = {}) {
+  const buffer = await fs.promises.readFile(filePath);
+  const format = detectImageFormat(buffer);
+
+  if (format !== 'jpeg' && format !== 'png') {
+    return { scrubbed: false, removed: [], otherExifTags: 0, orientation: null, capturedAt: null };
+  }
+
+  const report = { removed: new Set(), otherExifTags: 0, orientation: 1, capturedAt: null };
+  const scrubbed = format === 'jpeg' ? scrubJpeg(buffer, report) : scrubPng(buffer, report);
+
+  if (!scrubbed.equals(buffer)) {
+    await fs.promises.writeFile(filePath, scrubbed);
+  }
+
+  return {
+    scrubbed: true,
+    removed: Array.from(report.removed),
+    otherExifTags: report.otherExifTags,
+    orientation: report.orientation,
+    capturedAt: keepCaptureTime ? report.capturedAt : null
+  };
+}
+
+module.exports = {
+  scrubImageFile
+};
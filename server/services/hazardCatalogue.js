@@ -0,0 +1,114 @@
+const { allQuery } = require('../database/database');
+const { HAZARDOUS_OBJECTS, HAZARD_CATEGORIES, RISK_LEVELS } = require('./imageAnalysis');
+
+// Risk levels a hazard can be given ('none' is what unknown objects score)
+const HAZARD_RISK_LEVELS = Object.keys(RISK_LEVELS).filter(level => level !== 'none');
+
+/**
+ * Build the full hazard list for a user: the default HAZARDOUS_OBJECTS with the
+ * user's overrides applied, plus their custom labels
+ * @returns {Promise<Object>} - { hazards: [...], categories: [...] }
+ */
+async function getHazardCatalogueEntries(userId) {
+  const overrides = await allQuery(
+    `SELECT label, risk, description, category, disabled, is_custom
+     FROM hazard_overrides
+     WHERE user_id = ?`,
+    [userId]
+  );
+
+  const categorySettings = await allQuery(
+    'SELECT category, disabled FROM hazard_category_settings WHERE user_id = ?',
+    [userId]
+  );
+
+  const disabledCategories = new Set(
+    (categorySettings || []).filter(row => row.disabled).map(row => row.category)
+  );
+
+  const overridesByLabel = new Map((overrides || []).map(row => [row.label, row]));
+  const hazards = [];
+
+  for (const [label, hazard] of Object.entries(HAZARDOUS_OBJECTS)) {
+    const override = overridesByLabel.get(label);
+
+    hazards.push({
+      label,
+      risk: override?.risk || hazard.risk,
+      description: override?.description || hazard.description,
+      category: hazard.category,
+      disabled: Boolean(override?.disabled),
+      custom: false,
+      overridden: Boolean(override)
+    });
+  }
+
+  for (const override of overrides || []) {
+    if (!override.is_custom || HAZARDOUS_OBJECTS[override.label]) {
+      continue;
+    }
+
+    hazards.push({
+      label: override.label,
+      risk: override.risk,
+      description: override.description,
+      category: override.category || 'custom',
+      disabled: Boolean(override.disabled),
+      custom: true,
+      overridden: false
+    });
+  }
+
+  const categories = Object.entries(HAZARD_CATEGORIES).map(([name, title]) => ({
+    name,
+    title,
+    disabled: disabledCategories.has(name)
+  }));
+
+  return { hazards, categories };
+}
+
+/**
+ * Get the hazard map to score a user's images with, in the same shape as
+ * HAZARDOUS_OBJECTS. Disabled hazards and categories are left out.
+ */
+async function getHazardCatalogue(userId) {
+  if (!userId) {
+    return HAZARDOUS_OBJECTS;
+  }
+
+  const { hazards, categories } = await getHazardCatalogueEntries(userId);
+  const disabledCategories = new Set(categories.filter(c => c.disabled).map(c => c.name));
+  const catalogue = {};
+
+  for (const hazard of hazards) {
+    if (hazard.disabled || disabledCategories.has(hazard.category)) {
+      continue;
+    }
+
+    catalogue[hazard.label] = {
+      risk: hazard.risk,
+      description: hazard.description,
+      category: hazard.category
+    };
+  }
+
+  return catalogue;
+}
+
+/**
+ * Normalise a hazard label to the detector naming style (e.g. "Baby Gate" -> "baby_gate")
+ */
+function normalizeLabel(label) {
+  return String(label || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, '_');
+}
+
+module.exports = {
+  getHazardCatalogue,
+  getHazardCatalogueEntries,
+  normalizeLabel,
+  HAZARD_RISK_LEVELS
+};
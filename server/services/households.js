@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const { runQuery, getQuery, allQuery } = require('../database/database');
+
+// Household roles from least to most privileged
+const HOUSEHOLD_ROLES = ['viewer', 'caregiver', 'owner'];
+
+// Invite codes avoid look-alike characters (0/O, 1/I) so they can be read out
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+const INVITE_TTL_DAYS = parseInt(process.env.HOUSEHOLD_INVITE_TTL_DAYS) || 7;
+
+/**
+ * Whether a member's role grants at least the given role's permissions
+ */
+function hasRole(role, minimumRole) {
+  return HOUSEHOLD_ROLES.indexOf(role) >= HOUSEHOLD_ROLES.indexOf(minimumRole);
+}
+
+function generateInviteCode() {
+  let code = '';
+  for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+    code += INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Create a household with the user as its owner and make it their active one
+ * @returns {number} The new household id
+ */
+async function createHousehold(userId, name) {
+  const result = await runQuery(
+    'INSERT INTO households (name, created_by) VALUES (?, ?)',
+    [name, userId]
+  );
+
+  await runQuery(
+    "INSERT INTO household_members (household_id, user_id, role) VALUES (?, ?, 'owner')",
+    [result.id, userId]
+  );
+  await setActiveHousehold(userId, result.id);
+
+  return result.id;
+}
+
+async function setActiveHousehold(userId, householdId) {
+  await runQuery(
+    'UPDATE users SET active_household_id = ? WHERE id = ?',
+    [householdId, userId]
+  );
+}
+
+/**
+ * Households the user belongs to, with their role in each
+ */
+async function listMemberships(userId) {
+  return allQuery(
+    `SELECT h.id, h.name, m.role, m.joined_at
+     FROM household_members m
+     JOIN households h ON h.id = m.household_id
+     WHERE m.user_id = ?
+     ORDER BY m.joined_at, h.id`,
+    [userId]
+  );
+}
+
+/**
+ * The household the user is currently working in: their chosen active
+ * household, else the first they joined. Users without any membership
+ * (e.g. the seeded admin) get a household of their own.
+ * @returns {Object} { id, name, role }
+ */
+async function getActiveHousehold(userId) {
+  const active = await getQuery(
+    `SELECT h.id, h.name, m.role
+     FROM users u
+     JOIN household_members m ON m.household_id = u.active_household_id AND m.user_id = u.id
+     JOIN households h ON h.id = m.household_id
+     WHERE u.id = ?`,
+    [userId]
+  );
+
+  if (active) {
+    return active;
+  }
+
+  const [first] = await listMemberships(userId);
+  if (first) {
+    await setActiveHousehold(userId, first.id);
+    return { id: first.id, name: first.name, role: first.role };
+  }
+
+  const user = await getQuery('SELECT username FROM users WHERE id = ?', [userId]);
+  const name = `${user ? user.username : 'My'}'s Home`;
+  const householdId = await createHousehold(userId, name);
+
+  return { id: householdId, name, role: 'owner' };
+}
+
+/**
+ * Create a single-use invite code for a household
+ */
+async function createInvite(householdId, role, createdBy) {
+  // Retry on the (unlikely) chance the random code is already taken
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = generateInviteCode();
+    const existing = await getQuery('SELECT id FROM household_invites WHERE code = ?', [code]);
+
+    if (!existing) {
+      const result = await runQuery(
+        `INSERT INTO household_invites (household_id, code, role, created_by, expires_at)
+         VALUES (?, ?, ?, ?, datetime('now', ?))`,
+        [householdId, code, role, createdBy, `+${INVITE_TTL_DAYS} days`]
+      );
+
+      return getQuery('SELECT * FROM household_invites WHERE id = ?', [result.id]);
+    }
+  }
+
+  throw new Error('Could not generate a unique invite code');
+}
+
+/**
+ * Redeem an invite code, adding the user to its household. A member of the
+ * household just switches to it, and the invite stays unused.
+ * @returns {Object|null} { id, name, role } of the household joined, or null if the code is invalid
+ */
+async function redeemInvite(code, userId) {
+  const invite = await getQuery(
+    `SELECT i.id, i.household_id, i.role, h.name
+     FROM household_invites i
+     JOIN households h ON h.id = i.household_id
+     WHERE i.code = ? AND i.used_at IS NULL AND i.expires_at > datetime('now')`,
+    [String(code).trim().toUpperCase()]
+  );
+
+  if (!invite) {
+    return null;
+  }
+
+  const existing = await getQuery(
+    'SELECT role FROM household_members WHERE household_id = ? AND user_id = ?',
+    [invite.household_id, userId]
+  );
+
+  // Existing members keep their role and leave the invite for whoever it was
+  // meant for; anyone else claims it before joining so two redemptions can't
+  // both use it
+  if (!existing) {
+    const claim = await runQuery(
+      `UPDATE household_invites SET used_by = ?, used_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND used_at IS NULL AND expires_at > datetime('now')`,
+      [userId, invite.id]
+    );
+
+    if (claim.changes !== 1) {
+      return null;
+    }
+
+    await runQuery(
+      'INSERT INTO household_members (household_id, user_id, role) VALUES (?, ?, ?)',
+      [invite.household_id, userId, invite.role]
+    );
+  }
+
+  await setActiveHousehold(userId, invite.household_id);
+
+  return {
+    id: invite.household_id,
+    name: invite.name,
+    role: existing ? existing.role : invite.role
+  };
+}
+
+module.exports = {
+  HOUSEHOLD_ROLES,
+  hasRole,
+  createHousehold,
+  setActiveHousehold,
+  listMemberships,
+  getActiveHousehold,
+  createInvite,
+  redeemInvite
+};
@@ -1,49 +1,67 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { parseImageMetadata, formatFromExtension } = require('./imageMetadata');
+const { getDetector } = require('./detectors');
+const { applyChildProfile } = require('./childProfiles');
+const { getCachedDetections, cacheDetections } = require('./analysisCache');
 
 // Hazardous objects and situations to detect
 const HAZARDOUS_OBJECTS = {
   // Water-related hazards
-  'water': { risk: 'high', description: 'Water hazard - potential drowning risk' },
-  'pool': { risk: 'high', description: 'Swimming pool - supervision required' },
-  'bathtub': { risk: 'medium', description: 'Bathtub with water - drowning risk' },
-  'sink': { risk: 'low', description: 'Water in sink - minor risk' },
+  'water': { risk: 'high', description: 'Water hazard - potential drowning risk', category: 'water' },
+  'pool': { risk: 'high', description: 'Swimming pool - supervision required', category: 'water' },
+  'bathtub': { risk: 'medium', description: 'Bathtub with water - drowning risk', category: 'water' },
+  'sink': { risk: 'low', description: 'Water in sink - minor risk', category: 'water' },
   
   // Fire-related hazards
-  'fire': { risk: 'high', description: 'Fire hazard - immediate danger' },
-  'stove': { risk: 'medium', description: 'Hot stove - burn risk' },
-  'candle': { risk: 'medium', description: 'Open flame - fire hazard' },
-  'lighter': { risk: 'high', description: 'Lighter - fire hazard' },
+  'fire': { risk: 'high', description: 'Fire hazard - immediate danger', category: 'fire' },
+  'stove': { risk: 'medium', description: 'Hot stove - burn risk', category: 'fire' },
+  'candle': { risk: 'medium', description: 'Open flame - fire hazard', category: 'fire' },
+  'lighter': { risk: 'high', description: 'Lighter - fire hazard', category: 'fire' },
   
   // Sharp objects
-  'knife': { risk: 'high', description: 'Sharp knife - cut risk' },
-  'scissors': { risk: 'medium', description: 'Sharp scissors - injury risk' },
-  'razor': { risk: 'high', description: 'Sharp razor - cut risk' },
+  'knife': { risk: 'high', description: 'Sharp knife - cut risk', category: 'sharp' },
+  'scissors': { risk: 'medium', description: 'Sharp scissors - injury risk', category: 'sharp' },
+  'razor': { risk: 'high', description: 'Sharp razor - cut risk', category: 'sharp' },
   
   // Electrical hazards
-  'electrical_outlet': { risk: 'high', description: 'Electrical outlet - shock risk' },
-  'power_cord': { risk: 'medium', description: 'Power cord - electrical hazard' },
-  'appliance': { risk: 'medium', description: 'Electrical appliance - shock risk' },
+  'electrical_outlet': { risk: 'high', description: 'Electrical outlet - shock risk', category: 'electrical' },
+  'power_cord': { risk: 'medium', description: 'Power cord - electrical hazard', category: 'electrical' },
+  'appliance': { risk: 'medium', description: 'Electrical appliance - shock risk', category: 'electrical' },
   
   // Heights and falls
-  'stairs': { risk: 'medium', description: 'Stairs - fall risk' },
-  'balcony': { risk: 'high', description: 'Balcony - fall risk' },
-  'window': { risk: 'medium', description: 'Open window - fall risk' },
+  'stairs': { risk: 'medium', description: 'Stairs - fall risk', category: 'heights' },
+  'balcony': { risk: 'high', description: 'Balcony - fall risk', category: 'heights' },
+  'window': { risk: 'medium', description: 'Open window - fall risk', category: 'heights' },
   
   // Traffic hazards
-  'road': { risk: 'high', description: 'Road - traffic hazard' },
-  'car': { risk: 'medium', description: 'Vehicle - traffic hazard' },
-  'bicycle': { risk: 'low', description: 'Bicycle - minor traffic risk' },
+  'road': { risk: 'high', description: 'Road - traffic hazard', category: 'traffic' },
+  'car': { risk: 'medium', description: 'Vehicle - traffic hazard', category: 'traffic' },
+  'bicycle': { risk: 'low', description: 'Bicycle - minor traffic risk', category: 'traffic' },
   
   // Chemicals and medicine
-  'medicine': { risk: 'high', description: 'Medicine - poisoning risk' },
-  'cleaning_supplies': { risk: 'medium', description: 'Cleaning supplies - chemical hazard' },
-  'pills': { risk: 'high', description: 'Pills - poisoning risk' },
+  'medicine': { risk: 'high', description: 'Medicine - poisoning risk', category: 'chemical' },
+  'cleaning_supplies': { risk: 'medium', description: 'Cleaning supplies - chemical hazard', category: 'chemical' },
+  'pills': { risk: 'high', description: 'Pills - poisoning risk', category: 'chemical' },
   
   // Small objects
-  'small_object': { risk: 'medium', description: 'Small object - choking hazard' },
-  'coin': { risk: 'medium', description: 'Coin - choking hazard' },
-  'button': { risk: 'low', description: 'Small button - minor choking risk' }
+  'small_object': { risk: 'medium', description: 'Small object - choking hazard', category: 'choking' },
+  'coin': { risk: 'medium', description: 'Coin - choking hazard', category: 'choking' },
+  'button': { risk: 'low', description: 'Small button - minor choking risk', category: 'choking' }
+};
+
+// Hazard categories (used to enable/disable whole groups per account)
+const HAZARD_CATEGORIES = {
+  'water': 'Water',
+  'fire': 'Fire',
+  'sharp': 'Sharp objects',
+  'electrical': 'Electrical',
+  'heights': 'Heights and falls',
+  'traffic': 'Traffic',
+  'chemical': 'Chemicals and medicine',
+  'choking': 'Choking',
+  'custom': 'Custom'
 };
 
 // Risk levels and their descriptions
@@ -55,45 +73,78 @@ const RISK_LEVELS = {
 };
 
 /**
- * Simulate computer vision analysis of an image
- * In a real implementation, this would use a trained YOLOv8 or similar model
+ * Run hazard analysis on an image using the configured detector backend
+ * (DETECTOR_BACKEND - 'mock' by default, see services/detectors)
+ * @param {string} imagePath - Path to the uploaded file
+ * @param {Object} [options]
+ * @param {string} [options.seed] - Simulation seed (defaults to SIMULATION_SEED);
+ *   with a seed, the same file always produces the same result
+ * @param {Object} [options.catalogue] - The uploader's hazard catalogue
+ * @param {Object} [options.child] - Child profile the image was tagged with
+ * @param {boolean} [options.force] - Run the detector even if the same content
+ *   was already analyzed with this detector version
  */
-async function processImageAnalysis(imagePath) {
+async function processImageAnalysis(imagePath, options = {}) {
   try {
     // Validate image file exists
     if (!fs.existsSync(imagePath)) {
       throw new Error('Image file not found');
     }
 
-    // Get basic file info (without sharp to avoid segmentation fault)
-    const stats = fs.statSync(imagePath);
-    const imageInfo = {
-      width: 800, // Default width
-      height: 600, // Default height
-      format: path.extname(imagePath).slice(1).toLowerCase() || 'jpg'
-    };
+    // Decode the real headers (pure JS - sharp segfaulted on deployment)
+    const buffer = fs.readFileSync(imagePath);
+    const imageInfo = parseImageMetadata(buffer);
+
+    // Reject files whose bytes don't match the type they were uploaded as
+    const claimedFormat = formatFromExtension(path.extname(imagePath));
+    if (claimedFormat && claimedFormat !== imageInfo.format) {
+      throw new Error(
+        `File content is ${imageInfo.format.toUpperCase()} but was uploaded as ${claimedFormat.toUpperCase()}`
+      );
+    }
     
-    // Simulate processing time
-    await new Promise(resolve => setTimeout(resolve, 1000 + Math.random() * 2000));
+    const contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const seed = resolveSeed(options.seed);
+
+    // Detect objects with the configured backend, unless this content was
+    // already analyzed by the same detector version
+    const detector = getDetector();
+    const cacheable = detector.version !== null;
+    const cacheKey = { contentHash, detector, seed };
+    let detectedObjects = options.force || !cacheable ? null : await getCachedDetections(cacheKey);
+    const cached = Boolean(detectedObjects);
 
-    // Simulate object detection based on image characteristics
-    const detectedObjects = simulateObjectDetection(imageInfo);
+    if (!cached) {
+      detectedObjects = await detector.detect(buffer, { ...imageInfo, contentHash, seed });
+      if (cacheable) {
+        await cacheDetections(cacheKey, detectedObjects);
+      }
+    }
     
     // Analyze risks based on detected objects
-    const riskAnalysis = analyzeRisks(detectedObjects);
+    const catalogue = options.catalogue || HAZARDOUS_OBJECTS;
+    const riskAnalysis = analyzeRisks(detectedObjects, catalogue, options.child);
     
     // Generate confidence scores
-    const confidenceScores = generateConfidenceScores(detectedObjects);
+    const confidenceScores = generateConfidenceScores(detectedObjects, catalogue, options.child);
 
     return {
       detectedObjects,
       riskLevel: riskAnalysis.level,
       riskDescription: riskAnalysis.description,
       confidenceScores,
+      detector: detector.name,
+      detectorVersion: detector.version,
+      cached,
+      contentHash,
+      seed: detector.usesSeed ? seed : null,
       imageInfo: {
         width: imageInfo.width,
         height: imageInfo.height,
-        format: imageInfo.format
+        format: imageInfo.format,
+        orientation: imageInfo.orientation,
+        colorType: imageInfo.colorType,
+        frameCount: imageInfo.frameCount
       }
     };
   } catch (error) {
@@ -103,88 +154,32 @@ async function processImageAnalysis(imagePath) {
 }
 
 /**
- * Simulate object detection based on image characteristics
- * In reality, this would use a trained model like YOLOv8
+ * Pick the simulation seed: explicit option first, then SIMULATION_SEED
+ * @returns {string|null} - null means unseeded (Math.random) simulation
  */
-function simulateObjectDetection(imageInfo) {
-  const detectedObjects = [];
-  const { width, height, format } = imageInfo;
-  
-  // Simulate detection based on image properties
-  // In a real implementation, this would be the output of a CV model
-  
-  // Simulate water detection (based on image size and format)
-  if (width > 1000 && height > 800) {
-    if (Math.random() > 0.7) {
-      detectedObjects.push({
-        name: 'water',
-        confidence: 0.85 + Math.random() * 0.1,
-        bbox: [0.1, 0.2, 0.8, 0.6]
-      });
-    }
-  }
-  
-  // Simulate fire detection
-  if (Math.random() > 0.8) {
-    detectedObjects.push({
-      name: 'fire',
-      confidence: 0.75 + Math.random() * 0.2,
-      bbox: [0.3, 0.4, 0.4, 0.3]
-    });
-  }
-  
-  // Simulate sharp objects
-  if (Math.random() > 0.6) {
-    const sharpObjects = ['knife', 'scissors'];
-    const randomObject = sharpObjects[Math.floor(Math.random() * sharpObjects.length)];
-    detectedObjects.push({
-      name: randomObject,
-      confidence: 0.8 + Math.random() * 0.15,
-      bbox: [0.2, 0.3, 0.3, 0.4]
-    });
-  }
-  
-  // Simulate electrical hazards
-  if (Math.random() > 0.7) {
-    detectedObjects.push({
-      name: 'electrical_outlet',
-      confidence: 0.9 + Math.random() * 0.08,
-      bbox: [0.1, 0.8, 0.1, 0.15]
-    });
-  }
-  
-  // Simulate small objects (choking hazards)
-  if (Math.random() > 0.5) {
-    const smallObjects = ['small_object', 'coin', 'button'];
-    const randomObject = smallObjects[Math.floor(Math.random() * smallObjects.length)];
-    detectedObjects.push({
-      name: randomObject,
-      confidence: 0.7 + Math.random() * 0.2,
-      bbox: [0.4, 0.5, 0.1, 0.1]
-    });
-  }
-  
-  // If no objects detected, add a safe environment indicator
-  if (detectedObjects.length === 0) {
-    detectedObjects.push({
-      name: 'safe_environment',
-      confidence: 0.95,
-      bbox: [0, 0, 1, 1]
-    });
-  }
-  
-  return detectedObjects;
+function resolveSeed(seed) {
+  const value = seed !== undefined && seed !== null && seed !== ''
+    ? seed
+    : process.env.SIMULATION_SEED;
+
+  return value !== undefined && value !== '' ? String(value) : null;
 }
 
 /**
  * Analyze risks based on detected objects
+ * @param {Array} detectedObjects - Detector output
+ * @param {Object} [catalogue] - Hazard catalogue to score against (per-account,
+ *   see services/hazardCatalogue); defaults to HAZARDOUS_OBJECTS
+ * @param {Object} [child] - Child profile; severities are raised or lowered for
+ *   the child's age band (see services/childProfiles)
  */
-function analyzeRisks(detectedObjects) {
+function analyzeRisks(detectedObjects, catalogue = HAZARDOUS_OBJECTS, child = null) {
+  const hazards = applyChildProfile(catalogue, child);
   let highestRisk = 'none';
   let riskDescriptions = [];
   
   for (const obj of detectedObjects) {
-    const hazard = HAZARDOUS_OBJECTS[obj.name];
+    const hazard = hazards[obj.name];
     if (hazard) {
       if (hazard.risk === 'high') {
         highestRisk = 'high';
@@ -215,15 +210,20 @@ function analyzeRisks(detectedObjects) {
 
 /**
  * Generate confidence scores for detected objects
+ * @param {Array} detectedObjects - Detector output
+ * @param {Object} [catalogue] - Hazard catalogue, defaults to HAZARDOUS_OBJECTS
+ * @param {Object} [child] - Child profile for age-aware severities
  */
-function generateConfidenceScores(detectedObjects) {
+function generateConfidenceScores(detectedObjects, catalogue = HAZARDOUS_OBJECTS, child = null) {
+  const hazards = applyChildProfile(catalogue, child);
   const scores = {};
   
   for (const obj of detectedObjects) {
     scores[obj.name] = {
       confidence: obj.confidence,
-      riskLevel: HAZARDOUS_OBJECTS[obj.name]?.risk || 'none',
-      description: HAZARDOUS_OBJECTS[obj.name]?.description || 'Unknown object'
+      riskLevel: hazards[obj.name]?.risk || 'none',
+      description: hazards[obj.name]?.description || 'Unknown object',
+      category: hazards[obj.name]?.category || null
     };
   }
   
@@ -239,7 +239,10 @@ function getRiskLevelInfo(level) {
 
 module.exports = {
   processImageAnalysis,
+  analyzeRisks,
+  generateConfidenceScores,
   getRiskLevelInfo,
   HAZARDOUS_OBJECTS,
+  HAZARD_CATEGORIES,
   RISK_LEVELS
 };
@@ -0,0 +1,450 @@
+// Pure JavaScript image header parsing (no native modules - sharp segfaulted on
+// our deployment targets). Only the headers are inspected; pixel data is never
+// decoded here.
+
+const FORMAT_MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+const EXTENSION_FORMATS = {
+  jpg: 'jpeg',
+  jpeg: 'jpeg',
+  png: 'png',
+  gif: 'gif',
+  webp: 'webp'
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const PNG_COLOR_TYPES = {
+  0: 'grayscale',
+  2: 'rgb',
+  3: 'indexed',
+  4: 'grayscale-alpha',
+  6: 'rgba'
+};
+
+const JPEG_COLOR_TYPES = {
+  1: 'grayscale',
+  3: 'ycbcr',
+  4: 'cmyk'
+};
+
+// Start-of-frame markers carry the image dimensions (DHT, JPG and DAC share the
+// 0xC4/0xC8/0xCC slots and are excluded)
+const JPEG_SOF_MARKERS = new Set([
+  0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7,
+  0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf
+]);
+
+/**
+ * Identify an image format from its magic bytes
+ * @param {Buffer} buffer - File contents (the first 16 bytes are enough)
+ * @returns {string|null} - 'jpeg', 'png', 'gif', 'webp' or null if unrecognised
+ */
+function detectImageFormat(buffer) {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return 'png';
+  }
+
+  const gifSignature = buffer.toString('ascii', 0, 6);
+  if (gifSignature === 'GIF87a' || gifSignature === 'GIF89a') {
+    return 'gif';
+  }
+
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+
+  return null;
+}
+
+/**
+ * Map a file extension (with or without the leading dot) to an image format
+ */
+function formatFromExtension(extension) {
+  const ext = String(extension || '').replace(/^\./, '').toLowerCase();
+  return EXTENSION_FORMATS[ext] || null;
+}
+
+/**
+ * Parse width, height, orientation, color type and frame count from an image
+ * @param {Buffer} buffer - Complete file contents
+ * @returns {Object} - { format, mimeType, width, height, orientation, colorType, frameCount }
+ * @throws {Error} - If the format is unrecognised or the headers are malformed
+ */
+function parseImageMetadata(buffer) {
+  const format = detectImageFormat(buffer);
+
+  if (!format) {
+    throw new Error('Unrecognised image format');
+  }
+
+  let info;
+  switch (format) {
+    case 'jpeg':
+      info = parseJpeg(buffer);
+      break;
+    case 'png':
+      info = parsePng(buffer);
+      break;
+    case 'gif':
+      info = parseGif(buffer);
+      break;
+    case 'webp':
+      info = parseWebp(buffer);
+      break;
+    default:
+      throw new Error('Unrecognised image format');
+  }
+
+  if (!info.width || !info.height) {
+    throw new Error(`Invalid ${format.toUpperCase()} dimensions`);
+  }
+
+  return {
+    format,
+    mimeType: FORMAT_MIME_TYPES[format],
+    width: info.width,
+    height: info.height,
+    orientation: info.orientation || 1,
+    colorType: info.colorType,
+    frameCount: info.frameCount || 1
+  };
+}
+
+/**
+ * Walk a JPEG's segments after SOI, yielding { marker, start, dataStart, end }
+ * for each (standalone markers have no data). The entropy-coded data after a
+ * start of scan is yielded as { marker: null, start, end }; it runs to the
+ * next real marker, or to the end of a truncated file. Stops after EOI.
+ * Throws on a malformed or truncated segment.
+ */
+function* jpegSegments(buffer) {
+  let offset = 2;
+
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      throw new Error('Malformed JPEG segment');
+    }
+
+    const start = offset;
+
+    // Skip fill bytes
+    while (buffer[offset] === 0xff && offset < buffer.length) {
+      offset++;
+    }
+
+    const marker = buffer[offset];
+    offset++;
+
+    // EOI and the standalone markers (RSTn, TEM) have no length field
+    if (marker === 0xd9 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+      yield { marker, start, dataStart: offset, end: offset };
+      if (marker === 0xd9) {
+        return;
+      }
+      continue;
+    }
+
+    if (offset + 2 > buffer.length) {
+      throw new Error('Truncated JPEG segment');
+    }
+
+    const segmentLength = buffer.readUInt16BE(offset);
+    if (segmentLength < 2 || offset + segmentLength > buffer.length) {
+      throw new Error('Truncated JPEG segment');
+    }
+
+    yield { marker, start, dataStart: offset + 2, end: offset + segmentLength };
+    offset += segmentLength;
+
+    // Entropy-coded data runs to the next marker that isn't a stuffed 0xFF00
+    // or a restart marker
+    if (marker === 0xda) {
+      let end = offset;
+      while (end + 1 < buffer.length
+        && !(buffer[end] === 0xff && buffer[end + 1] !== 0x00 && !(buffer[end + 1] >= 0xd0 && buffer[end + 1] <= 0xd7))) {
+        end++;
+      }
+
+      if (end + 1 >= buffer.length) {
+        end = buffer.length;
+      }
+
+      yield { marker: null, start: offset, dataStart: offset, end };
+      offset = end;
+    }
+  }
+}
+
+/**
+ * Walk a PNG's chunks after the signature, yielding { type, start, dataStart,
+ * dataEnd, end } (end is past the CRC). Stops after IEND, or at the end of
+ * the buffer if there is none. Throws on a truncated chunk.
+ */
+function* pngChunks(buffer) {
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 12 <= buffer.length) {
+    const chunkLength = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const dataStart = offset + 8;
+    const end = dataStart + chunkLength + 4;
+
+    if (end > buffer.length) {
+      throw new Error('Truncated PNG chunk');
+    }
+
+    yield { type, start: offset, dataStart, dataEnd: dataStart + chunkLength, end };
+    offset = end;
+
+    if (type === 'IEND') {
+      return;
+    }
+  }
+}
+
+/**
+ * Walk JPEG segments up to the start of scan
+ */
+function parseJpeg(buffer) {
+  const info = { width: 0, height: 0, orientation: 1, colorType: null, frameCount: 1 };
+
+  for (const { marker, dataStart, end } of jpegSegments(buffer)) {
+    // End of image or start of scan - all header segments have been seen
+    if (marker === 0xd9 || marker === 0xda) {
+      break;
+    }
+
+    if (JPEG_SOF_MARKERS.has(marker)) {
+      info.height = buffer.readUInt16BE(dataStart + 1);
+      info.width = buffer.readUInt16BE(dataStart + 3);
+      const components = buffer[dataStart + 5];
+      info.colorType = JPEG_COLOR_TYPES[components] || `${components}-component`;
+    } else if (
+      marker === 0xe1 &&
+      buffer.toString('ascii', dataStart, dataStart + 6) === 'Exif\0\0'
+    ) {
+      info.orientation = readTiffOrientation(buffer.subarray(dataStart + 6, end));
+    }
+  }
+
+  if (!info.width) {
+    throw new Error('JPEG frame header not found');
+  }
+
+  return info;
+}
+
+/**
+ * Read IHDR and walk the chunk list for APNG frame counts and eXIf orientation
+ */
+function parsePng(buffer) {
+  if (buffer.length < 33 || buffer.toString('ascii', 12, 16) !== 'IHDR') {
+    throw new Error('PNG header chunk not found');
+  }
+
+  const info = {
+    width: buffer.readUInt32BE(16),
+    height: buffer.readUInt32BE(20),
+    orientation: 1,
+    colorType: PNG_COLOR_TYPES[buffer[25]] || 'unknown',
+    frameCount: 1
+  };
+
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const chunkLength = buffer.readUInt32BE(offset);
+    const chunkType = buffer.toString('ascii', offset + 4, offset + 8);
+    const dataStart = offset + 8;
+
+    if (dataStart + chunkLength > buffer.length) {
+      break;
+    }
+
+    if (chunkType === 'acTL' && chunkLength >= 8) {
+      info.frameCount = buffer.readUInt32BE(dataStart);
+    } else if (chunkType === 'eXIf') {
+      info.orientation = readTiffOrientation(buffer.subarray(dataStart, dataStart + chunkLength));
+    } else if (chunkType === 'IDAT' || chunkType === 'IEND') {
+      break;
+    }
+
+    // length + type + data + CRC
+    offset = dataStart + chunkLength + 4;
+  }
+
+  return info;
+}
+
+/**
+ * Read the logical screen size and count image descriptors (frames)
+ */
+function parseGif(buffer) {
+  const info = {
+    width: buffer.readUInt16LE(6),
+    height: buffer.readUInt16LE(8),
+    orientation: 1,
+    colorType: 'indexed',
+    frameCount: 0
+  };
+
+  let offset = 13;
+  const packed = buffer[10];
+  if (packed & 0x80) {
+    offset += 3 * (1 << ((packed & 0x07) + 1));
+  }
+
+  while (offset < buffer.length) {
+    const blockType = buffer[offset];
+
+    if (blockType === 0x3b) {
+      // Trailer
+      break;
+    }
+
+    if (blockType === 0x2c) {
+      // Image descriptor, optional local color table, LZW code size, data
+      info.frameCount++;
+      const localPacked = buffer[offset + 9];
+      offset += 10;
+      if (localPacked & 0x80) {
+        offset += 3 * (1 << ((localPacked & 0x07) + 1));
+      }
+      offset = skipGifSubBlocks(buffer, offset + 1);
+    } else if (blockType === 0x21) {
+      // Extension: introducer, label, data sub-blocks
+      offset = skipGifSubBlocks(buffer, offset + 2);
+    } else {
+      throw new Error('Malformed GIF block');
+    }
+  }
+
+  info.frameCount = Math.max(info.frameCount, 1);
+  return info;
+}
+
+function skipGifSubBlocks(buffer, offset) {
+  while (offset < buffer.length) {
+    const size = buffer[offset];
+    offset += 1;
+    if (size === 0) {
+      return offset;
+    }
+    offset += size;
+  }
+  return offset;
+}
+
+/**
+ * Read VP8 / VP8L / VP8X headers and count ANMF frames
+ */
+function parseWebp(buffer) {
+  const info = { width: 0, height: 0, orientation: 1, colorType: 'rgb', frameCount: 1 };
+  let animationFrames = 0;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkType = buffer.toString('ascii', offset, offset + 4);
+    const chunkLength = buffer.readUInt32LE(offset + 4);
+    const dataStart = offset + 8;
+
+    if (dataStart + chunkLength > buffer.length) {
+      throw new Error('Truncated WebP chunk');
+    }
+
+    if (chunkType === 'VP8X') {
+      const flags = buffer[dataStart];
+      info.width = buffer.readUIntLE(dataStart + 4, 3) + 1;
+      info.height = buffer.readUIntLE(dataStart + 7, 3) + 1;
+      if (flags & 0x10) {
+        info.colorType = 'rgba';
+      }
+    } else if (chunkType === 'VP8 ' && !info.width) {
+      // Lossy bitstream: 3-byte frame tag, then 0x9d 0x01 0x2a start code
+      if (buffer[dataStart + 3] !== 0x9d || buffer[dataStart + 4] !== 0x01 || buffer[dataStart + 5] !== 0x2a) {
+        throw new Error('Invalid VP8 start code');
+      }
+      info.width = buffer.readUInt16LE(dataStart + 6) & 0x3fff;
+      info.height = buffer.readUInt16LE(dataStart + 8) & 0x3fff;
+    } else if (chunkType === 'VP8L' && !info.width) {
+      // Lossless bitstream: 0x2f signature, then 14-bit width/height minus one
+      if (buffer[dataStart] !== 0x2f) {
+        throw new Error('Invalid VP8L signature');
+      }
+      const bits = buffer.readUInt32LE(dataStart + 1);
+      info.width = (bits & 0x3fff) + 1;
+      info.height = ((bits >> 14) & 0x3fff) + 1;
+      if ((bits >> 28) & 0x01) {
+        info.colorType = 'rgba';
+      }
+    } else if (chunkType === 'ANMF') {
+      animationFrames++;
+    } else if (chunkType === 'EXIF') {
+      info.orientation = readTiffOrientation(buffer.subarray(dataStart, dataStart + chunkLength));
+    }
+
+    // Chunks are padded to an even length
+    offset = dataStart + chunkLength + (chunkLength % 2);
+  }
+
+  if (animationFrames > 0) {
+    info.frameCount = animationFrames;
+  }
+
+  return info;
+}
+
+/**
+ * Read the Orientation tag (0x0112) from IFD0 of a TIFF/EXIF block
+ * @returns {number} - EXIF orientation 1-8 (1 when absent or unreadable)
+ */
+function readTiffOrientation(tiff) {
+  try {
+    const byteOrder = tiff.toString('ascii', 0, 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') {
+      return 1;
+    }
+
+    const littleEndian = byteOrder === 'II';
+    const readUInt16 = (pos) => (littleEndian ? tiff.readUInt16LE(pos) : tiff.readUInt16BE(pos));
+    const readUInt32 = (pos) => (littleEndian ? tiff.readUInt32LE(pos) : tiff.readUInt32BE(pos));
+
+    const ifdOffset = readUInt32(4);
+    const entryCount = readUInt16(ifdOffset);
+
+    for (let i = 0; i < entryCount; i++) {
+      const entry = ifdOffset + 2 + i * 12;
+      if (readUInt16(entry) === 0x0112) {
+        const orientation = readUInt16(entry + 8);
+        return orientation >= 1 && orientation <= 8 ? orientation : 1;
+      }
+    }
+  } catch (error) {
+    // Out-of-range reads mean a truncated EXIF block; treat as unrotated
+  }
+
+  return 1;
+}
+
+module.exports = {
+  detectImageFormat,
+  formatFromExtension,
+  parseImageMetadata,
+  jpegSegments,
+  pngChunks,
+  readTiffOrientation,
+  FORMAT_MIME_TYPES
+};
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const { runQuery } = require('../database/database');
+const { removeDerivatives } = require('./derivatives');
+const { detachImageFromHazardItems } = require('./remediation');
+
+function removeFile(filePath) {
+  fs.unlink(filePath, (err) => {
+    if (err && err.code !== 'ENOENT') console.error('Error deleting file:', err);
+  });
+}
+
+/**
+ * Delete an image record with its queue history, the hazard items only it
+ * tracked, its file and its derivatives. Duplicates of it stop pointing at it,
+ * and other hazard items seen in it move to their room's other scans. Items
+ * of a deleted room have no room but may still be tracked by later scans, so
+ * only room-less items no other image refers to are deleted.
+ * @param {Object} image - image_records row (id, file_path, derivatives)
+ */
+async function deleteImageRecord(image) {
+  await runQuery('DELETE FROM analysis_jobs WHERE image_id = ?', [image.id]);
+  await runQuery(
+    `DELETE FROM hazard_items
+     WHERE room_id IS NULL AND first_image_id = ?
+       AND COALESCE(last_image_id, ?) = ? AND COALESCE(verification_image_id, ?) = ?`,
+    [image.id, image.id, image.id, image.id, image.id]
+  );
+  await detachImageFromHazardItems(image.id);
+  await runQuery('UPDATE image_records SET duplicate_of = NULL WHERE duplicate_of = ?', [image.id]);
+  await runQuery('DELETE FROM image_records WHERE id = ?', [image.id]);
+
+  removeFile(image.file_path);
+  removeDerivatives(image);
+}
+
+/**
+ * Delete an image's file and derivatives but keep its record and analysis
+ * results. The blurred placeholder stays as its only picture.
+ * @param {Object} image - image_records row (id, file_path, derivatives)
+ */
+async function removeImageOriginal(image) {
+  await runQuery('DELETE FROM analysis_jobs WHERE image_id = ?', [image.id]);
+  await runQuery(
+    `UPDATE image_records
+     SET derivatives = NULL, file_size = 0, original_removed_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [image.id]
+  );
+
+  removeFile(image.file_path);
+  removeDerivatives(image);
+}
+
+module.exports = {
+  deleteImageRecord,
+  removeImageOriginal
+};
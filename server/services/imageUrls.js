@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const { JWT_SECRET } = require('./sessions');
+const { DERIVATIVE_SIZES } = require('./derivatives');
+
+const IMAGE_VARIANTS = ['original', ...Object.keys(DERIVATIVE_SIZES)];
+
+const IMAGE_URL_SECRET = process.env.IMAGE_URL_SECRET || JWT_SECRET;
+
+// Signed URLs stay valid for between one and two of these windows
+const IMAGE_URL_TTL_SECONDS = parseInt(process.env.IMAGE_URL_TTL_SECONDS) || 15 * 60;
+
+function signImage(imageId, variant, expires) {
+  return crypto
+    .createHmac('sha256', IMAGE_URL_SECRET)
+    .update(`${imageId}:${variant}:${expires}`)
+    .digest('base64url');
+}
+
+/**
+ * A short-lived URL for one of an image's files that works without an
+ * Authorization header, for <img> tags. The expiry is rounded to the end of
+ * the next window so the URL (and the browser's cached copy) stays the same
+ * across refetches within a window.
+ * @returns {string} Path relative to the API base URL
+ */
+function signImageUrl(imageId, variant = 'original') {
+  const period = Math.floor(Date.now() / 1000 / IMAGE_URL_TTL_SECONDS);
+  const expires = (period + 2) * IMAGE_URL_TTL_SECONDS;
+
+  return `/images/${imageId}/${variant}?expires=${expires}&signature=${signImage(imageId, variant, expires)}`;
+}
+
+/**
+ * Check a signed image URL's signature and expiry
+ */
+function verifyImageSignature(imageId, variant, expires, signature) {
+  const expiresAt = parseInt(expires);
+
+  if (!expiresAt || expiresAt * 1000 < Date.now() || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(signImage(imageId, variant, expiresAt));
+  const actual = Buffer.from(signature);
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Signed URLs for each of an image's variants
+ * @returns {Object} { original, medium, small }
+ */
+function getImageUrls(imageId) {
+  return Object.fromEntries(IMAGE_VARIANTS.map(variant => [variant, signImageUrl(imageId, variant)]));
+}
+
+/**
+ * Add the signed URLs to an image_records row sent to clients
+ */
+function withImageUrls(image) {
+  return { ...image, urls: getImageUrls(image.id) };
+}
+
+module.exports = {
+  IMAGE_VARIANTS,
+  signImageUrl,
+  getImageUrls,
+  verifyImageSignature,
+  withImageUrls
+};
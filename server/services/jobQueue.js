@@ -0,0 +1,288 @@
+const os = require('os');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { runQuery, getQuery, allQuery } = require('../database/database');
+
+// How long a claimed job stays invisible to other workers before it is
+// considered abandoned; running jobs renew their lease at a third of this
+const VISIBILITY_TIMEOUT_SECONDS = parseInt(process.env.JOB_VISIBILITY_TIMEOUT_SECONDS) || 120;
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+
+// Identifies this process in analysis_jobs.worker_id
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Wakes idle workers as soon as a job is enqueued in this process
+const queueEvents = new EventEmitter();
+queueEvents.setMaxListeners(0);
+
+let running = false;
+let activeWorkers = [];
+
+/**
+ * Put an image on the analysis queue (no-op if it already has an active job)
+ * @returns {boolean} Whether a new job was created
+ */
+async function enqueueAnalysis(imageId, { delaySeconds = 0 } = {}) {
+  const result = await runQuery(
+    `INSERT OR IGNORE INTO analysis_jobs (image_id, available_at)
+     VALUES (?, datetime('now', ?))`,
+    [imageId, `+${delaySeconds} seconds`]
+  );
+
+  if (result.changes > 0) {
+    queueEvents.emit('enqueued');
+  }
+
+  return result.changes > 0;
+}
+
+/**
+ * Atomically claim the next available job: a queued job that is due, or a
+ * running job whose lease has expired. The single UPDATE means two workers
+ * (or two processes) can never claim the same job.
+ * @returns {Object|null} The claimed job row
+ */
+async function claimJob(workerId = WORKER_ID) {
+  const claimToken = crypto.randomUUID();
+
+  const result = await runQuery(
+    `UPDATE analysis_jobs
+     SET status = 'running', worker_id = ?, claim_token = ?, attempts = attempts + 1,
+         locked_until = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+     WHERE id = (
+       SELECT id FROM analysis_jobs
+       WHERE (status = 'queued' AND available_at <= datetime('now'))
+          OR (status = 'running' AND locked_until < datetime('now'))
+       ORDER BY available_at, id
+       LIMIT 1
+     )`,
+    [workerId, claimToken, `+${VISIBILITY_TIMEOUT_SECONDS} seconds`]
+  );
+
+  if (result.changes === 0) {
+    return null;
+  }
+
+  return getQuery('SELECT * FROM analysis_jobs WHERE claim_token = ?', [claimToken]);
+}
+
+/**
+ * Push a running job's lease forward
+ * @returns {boolean} False if the job was reclaimed by another worker
+ */
+async function extendLease(job) {
+  const result = await runQuery(
+    `UPDATE analysis_jobs
+     SET locked_until = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND claim_token = ? AND status = 'running'`,
+    [`+${VISIBILITY_TIMEOUT_SECONDS} seconds`, job.id, job.claim_token]
+  );
+
+  return result.changes > 0;
+}
+
+/**
+ * Mark a job finished; ignored if the claim was lost to another worker
+ */
+async function finishJob(job, status) {
+  const result = await runQuery(
+    `UPDATE analysis_jobs
+     SET status = ?, locked_until = NULL, updated_at = CURRENT_TIMESTAMP,
+         completed_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND claim_token = ?`,
+    [status, job.id, job.claim_token]
+  );
+
+  return result.changes > 0;
+}
+
+/**
+ * Cancel an image's queued (not yet running) job, e.g. when it is analyzed
+ * directly or deleted
+ */
+async function cancelQueuedJobs(imageId) {
+  await runQuery(
+    `UPDATE analysis_jobs SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+     WHERE image_id = ? AND status = 'queued'`,
+    [imageId]
+  );
+}
+
+/**
+ * Whether a worker is analyzing an image right now (its lease may have run
+ * out, but until the job is recovered a worker can still finish it)
+ */
+async function hasRunningJob(imageId) {
+  const job = await getQuery(
+    "SELECT id FROM analysis_jobs WHERE image_id = ? AND status = 'running' LIMIT 1",
+    [imageId]
+  );
+
+  return Boolean(job);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Requeue jobs left running by a process that is gone: jobs with an expired
+ * lease, and jobs owned by a dead process on this host (found without
+ * waiting for the lease to run out)
+ * @returns {number} Number of jobs recovered
+ */
+async function recoverStaleJobs() {
+  const runningJobs = await allQuery(
+    `SELECT id, worker_id, locked_until < datetime('now') AS expired
+     FROM analysis_jobs WHERE status = 'running'`
+  );
+
+  const hostPrefix = `${os.hostname()}:`;
+  const stale = runningJobs.filter(job => {
+    if (job.expired) {
+      return true;
+    }
+    if (!job.worker_id || !job.worker_id.startsWith(hostPrefix) || job.worker_id === WORKER_ID) {
+      return false;
+    }
+    return !isProcessAlive(parseInt(job.worker_id.slice(hostPrefix.length)));
+  });
+
+  for (const job of stale) {
+    await runQuery(
+      `UPDATE analysis_jobs
+       SET status = 'queued', worker_id = NULL, claim_token = NULL, locked_until = NULL,
+           available_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'running'`,
+      [job.id]
+    );
+  }
+
+  if (stale.length > 0) {
+    await runQuery(
+      `UPDATE image_records SET analysis_status = 'pending'
+       WHERE id IN (SELECT image_id FROM analysis_jobs WHERE status = 'queued')
+         AND analysis_status = 'processing'`
+    );
+    console.log(`♻️ Recovered ${stale.length} stale analysis job(s)`);
+  }
+
+  return stale.length;
+}
+
+/**
+ * Wait until a job is enqueued in this process or the poll interval passes
+ */
+function waitForWork() {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, POLL_INTERVAL_MS);
+
+    function done() {
+      clearTimeout(timer);
+      queueEvents.removeListener('enqueued', done);
+      queueEvents.removeListener('stop', done);
+      resolve();
+    }
+
+    queueEvents.once('enqueued', done);
+    queueEvents.once('stop', done);
+  });
+}
+
+/**
+ * Run one job with its lease kept alive while the handler works
+ */
+async function runJob(job, handler) {
+  const heartbeat = setInterval(() => {
+    extendLease(job).catch(error => console.error('Lease renewal error:', error));
+  }, (VISIBILITY_TIMEOUT_SECONDS * 1000) / 3);
+
+  try {
+    await handler(job);
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+async function workerLoop(handler) {
+  while (running) {
+    let job = null;
+
+    try {
+      job = await claimJob();
+    } catch (error) {
+      console.error('Job claim error:', error);
+    }
+
+    if (!job) {
+      await waitForWork();
+      continue;
+    }
+
+    try {
+      await runJob(job, handler);
+    } catch (error) {
+      console.error(`Job ${job.id} handler error:`, error);
+    }
+  }
+}
+
+/**
+ * Start the queue workers
+ * @param {Function} handler - async (job) => void; responsible for finishing the job
+ * @param {number} concurrency - Number of jobs processed at once
+ */
+async function startQueueWorkers(handler, concurrency = CONCURRENCY) {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  await recoverStaleJobs();
+
+  activeWorkers = Array.from({ length: concurrency }, () => workerLoop(handler));
+  console.log(`✅ Analysis queue started (${concurrency} worker(s), id ${WORKER_ID})`);
+}
+
+/**
+ * Stop taking new jobs and wait for running ones to finish
+ */
+async function stopQueueWorkers() {
+  if (!running) {
+    return;
+  }
+
+  running = false;
+  queueEvents.emit('stop');
+  await Promise.all(activeWorkers);
+  activeWorkers = [];
+}
+
+/**
+ * Job counts by status
+ */
+async function getQueueStats() {
+  return allQuery(
+    'SELECT status, COUNT(*) as count FROM analysis_jobs GROUP BY status'
+  );
+}
+
+module.exports = {
+  WORKER_ID,
+  enqueueAnalysis,
+  claimJob,
+  extendLease,
+  finishJob,
+  cancelQueuedJobs,
+  hasRunningJob,
+  recoverStaleJobs,
+  startQueueWorkers,
+  stopQueueWorkers,
+  getQueueStats
+};
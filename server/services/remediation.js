@@ -0,0 +1,247 @@
+const { runQuery, getQuery, allQuery } = require('../database/database');
+
+const HAZARD_ITEM_STATUSES = ['open', 'acknowledged', 'fixed', 'dismissed'];
+
+// Items that still need dealing with
+const OUTSTANDING_STATUSES = ['open', 'acknowledged'];
+
+function toHazardItem(item) {
+  return {
+    id: item.id,
+    roomId: item.room_id,
+    roomName: item.room_name || null,
+    hazardName: item.hazard_name,
+    riskLevel: item.risk_level,
+    description: item.description,
+    status: item.status,
+    notes: item.notes,
+    firstImageId: item.first_image_id,
+    lastImageId: item.last_image_id,
+    firstSeenAt: item.first_seen_at,
+    lastSeenAt: item.last_seen_at,
+    resolvedAt: item.resolved_at,
+    resolvedBy: item.resolved_by_username || null,
+    verification: item.verification,
+    verifiedAt: item.verified_at,
+    verificationImageId: item.verification_image_id,
+    updatedAt: item.updated_at
+  };
+}
+
+/**
+ * The item tracking a hazard found in an image: per room and hazard, or per
+ * image and hazard when the image has no room
+ */
+async function findItemForImage(image, hazardName) {
+  if (image.room_id) {
+    return getQuery(
+      'SELECT * FROM hazard_items WHERE room_id = ? AND hazard_name = ? ORDER BY id DESC LIMIT 1',
+      [image.room_id, hazardName]
+    );
+  }
+
+  return getQuery(
+    'SELECT * FROM hazard_items WHERE room_id IS NULL AND first_image_id = ? AND hazard_name = ?',
+    [image.id, hazardName]
+  );
+}
+
+/**
+ * Update remediation items from an image's completed analysis:
+ * - each hazard found opens an item, or refreshes the existing one
+ * - a hazard marked fixed that shows up in a later scan of the room is reopened
+ * - a hazard marked fixed that a later scan of the room no longer shows is verified
+ * Dismissed (false positive) items stay dismissed.
+ */
+async function syncHazardItems(imageId) {
+  const image = await getQuery(
+    `SELECT id, household_id, room_id, confidence_scores, upload_timestamp
+     FROM image_records WHERE id = ? AND analysis_status = 'completed'`,
+    [imageId]
+  );
+
+  if (!image || !image.household_id) {
+    return;
+  }
+
+  const scores = image.confidence_scores ? JSON.parse(image.confidence_scores) : {};
+  const hazards = Object.entries(scores).filter(([, score]) => score.riskLevel && score.riskLevel !== 'none');
+
+  for (const [name, score] of hazards) {
+    const item = await findItemForImage(image, name);
+
+    if (!item) {
+      await runQuery(
+        `INSERT INTO hazard_items
+         (household_id, room_id, hazard_name, risk_level, description,
+          first_image_id, last_image_id, first_seen_at, last_seen_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          image.household_id, image.room_id, name, score.riskLevel, score.description,
+          image.id, image.id, image.upload_timestamp, image.upload_timestamp
+        ]
+      );
+      continue;
+    }
+
+    // Photos taken before the fix say nothing about whether it worked
+    if (item.status === 'fixed' && image.upload_timestamp >= item.resolved_at) {
+      await runQuery(
+        `UPDATE hazard_items
+         SET status = 'open', verification = 'failed', verified_at = CURRENT_TIMESTAMP,
+             verification_image_id = ?, resolved_at = NULL, resolved_by = NULL
+         WHERE id = ?`,
+        [image.id, item.id]
+      );
+    }
+
+    if (!item.last_seen_at || image.upload_timestamp >= item.last_seen_at) {
+      await runQuery(
+        `UPDATE hazard_items
+         SET last_image_id = ?, last_seen_at = ?, risk_level = ?, description = ?,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [image.id, image.upload_timestamp, score.riskLevel, score.description, item.id]
+      );
+    }
+  }
+
+  const found = new Set(hazards.map(([name]) => name));
+
+  // A re-analysis of a room-less photo that no longer shows a hazard means
+  // it was a false positive
+  if (!image.room_id) {
+    const stale = await allQuery(
+      `SELECT id, hazard_name FROM hazard_items
+       WHERE room_id IS NULL AND first_image_id = ?
+         AND status IN (${OUTSTANDING_STATUSES.map(() => '?').join(', ')})`,
+      [image.id, ...OUTSTANDING_STATUSES]
+    );
+
+    for (const item of stale.filter(item => !found.has(item.hazard_name))) {
+      await runQuery(
+        `UPDATE hazard_items
+         SET status = 'dismissed', resolved_at = CURRENT_TIMESTAMP, resolved_by = NULL,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [item.id]
+      );
+    }
+    return;
+  }
+
+  // A re-scan of the room that no longer shows a fixed hazard verifies the fix
+  const awaiting = await allQuery(
+    `SELECT id, hazard_name FROM hazard_items
+     WHERE room_id = ? AND status = 'fixed' AND verification = 'pending' AND resolved_at <= ?`,
+    [image.room_id, image.upload_timestamp]
+  );
+
+  for (const item of awaiting.filter(item => !found.has(item.hazard_name))) {
+    await runQuery(
+      `UPDATE hazard_items
+       SET verification = 'verified', verified_at = CURRENT_TIMESTAMP,
+           verification_image_id = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [image.id, item.id]
+    );
+  }
+}
+
+/**
+ * Before an image is deleted, point the items first or last seen in it at
+ * their room's earliest or latest other scan showing the hazard (or at
+ * nothing, keeping the dates, if there is none or the room is gone).
+ * Verifications made by the image keep their result but lose the photo.
+ */
+async function detachImageFromHazardItems(imageId) {
+  const items = await allQuery(
+    `SELECT id, room_id, hazard_name, first_image_id, last_image_id FROM hazard_items
+     WHERE first_image_id = ? OR last_image_id = ?`,
+    [imageId, imageId]
+  );
+
+  for (const item of items) {
+    const scans = item.room_id ? await allQuery(
+      `SELECT id, upload_timestamp, confidence_scores FROM image_records
+       WHERE room_id = ? AND id != ? AND analysis_status = 'completed'
+       ORDER BY upload_timestamp, id`,
+      [item.room_id, imageId]
+    ) : [];
+    const sightings = scans.filter(scan => {
+      const score = scan.confidence_scores ? JSON.parse(scan.confidence_scores)[item.hazard_name] : null;
+      return score && score.riskLevel && score.riskLevel !== 'none';
+    });
+    const first = sightings[0];
+    const last = sightings[sightings.length - 1];
+
+    if (item.first_image_id === imageId) {
+      await runQuery(
+        'UPDATE hazard_items SET first_image_id = ?, first_seen_at = COALESCE(?, first_seen_at) WHERE id = ?',
+        [first ? first.id : null, first ? first.upload_timestamp : null, item.id]
+      );
+    }
+
+    if (item.last_image_id === imageId) {
+      await runQuery(
+        'UPDATE hazard_items SET last_image_id = ?, last_seen_at = COALESCE(?, last_seen_at) WHERE id = ?',
+        [last ? last.id : null, last ? last.upload_timestamp : null, item.id]
+      );
+    }
+  }
+
+  await runQuery('UPDATE hazard_items SET verification_image_id = NULL WHERE verification_image_id = ?', [imageId]);
+}
+
+/**
+ * Change an item's status and/or notes. Marking it fixed starts a re-scan
+ * verification; dismissing records who dismissed it.
+ */
+async function updateHazardItem(item, { status, notes }, userId) {
+  if (status !== undefined && status !== item.status) {
+    if (status === 'fixed' || status === 'dismissed') {
+      await runQuery(
+        `UPDATE hazard_items
+         SET status = ?, resolved_at = CURRENT_TIMESTAMP, resolved_by = ?,
+             verification = ?, verified_at = NULL, verification_image_id = NULL
+         WHERE id = ?`,
+        [status, userId, status === 'fixed' ? 'pending' : null, item.id]
+      );
+    } else {
+      await runQuery(
+        `UPDATE hazard_items
+         SET status = ?, resolved_at = NULL, resolved_by = NULL,
+             verification = NULL, verified_at = NULL, verification_image_id = NULL
+         WHERE id = ?`,
+        [status, item.id]
+      );
+    }
+  }
+
+  if (notes !== undefined) {
+    await runQuery('UPDATE hazard_items SET notes = ? WHERE id = ?', [notes || null, item.id]);
+  }
+
+  await runQuery('UPDATE hazard_items SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [item.id]);
+}
+
+/**
+ * Outstanding (open or acknowledged) items in a household
+ */
+async function getOutstandingItems(householdId) {
+  return allQuery(
+    `SELECT * FROM hazard_items
+     WHERE household_id = ? AND status IN (${OUTSTANDING_STATUSES.map(() => '?').join(', ')})`,
+    [householdId, ...OUTSTANDING_STATUSES]
+  );
+}
+
+module.exports = {
+  HAZARD_ITEM_STATUSES,
+  OUTSTANDING_STATUSES,
+  toHazardItem,
+  syncHazardItems,
+  detachImageFromHazardItems,
+  updateHazardItem,
+  getOutstandingItems
+};
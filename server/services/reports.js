@@ -0,0 +1,379 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const { getQuery, allQuery } = require('../database/database');
+const { parseDay } = require('./trends');
+const { findRoom } = require('./rooms');
+const { RISK_ORDER } = require('./riskSummary');
+const { getDerivativePath } = require('./derivatives');
+
+const REPORT_FORMATS = ['pdf', 'csv'];
+
+// Bigger reports have to be split by date range
+const MAX_REPORT_IMAGES = parseInt(process.env.REPORT_MAX_IMAGES) || 500;
+
+const RISK_COLOURS = {
+  high: '#dc3545',
+  medium: '#fd7e14',
+  low: '#b38600',
+  none: '#28a745'
+};
+
+// Formats pdfkit can embed as-is, for images without a derivative
+const PDF_IMAGE_FORMATS = new Set(['jpeg', 'png']);
+
+const THUMBNAIL_SIZE = [120, 90];
+
+/**
+ * Resolve ?from=, ?to=, ?childId= and ?roomId= for a household's report
+ * @returns {Object} { filter } or { error }
+ */
+async function resolveReportFilter(query, householdId) {
+  const filter = { householdId, from: null, to: null, child: null, room: null };
+
+  for (const key of ['from', 'to']) {
+    if (query[key]) {
+      if (!parseDay(query[key])) {
+        return { error: `${key} must be a date in YYYY-MM-DD format` };
+      }
+      filter[key] = query[key];
+    }
+  }
+
+  if (filter.from && filter.to && filter.from > filter.to) {
+    return { error: 'from must not be after to' };
+  }
+
+  if (query.childId) {
+    filter.child = await getQuery(
+      'SELECT id, name FROM children WHERE id = ? AND household_id = ?',
+      [query.childId, householdId]
+    );
+    if (!filter.child) {
+      return { error: 'Child not found in this household' };
+    }
+  }
+
+  if (query.roomId) {
+    filter.room = await findRoom(query.roomId, householdId);
+    if (!filter.room) {
+      return { error: 'Room not found in this household' };
+    }
+  }
+
+  return { filter };
+}
+
+/**
+ * The completed analyses matching a report filter, oldest first, each with
+ * its detected objects and the remediation status of its hazards
+ * @returns {Array|null} The rows, or null when there are more than MAX_REPORT_IMAGES
+ */
+async function getReportRows(filter) {
+  let sql = `
+    SELECT i.id, i.original_filename, i.file_path, i.upload_timestamp, i.room_id,
+           i.risk_level, i.risk_description, i.detected_objects, i.confidence_scores, i.image_info,
+           i.derivatives, c.name AS child_name, r.name AS room_name, u.username AS uploaded_by
+    FROM image_records i
+    LEFT JOIN children c ON c.id = i.child_id
+    LEFT JOIN rooms r ON r.id = i.room_id
+    LEFT JOIN users u ON u.id = i.user_id
+    WHERE i.household_id = ? AND i.analysis_status = 'completed'
+  `;
+  const params = [filter.householdId];
+
+  if (filter.from) {
+    sql += ' AND i.upload_timestamp >= ?';
+    params.push(filter.from);
+  }
+
+  if (filter.to) {
+    // Timestamps carry a time, so compare against the start of the next day
+    sql += " AND i.upload_timestamp < date(?, '+1 day')";
+    params.push(filter.to);
+  }
+
+  if (filter.child) {
+    sql += ' AND i.child_id = ?';
+    params.push(filter.child.id);
+  }
+
+  if (filter.room) {
+    sql += ' AND i.room_id = ?';
+    params.push(filter.room.id);
+  }
+
+  const images = await allQuery(`${sql} ORDER BY i.upload_timestamp, i.id LIMIT ?`, [...params, MAX_REPORT_IMAGES + 1]);
+
+  if (images.length > MAX_REPORT_IMAGES) {
+    return null;
+  }
+
+  const items = await allQuery(
+    'SELECT room_id, first_image_id, hazard_name, status, verification FROM hazard_items WHERE household_id = ?',
+    [filter.householdId]
+  );
+
+  return images.map(image => {
+    const scores = image.confidence_scores ? JSON.parse(image.confidence_scores) : {};
+    const detectedObjects = image.detected_objects ? JSON.parse(image.detected_objects) : [];
+    const imageInfo = image.image_info ? JSON.parse(image.image_info) : {};
+    const derivatives = image.derivatives ? JSON.parse(image.derivatives) : {};
+
+    const hazards = Object.entries(scores)
+      .filter(([, score]) => score.riskLevel && score.riskLevel !== 'none')
+      .map(([name, score]) => {
+        // Same matching as syncHazardItems: per room, or per image without one
+        const item = items.find(candidate => candidate.hazard_name === name && (image.room_id
+          ? candidate.room_id === image.room_id
+          : candidate.room_id === null && candidate.first_image_id === image.id));
+
+        return {
+          name,
+          riskLevel: score.riskLevel,
+          status: item ? item.status : null,
+          verification: item ? item.verification : null
+        };
+      })
+      .sort((a, b) => RISK_ORDER.indexOf(b.riskLevel) - RISK_ORDER.indexOf(a.riskLevel));
+
+    return {
+      id: image.id,
+      originalFilename: image.original_filename,
+      // The small JPEG derivative keeps the PDF small; originals as a fallback
+      thumbnailPath: derivatives.small
+        ? getDerivativePath(derivatives.small.filename)
+        : PDF_IMAGE_FORMATS.has(imageInfo.format) ? image.file_path : null,
+      uploadedAt: image.upload_timestamp,
+      uploadedBy: image.uploaded_by,
+      childName: image.child_name,
+      roomName: image.room_name,
+      riskLevel: image.risk_level,
+      riskDescription: image.risk_description,
+      detectedObjects: detectedObjects.map(obj => ({
+        name: obj.name,
+        confidence: obj.confidence,
+        riskLevel: scores[obj.name]?.riskLevel || 'none'
+      })),
+      hazards
+    };
+  });
+}
+
+function formatRemediation(hazard) {
+  if (!hazard.status) {
+    return 'not tracked';
+  }
+
+  if (hazard.status === 'fixed') {
+    return hazard.verification === 'verified' ? 'fixed (verified)' : 'fixed (awaiting re-scan)';
+  }
+
+  return hazard.status === 'dismissed' ? 'false positive' : hazard.status;
+}
+
+const formatName = (name) => String(name || 'unknown').replace(/_/g, ' ');
+
+/**
+ * The built-in PDF fonts only cover Latin-1 (plus a few punctuation marks);
+ * drop anything else, such as the emoji in risk descriptions
+ */
+const pdfText = (text) => String(text)
+  .replace(/[^\t\n\r\x20-\x7e\u00a0-\u00ff\u2013\u2014\u2018\u2019\u201c\u201d\u2022\u2026]/gu, '')
+  .replace(/^ +/gm, '');
+
+const formatConfidence = (confidence) => `${Math.round((confidence || 0) * 100)}%`;
+
+/**
+ * Describe the filter, e.g. "2026-10-01 to 2026-10-19 · Child: Sam · Room: Kitchen"
+ */
+function describeFilter(filter) {
+  const parts = [];
+
+  if (filter.from || filter.to) {
+    parts.push(`${filter.from || 'the start'} to ${filter.to || 'today'}`);
+  } else {
+    parts.push('All dates');
+  }
+
+  if (filter.child) parts.push(`Child: ${filter.child.name}`);
+  if (filter.room) parts.push(`Room: ${filter.room.name}`);
+
+  return parts.join(' · ');
+}
+
+const CSV_COLUMNS = [
+  'image_id',
+  'uploaded_at_utc',
+  'filename',
+  'child',
+  'room',
+  'uploaded_by',
+  'risk_level',
+  'risk_description',
+  'detected_objects',
+  'hazards'
+];
+
+/**
+ * Quote a CSV cell when needed, and defuse values a spreadsheet would run as
+ * a formula (filenames are user supplied)
+ */
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One CSV line per analyzed image, with the same fields as the PDF
+ */
+function buildCsvReport(rows) {
+  const lines = [CSV_COLUMNS.join(',')];
+
+  for (const row of rows) {
+    lines.push([
+      row.id,
+      row.uploadedAt,
+      row.originalFilename,
+      row.childName,
+      row.roomName,
+      row.uploadedBy,
+      row.riskLevel,
+      row.riskDescription,
+      row.detectedObjects.map(obj => `${obj.name} (${formatConfidence(obj.confidence)})`).join('; '),
+      row.hazards.map(hazard => `${hazard.name}: ${hazard.riskLevel}, ${formatRemediation(hazard)}`).join('; ')
+    ].map(csvCell).join(','));
+  }
+
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Draw an image's thumbnail, or a placeholder for formats pdfkit can't embed
+ */
+function drawThumbnail(doc, row, x, y) {
+  const [width, height] = THUMBNAIL_SIZE;
+
+  if (row.thumbnailPath && fs.existsSync(row.thumbnailPath)) {
+    try {
+      doc.image(row.thumbnailPath, x, y, { fit: THUMBNAIL_SIZE, align: 'center', valign: 'center' });
+      return;
+    } catch (error) {
+      console.error(`Report thumbnail error for image ${row.id}:`, error.message);
+    }
+  }
+
+  doc.save()
+    .rect(x, y, width, height).fill('#f1f3f5')
+    .fillColor('#999').fontSize(8)
+    .text('No preview', x, y + height / 2 - 4, { width, align: 'center' })
+    .restore();
+}
+
+/**
+ * Write a PDF safety report to a stream: a summary, then one entry per image
+ * with its thumbnail, risk, description, detections and remediation status
+ * @param {stream.Writable} stream - e.g. the HTTP response
+ * @param {Object} report - { householdName, filter, rows }
+ */
+function writePdfReport(stream, { householdName, filter, rows }) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 40,
+    info: { Title: 'AlwayCare Safety Report', Author: 'AlwayCare' }
+  });
+  doc.pipe(stream);
+
+  const left = doc.page.margins.left;
+  const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const textLeft = left + THUMBNAIL_SIZE[0] + 15;
+  const textWidth = contentWidth - THUMBNAIL_SIZE[0] - 15;
+
+  doc.font('Helvetica-Bold').fontSize(20).fillColor('#333').text('AlwayCare Safety Report');
+  doc.font('Helvetica').fontSize(10).fillColor('#666')
+    .text(`${pdfText(householdName)} · generated ${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC`)
+    .text(pdfText(describeFilter(filter)));
+  doc.moveDown();
+
+  const riskCounts = Object.fromEntries(RISK_ORDER.map(level => [level, 0]));
+  const statusCounts = {};
+  for (const row of rows) {
+    riskCounts[row.riskLevel] = (riskCounts[row.riskLevel] || 0) + 1;
+    for (const hazard of row.hazards) {
+      const status = formatRemediation(hazard);
+      statusCounts[status] = (statusCounts[status] || 0) + 1;
+    }
+  }
+
+  doc.font('Helvetica-Bold').fontSize(12).fillColor('#333').text(`${rows.length} analyzed photos`);
+  doc.font('Helvetica').fontSize(10).fillColor('#333')
+    .text(RISK_ORDER.slice().reverse().map(level => `${level === 'none' ? 'safe' : level}: ${riskCounts[level]}`).join('   '));
+  if (Object.keys(statusCounts).length > 0) {
+    doc.text(`Hazards - ${Object.entries(statusCounts).map(([status, count]) => `${status}: ${count}`).join('   ')}`);
+  }
+  doc.moveDown();
+
+  if (rows.length === 0) {
+    doc.fillColor('#666').text('No analyzed photos match this report.');
+  }
+
+  for (const row of rows) {
+    if (doc.y + THUMBNAIL_SIZE[1] + 20 > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+
+    const top = doc.y;
+    doc.moveTo(left, top).lineTo(left + contentWidth, top).strokeColor('#eeeeee').stroke();
+
+    drawThumbnail(doc, row, left, top + 10);
+
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('#333')
+      .text(pdfText(row.originalFilename), textLeft, top + 10, { width: textWidth });
+    doc.font('Helvetica').fontSize(8).fillColor('#666')
+      .text(pdfText([
+        `${row.uploadedAt} UTC`,
+        row.childName && `Child: ${row.childName}`,
+        row.roomName && `Room: ${row.roomName}`,
+        row.uploadedBy && `Uploaded by ${row.uploadedBy}`
+      ].filter(Boolean).join(' · ')), { width: textWidth });
+
+    doc.moveDown(0.3);
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(RISK_COLOURS[row.riskLevel] || '#333')
+      .text(`${String(row.riskLevel || 'unknown').toUpperCase()} RISK`, { width: textWidth });
+    if (row.riskDescription) {
+      doc.font('Helvetica').fontSize(9).fillColor('#333').text(pdfText(row.riskDescription), { width: textWidth });
+    }
+
+    doc.moveDown(0.3);
+    doc.font('Helvetica').fontSize(8).fillColor('#333').text(pdfText(
+      row.detectedObjects.length > 0
+        ? `Detected: ${row.detectedObjects.map(obj => `${formatName(obj.name)} ${formatConfidence(obj.confidence)}`).join(', ')}`
+        : 'Detected: nothing'
+    ), { width: textWidth }
+    );
+
+    if (row.hazards.length > 0) {
+      doc.text(pdfText(
+        `Remediation: ${row.hazards.map(hazard => `${formatName(hazard.name)} - ${formatRemediation(hazard)}`).join(', ')}`
+      ), { width: textWidth });
+    }
+
+    doc.x = left;
+    doc.y = Math.max(doc.y, top + 10 + THUMBNAIL_SIZE[1]) + 12;
+  }
+
+  doc.end();
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  MAX_REPORT_IMAGES,
+  resolveReportFilter,
+  getReportRows,
+  buildCsvReport,
+  writePdfReport
+};
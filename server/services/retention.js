@@ -0,0 +1,120 @@
+const { getQuery, allQuery, runQuery } = require('../database/database');
+const { cleanupOldImages } = require('./backgroundProcessor');
+
+// keep forever, delete after N days, keep only risky images, or keep
+// results but delete the photos
+const RETENTION_POLICIES = ['forever', 'days', 'risky_only', 'results_only'];
+const MAX_RETENTION_DAYS = 3650;
+
+// How often the scheduled retention job runs
+const RETENTION_INTERVAL_HOURS = parseFloat(process.env.RETENTION_INTERVAL_HOURS) || 24;
+
+let retentionTimer = null;
+let retentionRunning = false;
+
+/**
+ * Validate a retention policy payload; returns an error message or null
+ */
+function validateRetentionPolicy({ policy, days }) {
+  if (!RETENTION_POLICIES.includes(policy)) {
+    return `Retention policy must be one of: ${RETENTION_POLICIES.join(', ')}`;
+  }
+
+  if (policy !== 'forever' && !(Number.isInteger(days) && days >= 1 && days <= MAX_RETENTION_DAYS)) {
+    return `Retention days must be a whole number from 1 to ${MAX_RETENTION_DAYS}`;
+  }
+
+  return null;
+}
+
+/**
+ * A household's retention policy
+ * @returns {Object} { householdId, policy, days }
+ */
+async function getRetentionPolicy(householdId) {
+  const household = await getQuery(
+    'SELECT retention_policy, retention_days FROM households WHERE id = ?',
+    [householdId]
+  );
+
+  return {
+    householdId,
+    policy: household ? household.retention_policy : 'forever',
+    days: household && household.retention_policy !== 'forever' ? household.retention_days : null
+  };
+}
+
+async function setRetentionPolicy(householdId, { policy, days }) {
+  await runQuery(
+    'UPDATE households SET retention_policy = ?, retention_days = ? WHERE id = ?',
+    [policy, policy === 'forever' ? null : days, householdId]
+  );
+
+  return getRetentionPolicy(householdId);
+}
+
+/**
+ * Apply every household's retention policy
+ * @returns {Object|null} { households, deletedCount, originalsRemovedCount },
+ *   or null if a run is already in progress
+ */
+async function runRetention() {
+  if (retentionRunning) {
+    return null;
+  }
+
+  retentionRunning = true;
+  const totals = { households: 0, deletedCount: 0, originalsRemovedCount: 0 };
+
+  try {
+    const households = await allQuery(
+      "SELECT id FROM households WHERE retention_policy != 'forever'"
+    );
+
+    for (const household of households) {
+      try {
+        const result = await cleanupOldImages(await getRetentionPolicy(household.id));
+        totals.households++;
+        totals.deletedCount += result.deletedCount;
+        totals.originalsRemovedCount += result.originalsRemovedCount;
+      } catch (error) {
+        console.error(`❌ Retention failed for household ${household.id}:`, error.message);
+      }
+    }
+  } finally {
+    retentionRunning = false;
+  }
+
+  return totals;
+}
+
+/**
+ * Run retention now and then every RETENTION_INTERVAL_HOURS
+ */
+function startRetentionSchedule() {
+  if (retentionTimer) {
+    return;
+  }
+
+  const run = () => runRetention().catch(error => console.error('Retention error:', error));
+
+  run();
+  retentionTimer = setInterval(run, RETENTION_INTERVAL_HOURS * 60 * 60 * 1000);
+  retentionTimer.unref();
+  console.log(`✅ Retention job scheduled every ${RETENTION_INTERVAL_HOURS} hour(s)`);
+}
+
+function stopRetentionSchedule() {
+  clearInterval(retentionTimer);
+  retentionTimer = null;
+}
+
+module.exports = {
+  RETENTION_POLICIES,
+  validateRetentionPolicy,
+  getRetentionPolicy,
+  setRetentionPolicy,
+  runRetention,
+  startRetentionSchedule,
+  stopRetentionSchedule
+};
@@ -0,0 +1,87 @@
+// Risk levels from least to most severe
+const RISK_ORDER = ['none', 'low', 'medium', 'high'];
+
+const ANALYSIS_STATUSES = ['pending', 'processing', 'completed', 'failed', 'dead'];
+
+/**
+ * The more severe of two risk levels (either may be null)
+ */
+function worstRisk(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return RISK_ORDER.indexOf(b) > RISK_ORDER.indexOf(a) ? b : a;
+}
+
+/**
+ * Aggregate risk summary for a set of images: counts by status and risk
+ * level, the highest risk found, and each hazard merged across images with
+ * how many images it appeared in (most severe and most frequent first)
+ * @param {Array} images - image_records rows with analysis_status, risk_level,
+ *   confidence_scores and optionally upload_timestamp
+ */
+function summarizeImages(images) {
+  const statusCounts = Object.fromEntries(ANALYSIS_STATUSES.map(status => [status, 0]));
+  const riskCounts = Object.fromEntries(RISK_ORDER.map(level => [level, 0]));
+  const hazards = {};
+  let overallRisk = null;
+  let lastImageAt = null;
+
+  for (const image of images) {
+    statusCounts[image.analysis_status] = (statusCounts[image.analysis_status] || 0) + 1;
+
+    if (image.upload_timestamp && (!lastImageAt || image.upload_timestamp > lastImageAt)) {
+      lastImageAt = image.upload_timestamp;
+    }
+
+    if (image.analysis_status !== 'completed' || !image.risk_level) {
+      continue;
+    }
+
+    riskCounts[image.risk_level]++;
+    overallRisk = worstRisk(overallRisk, image.risk_level);
+
+    const scores = image.confidence_scores ? JSON.parse(image.confidence_scores) : {};
+    for (const [name, score] of Object.entries(scores)) {
+      if (score.riskLevel === 'none') {
+        continue;
+      }
+
+      if (!hazards[name]) {
+        hazards[name] = {
+          name,
+          riskLevel: score.riskLevel,
+          description: score.description,
+          imageCount: 0,
+          maxConfidence: 0,
+          lastSeenAt: null
+        };
+      }
+
+      const hazard = hazards[name];
+      hazard.riskLevel = worstRisk(hazard.riskLevel, score.riskLevel);
+      hazard.imageCount++;
+      hazard.maxConfidence = Math.max(hazard.maxConfidence, score.confidence || 0);
+      if (image.upload_timestamp && (!hazard.lastSeenAt || image.upload_timestamp > hazard.lastSeenAt)) {
+        hazard.lastSeenAt = image.upload_timestamp;
+      }
+    }
+  }
+
+  return {
+    imageCount: images.length,
+    overallRisk,
+    lastImageAt,
+    statusCounts,
+    riskCounts,
+    hazards: Object.values(hazards).sort((a, b) =>
+      RISK_ORDER.indexOf(b.riskLevel) - RISK_ORDER.indexOf(a.riskLevel) || b.imageCount - a.imageCount
+    )
+  };
+}
+
+module.exports = {
+  ANALYSIS_STATUSES,
+  RISK_ORDER,
+  worstRisk,
+  summarizeImages
+};
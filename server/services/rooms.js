@@ -0,0 +1,69 @@
+const { getQuery, allQuery } = require('../database/database');
+const { summarizeImages, worstRisk } = require('./riskSummary');
+
+// Kinds of room a household can define; drives the icon on the home map
+const ROOM_KINDS = [
+  'kitchen',
+  'bathroom',
+  'bedroom',
+  'nursery',
+  'living_room',
+  'dining_room',
+  'stairs',
+  'hallway',
+  'garage',
+  'backyard',
+  'other'
+];
+
+function toRoom(room) {
+  return {
+    id: room.id,
+    name: room.name,
+    kind: room.kind,
+    createdAt: room.created_at
+  };
+}
+
+/**
+ * Find a room in the household, or null
+ */
+async function findRoom(roomId, householdId) {
+  return getQuery(
+    'SELECT * FROM rooms WHERE id = ? AND household_id = ?',
+    [roomId, householdId]
+  );
+}
+
+/**
+ * Risk summary for a room, merging the detections of all its images
+ */
+async function getRoomSummary(roomId) {
+  const images = await allQuery(
+    `SELECT analysis_status, risk_level, confidence_scores, upload_timestamp
+     FROM image_records WHERE room_id = ?`,
+    [roomId]
+  );
+
+  return summarizeImages(images);
+}
+
+/**
+ * A room's risk as things stand: the worst hazard still outstanding, 'none'
+ * once everything found has been dealt with, or null if it was never scanned
+ */
+function getCurrentRisk(summary, outstandingItems) {
+  if (outstandingItems.length > 0) {
+    return outstandingItems.reduce((risk, item) => worstRisk(risk, item.risk_level), 'none');
+  }
+
+  return summary.overallRisk ? 'none' : null;
+}
+
+module.exports = {
+  ROOM_KINDS,
+  toRoom,
+  findRoom,
+  getRoomSummary,
+  getCurrentRisk
+};
@@ -0,0 +1,26 @@
+const { runQuery, getQuery } = require('../database/database');
+
+/**
+ * Default name for a batch uploaded without one, e.g. "Scan Oct 19"
+ */
+function defaultScanSessionName(date = new Date()) {
+  return `Scan ${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
+}
+
+/**
+ * Create a scan session in a household
+ * @returns {Object} The scan_sessions row
+ */
+async function createScanSession(householdId, userId, name) {
+  const result = await runQuery(
+    'INSERT INTO scan_sessions (household_id, name, created_by) VALUES (?, ?, ?)',
+    [householdId, name, userId]
+  );
+
+  return getQuery('SELECT * FROM scan_sessions WHERE id = ?', [result.id]);
+}
+
+module.exports = {
+  defaultScanSessionName,
+  createScanSession
+};
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { runQuery, getQuery, allQuery } = require('../database/database');
+
+// JWT Secret (in production, use environment variable)
+const JWT_SECRET = process.env.JWT_SECRET || 'alwaycare-secret-key-change-in-production';
+
+// Access tokens are short-lived; the refresh token keeps the session going
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, username: user.username, email: user.email, sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Short human-readable device name from a User-Agent header
+ */
+function describeUserAgent(userAgent) {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  const os = [
+    ['iOS', /iPhone|iPad/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) {
+    return userAgent.slice(0, 60);
+  }
+
+  return [browser && browser[0], os && `on ${os[0]}`].filter(Boolean).join(' ');
+}
+
+/**
+ * Start a session for a user who just logged in or registered
+ * @returns {Object} { token, refreshToken, sessionId }
+ */
+async function createSession(user, req) {
+  // Expired sessions are only kept until the user next signs in
+  await runQuery(
+    "DELETE FROM sessions WHERE user_id = ? AND expires_at < datetime('now')",
+    [user.id]
+  );
+
+  const refreshToken = generateRefreshToken();
+  const result = await runQuery(
+    `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES (?, ?, ?, ?, datetime('now', ?))`,
+    [
+      user.id,
+      hashToken(refreshToken),
+      req.get('user-agent') || null,
+      req.ip || null,
+      `+${REFRESH_TOKEN_TTL_DAYS} days`
+    ]
+  );
+
+  return {
+    token: signAccessToken(user, result.id),
+    refreshToken,
+    sessionId: result.id
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * Presenting a refresh token that was already rotated away means it was
+ * copied, so the whole session is revoked.
+ * @returns {Object|null} { token, refreshToken, sessionId, user } or null if invalid
+ */
+async function rotateSession(refreshToken, req) {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await getQuery(
+    `SELECT s.id, s.user_id, u.username, u.email
+     FROM sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.refresh_token_hash = ?
+       AND s.revoked_at IS NULL
+       AND s.expires_at > datetime('now')`,
+    [tokenHash]
+  );
+
+  if (!session) {
+    const reused = await getQuery(
+      'SELECT id FROM sessions WHERE previous_token_hash = ? AND revoked_at IS NULL',
+      [tokenHash]
+    );
+
+    if (reused) {
+      console.warn(`⚠️ Refresh token reuse detected, revoking session ${reused.id}`);
+      await revokeSession(reused.id);
+    }
+
+    return null;
+  }
+
+  // Only rotate from the token that was presented; if a concurrent refresh
+  // rotated it first, this one is a reuse
+  const nextRefreshToken = generateRefreshToken();
+  const rotation = await runQuery(
+    `UPDATE sessions
+     SET refresh_token_hash = ?, previous_token_hash = ?, last_used_at = CURRENT_TIMESTAMP,
+         user_agent = COALESCE(?, user_agent), ip_address = COALESCE(?, ip_address),
+         expires_at = datetime('now', ?)
+     WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+    [
+      hashToken(nextRefreshToken),
+      tokenHash,
+      req.get('user-agent') || null,
+      req.ip || null,
+      `+${REFRESH_TOKEN_TTL_DAYS} days`,
+      session.id,
+      tokenHash
+    ]
+  );
+
+  if (rotation.changes !== 1) {
+    console.warn(`⚠️ Refresh token reuse detected, revoking session ${session.id}`);
+    await revokeSession(session.id);
+    return null;
+  }
+
+  const user = { id: session.user_id, username: session.username, email: session.email };
+
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken: nextRefreshToken,
+    sessionId: session.id,
+    user
+  };
+}
+
+/**
+ * Whether a session can still be used (not revoked or expired)
+ */
+async function isSessionActive(sessionId) {
+  const session = await getQuery(
+    `SELECT id FROM sessions
+     WHERE id = ? AND revoked_at IS NULL AND expires_at > datetime('now')`,
+    [sessionId]
+  );
+
+  return Boolean(session);
+}
+
+/**
+ * Revoke a session; pass userId to only revoke that user's own session
+ * @returns {boolean} Whether a session was revoked
+ */
+async function revokeSession(sessionId, userId = null) {
+  const result = await runQuery(
+    `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND revoked_at IS NULL ${userId !== null ? 'AND user_id = ?' : ''}`,
+    userId !== null ? [sessionId, userId] : [sessionId]
+  );
+
+  return result.changes > 0;
+}
+
+/**
+ * Active sessions for a user, most recently used first
+ */
+async function listSessions(userId, currentSessionId = null) {
+  const sessions = await allQuery(
+    `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+     FROM sessions
+     WHERE user_id = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+
+  return sessions.map(session => ({
+    id: session.id,
+    device: describeUserAgent(session.user_agent),
+    userAgent: session.user_agent,
+    ipAddress: session.ip_address,
+    createdAt: session.created_at,
+    lastUsedAt: session.last_used_at,
+    expiresAt: session.expires_at,
+    current: session.id === currentSessionId
+  }));
+}
+
+module.exports = {
+  JWT_SECRET,
+  createSession,
+  rotateSession,
+  isSessionActive,
+  revokeSession,
+  listSessions,
+  describeUserAgent
+};
@@ -0,0 +1,94 @@
+const { getQuery, allQuery } = require('../database/database');
+const { ANALYSIS_STATUSES } = require('./riskSummary');
+
+const MB = 1024 * 1024;
+
+// Stored upload bytes allowed per user and per household; 0 means unlimited
+const parseQuota = (value, defaultMb) => {
+  const mb = parseFloat(value);
+  return Math.round((Number.isNaN(mb) ? defaultMb : mb) * MB);
+};
+
+const USER_STORAGE_QUOTA_BYTES = parseQuota(process.env.USER_STORAGE_QUOTA_MB, 500);
+const HOUSEHOLD_STORAGE_QUOTA_BYTES = parseQuota(process.env.HOUSEHOLD_STORAGE_QUOTA_MB, 2000);
+
+const toMb = (bytes) => `${Math.round(bytes / MB * 10) / 10}MB`;
+
+/**
+ * Image count and stored bytes, in total and by analysis status, for the
+ * image_records matching a column (user_id or household_id)
+ */
+async function getUsage(column, value, quotaBytes) {
+  const rows = await allQuery(
+    `SELECT analysis_status, COUNT(*) AS count, COALESCE(SUM(file_size), 0) AS bytes
+     FROM image_records WHERE ${column} = ?
+     GROUP BY analysis_status`,
+    [value]
+  );
+
+  const byStatus = Object.fromEntries(ANALYSIS_STATUSES.map(status => [status, { count: 0, bytes: 0 }]));
+  rows.forEach(row => {
+    byStatus[row.analysis_status] = { count: row.count, bytes: row.bytes };
+  });
+
+  const count = rows.reduce((total, row) => total + row.count, 0);
+  const bytes = rows.reduce((total, row) => total + row.bytes, 0);
+
+  return {
+    count,
+    bytes,
+    quotaBytes: quotaBytes || null,
+    remainingBytes: quotaBytes ? Math.max(0, quotaBytes - bytes) : null,
+    byStatus
+  };
+}
+
+/**
+ * Storage used by a user's own uploads and by their active household's
+ * @returns {Object} { user, household }, each { count, bytes, quotaBytes, remainingBytes, byStatus }
+ */
+async function getStorageUsage(userId, householdId) {
+  return {
+    user: await getUsage('user_id', userId, USER_STORAGE_QUOTA_BYTES),
+    household: await getUsage('household_id', householdId, HOUSEHOLD_STORAGE_QUOTA_BYTES)
+  };
+}
+
+/**
+ * Check whether storing another file of incomingBytes would take the user or
+ * the household over quota. Pass the file's image id once it is recorded, so
+ * it isn't counted twice and uploads recorded alongside it are.
+ * @returns {Object|null} { code, error, scope } when it would
+ */
+async function checkStorageQuota(userId, householdId, incomingBytes, { imageId = null } = {}) {
+  const quotas = [
+    { scope: 'user', column: 'user_id', value: userId, quotaBytes: USER_STORAGE_QUOTA_BYTES, label: 'your' },
+    { scope: 'household', column: 'household_id', value: householdId, quotaBytes: HOUSEHOLD_STORAGE_QUOTA_BYTES, label: "the household's" }
+  ];
+
+  for (const { scope, column, value, quotaBytes, label } of quotas) {
+    if (!quotaBytes) {
+      continue;
+    }
+
+    const { bytes } = await getQuery(
+      `SELECT COALESCE(SUM(file_size), 0) AS bytes FROM image_records WHERE ${column} = ? AND id != ?`,
+      [value, imageId || 0]
+    );
+
+    if (bytes + incomingBytes > quotaBytes) {
+      return {
+        code: 'STORAGE_QUOTA_EXCEEDED',
+        scope,
+        error: `Uploading this image would exceed ${label} storage quota (${toMb(bytes)} of ${toMb(quotaBytes)} used). Delete some images to make room.`
+      };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  getStorageUsage,
+  checkStorageQuota
+};
@@ -0,0 +1,176 @@
+const { HAZARDOUS_OBJECTS, HAZARD_CATEGORIES } = require('./imageAnalysis');
+const { RISK_ORDER } = require('./riskSummary');
+
+const TREND_INTERVALS = ['day', 'week', 'month'];
+
+// How far back the range goes when no ?from= is given
+const DEFAULT_RANGE = { day: 30, week: 12, month: 12 };
+
+// Keeps a mistyped range from building thousands of empty buckets
+const MAX_TREND_BUCKETS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Parse a YYYY-MM-DD date as UTC midnight, or null if it isn't a real date
+ */
+function parseDay(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) {
+    return null;
+  }
+
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && toDay(date) === value ? date : null;
+}
+
+/**
+ * Start of the bucket a date falls in: the day, the Monday of its week, or
+ * the first of its month (all UTC)
+ */
+function bucketStart(date, interval) {
+  if (interval === 'week') {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+  }
+
+  if (interval === 'month') {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function nextBucket(start, interval) {
+  if (interval === 'month') {
+    return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+  }
+
+  return new Date(start.getTime() + (interval === 'week' ? 7 : 1) * DAY_MS);
+}
+
+/**
+ * Resolve ?interval=, ?from= and ?to= into the list of bucket start dates and
+ * the span they cover, as YYYY-MM-DD with `until` exclusive
+ * @returns {Object} { interval, buckets, since, until } or { error }
+ */
+function resolveTrendRange({ interval = 'week', from, to } = {}) {
+  if (!TREND_INTERVALS.includes(interval)) {
+    return { error: `Interval must be one of: ${TREND_INTERVALS.join(', ')}` };
+  }
+
+  const end = to ? parseDay(to) : bucketStart(new Date(), 'day');
+  if (!end) {
+    return { error: 'to must be a date in YYYY-MM-DD format' };
+  }
+
+  let start;
+  if (from) {
+    start = parseDay(from);
+    if (!start) {
+      return { error: 'from must be a date in YYYY-MM-DD format' };
+    }
+  } else if (interval === 'month') {
+    start = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - (DEFAULT_RANGE.month - 1), 1));
+  } else {
+    const days = interval === 'week' ? (DEFAULT_RANGE.week - 1) * 7 : DEFAULT_RANGE.day - 1;
+    start = new Date(bucketStart(end, interval).getTime() - days * DAY_MS);
+  }
+
+  if (start > end) {
+    return { error: 'from must not be after to' };
+  }
+
+  const buckets = [];
+  for (let bucket = bucketStart(start, interval); bucket <= end; bucket = nextBucket(bucket, interval)) {
+    if (buckets.length === MAX_TREND_BUCKETS) {
+      return { error: `Range is too long for ${interval} buckets (at most ${MAX_TREND_BUCKETS})` };
+    }
+    buckets.push(bucket);
+  }
+
+  return {
+    interval,
+    buckets,
+    since: toDay(buckets[0]),
+    until: toDay(nextBucket(buckets[buckets.length - 1], interval))
+  };
+}
+
+/**
+ * Share of analyzed images rated medium or high, or null for an empty bucket
+ */
+function riskyShare(bucket) {
+  return bucket.imageCount > 0 ? (bucket.risk.medium + bucket.risk.high) / bucket.imageCount : null;
+}
+
+/**
+ * Bucket completed analyses over time: per bucket, the images by overall
+ * risk level and, per hazard category, how many images had a hazard in it
+ * @param {Array} images - image_records rows with risk_level, confidence_scores, upload_timestamp
+ * @param {Object} range - From resolveTrendRange
+ */
+function buildTrends(images, { interval, buckets: starts }) {
+  const buckets = starts.map(start => ({
+    start: toDay(start),
+    end: toDay(new Date(nextBucket(start, interval).getTime() - DAY_MS)),
+    imageCount: 0,
+    risk: Object.fromEntries(RISK_ORDER.map(level => [level, 0])),
+    categories: Object.fromEntries(Object.keys(HAZARD_CATEGORIES).map(category => [category, 0]))
+  }));
+  const byStart = new Map(buckets.map(bucket => [bucket.start, bucket]));
+
+  for (const image of images) {
+    // SQLite timestamps are UTC without a zone marker
+    const uploadedAt = new Date(`${image.upload_timestamp.replace(' ', 'T')}Z`);
+    const bucket = byStart.get(toDay(bucketStart(uploadedAt, interval)));
+
+    if (!bucket || !image.risk_level) {
+      continue;
+    }
+
+    bucket.imageCount++;
+    bucket.risk[image.risk_level]++;
+
+    const scores = image.confidence_scores ? JSON.parse(image.confidence_scores) : {};
+    const categories = new Set();
+
+    for (const [name, score] of Object.entries(scores)) {
+      if (score.riskLevel && score.riskLevel !== 'none') {
+        // Older analyses didn't store the category
+        categories.add(score.category || HAZARDOUS_OBJECTS[name]?.category || 'custom');
+      }
+    }
+
+    for (const category of categories) {
+      bucket.categories[category] = (bucket.categories[category] || 0) + 1;
+    }
+  }
+
+  // Compare the first and last buckets that have any analyses
+  const scanned = buckets.filter(bucket => bucket.imageCount > 0);
+  let direction = null;
+
+  if (scanned.length >= 2) {
+    const first = riskyShare(scanned[0]);
+    const last = riskyShare(scanned[scanned.length - 1]);
+    direction = last < first ? 'safer' : last > first ? 'riskier' : 'steady';
+  }
+
+  return {
+    interval,
+    from: buckets[0].start,
+    to: buckets[buckets.length - 1].end,
+    categories: Object.entries(HAZARD_CATEGORIES).map(([name, title]) => ({ name, title })),
+    buckets: buckets.map(bucket => ({ ...bucket, riskyShare: riskyShare(bucket) })),
+    direction
+  };
+}
+
+module.exports = {
+  TREND_INTERVALS,
+  parseDay,
+  resolveTrendRange,
+  buildTrends
+};
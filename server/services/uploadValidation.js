@@ -0,0 +1,238 @@
+// Upload validation on the file's bytes rather than the client's claims.
+// Multer writes uploads to a quarantine directory; they are only moved into
+// the uploads directory once validateUpload has passed them.
+
+const fs = require('fs');
+const path = require('path');
+const { runQuery } = require('../database/database');
+const {
+  detectImageFormat,
+  formatFromExtension,
+  parseImageMetadata,
+  jpegSegments,
+  pngChunks,
+  FORMAT_MIME_TYPES
+} = require('./imageMetadata');
+
+const QUARANTINE_DIR = path.join(__dirname, '../../uploads/quarantine');
+
+// Images are decoded at 4 bytes per pixel for thumbnails; bigger ones are
+// rejected as decompression bombs
+const MAX_IMAGE_PIXELS = parseInt(process.env.MAX_IMAGE_PIXELS) || 50 * 1000 * 1000;
+
+// Browsers sniff the start of a file, so markup there could run as a page
+const SNIFF_BYTES = 1024;
+const ACTIVE_CONTENT_PATTERN = /<\s*(svg|html|script|iframe|object|embed|body)\b|<\?(php|xml)|<!doctype\s+html|javascript:/i;
+
+// Signatures of other formats appended after the image
+const TRAILER_SIGNATURES = [
+  { bytes: Buffer.from('PK\x03\x04', 'latin1'), name: 'ZIP archive' },
+  { bytes: Buffer.from('%PDF-', 'latin1'), name: 'PDF document' },
+  { bytes: Buffer.from('Rar!', 'latin1'), name: 'RAR archive' },
+  { bytes: Buffer.from([0x37, 0x7a, 0xbc, 0xaf]), name: '7-Zip archive' },
+  { bytes: Buffer.from([0x1f, 0x8b]), name: 'gzip archive' },
+  { bytes: Buffer.from('\x7fELF', 'latin1'), name: 'executable' },
+  { bytes: Buffer.from('MZ', 'latin1'), name: 'executable' },
+  { bytes: Buffer.from('#!', 'latin1'), name: 'script' },
+  { bytes: Buffer.from([0xca, 0xfe, 0xba, 0xbe]), name: 'Java class' }
+];
+
+// A ZIP's end-of-central-directory record sits in its last 64KB
+const ZIP_END_RECORD = Buffer.from('PK\x05\x06', 'latin1');
+const ZIP_END_SEARCH_BYTES = 65557;
+
+/**
+ * Offset just past the end of the image data (JPEG EOI, PNG IEND, GIF
+ * trailer or the RIFF size for WebP); anything after it is trailing data
+ */
+function findImageEnd(buffer, format) {
+  try {
+    return findFormatEnd(buffer, format);
+  } catch (error) {
+    // Truncated data after the headers; there is no trailer to check
+    return buffer.length;
+  }
+}
+
+function findFormatEnd(buffer, format) {
+  switch (format) {
+    case 'jpeg':
+      return findJpegEnd(buffer);
+    case 'png':
+      return findPngEnd(buffer);
+    case 'gif':
+      return findGifEnd(buffer);
+    case 'webp': {
+      const size = buffer.readUInt32LE(4);
+      return Math.min(8 + size + (size % 2), buffer.length);
+    }
+    default:
+      return buffer.length;
+  }
+}
+
+function findJpegEnd(buffer) {
+  for (const { marker, end } of jpegSegments(buffer)) {
+    if (marker === 0xd9) {
+      return end;
+    }
+  }
+
+  return buffer.length;
+}
+
+function findPngEnd(buffer) {
+  for (const { type, end } of pngChunks(buffer)) {
+    if (type === 'IEND') {
+      return end;
+    }
+  }
+
+  return buffer.length;
+}
+
+function findGifEnd(buffer) {
+  let offset = 13;
+  if (buffer[10] & 0x80) {
+    offset += 3 * (1 << ((buffer[10] & 0x07) + 1));
+  }
+
+  const skipSubBlocks = (position) => {
+    while (position < buffer.length && buffer[position] !== 0) {
+      position += buffer[position] + 1;
+    }
+    return position + 1;
+  };
+
+  while (offset < buffer.length) {
+    const blockType = buffer[offset];
+
+    if (blockType === 0x3b) {
+      return offset + 1;
+    }
+
+    if (blockType === 0x2c) {
+      const localPacked = buffer[offset + 9];
+      offset += 10;
+      if (localPacked & 0x80) {
+        offset += 3 * (1 << ((localPacked & 0x07) + 1));
+      }
+      offset = skipSubBlocks(offset + 1);
+    } else {
+      offset = skipSubBlocks(offset + 2);
+    }
+  }
+
+  return buffer.length;
+}
+
+/**
+ * Name of another format embedded in the file, if any: a PDF header near the
+ * start, a ZIP directory at the end, or a known signature after the image
+ * (a second JPEG there is a phone's multi-picture preview, and allowed)
+ */
+function findEmbeddedFormat(buffer, imageEnd) {
+  if (buffer.subarray(0, SNIFF_BYTES).includes('%PDF-')) {
+    return 'PDF document';
+  }
+
+  if (buffer.subarray(Math.max(0, buffer.length - ZIP_END_SEARCH_BYTES)).includes(ZIP_END_RECORD)) {
+    return 'ZIP archive';
+  }
+
+  const trailer = buffer.subarray(imageEnd);
+  const signature = TRAILER_SIGNATURES.find(({ bytes }) => trailer.subarray(0, bytes.length).equals(bytes));
+
+  return signature ? signature.name : null;
+}
+
+/**
+ * Check an uploaded file's bytes: a supported image whose content matches
+ * its extension and declared type, without markup, another file format
+ * embedded in it, or dimensions too large to decode safely
+ * @param {Object} file - Multer file (path, originalname, mimetype)
+ * @returns {Object} { format, metadata } when valid, else { code, error }
+ */
+async function validateUpload(file) {
+  const buffer = await fs.promises.readFile(file.path);
+  const format = detectImageFormat(buffer);
+
+  if (ACTIVE_CONTENT_PATTERN.test(buffer.toString('latin1', 0, SNIFF_BYTES))) {
+    return { code: 'ACTIVE_CONTENT', error: 'File contains markup or script (such as SVG or HTML)' };
+  }
+
+  if (!format) {
+    return { code: 'UNRECOGNIZED_FORMAT', error: 'File is not a JPEG, PNG, GIF or WebP image' };
+  }
+
+  const claimedFormat = formatFromExtension(path.extname(file.originalname));
+  if (claimedFormat !== format || (file.mimetype && file.mimetype !== FORMAT_MIME_TYPES[format]
+    && !(format === 'jpeg' && file.mimetype === 'image/jpg'))) {
+    return {
+      code: 'TYPE_MISMATCH',
+      error: `File content is ${format.toUpperCase()} but was uploaded as ${(claimedFormat || file.mimetype || 'unknown').toUpperCase()}`
+    };
+  }
+
+  let metadata;
+  try {
+    metadata = parseImageMetadata(buffer);
+  } catch (error) {
+    return { code: 'CORRUPT_IMAGE', error: `Image is damaged: ${error.message}` };
+  }
+
+  if (metadata.width * metadata.height > MAX_IMAGE_PIXELS) {
+    return {
+      code: 'DECOMPRESSION_BOMB',
+      error: `Image is too large to process (${metadata.width}x${metadata.height}, at most ${Math.round(MAX_IMAGE_PIXELS / 1e6)} megapixels)`
+    };
+  }
+
+  const imageEnd = findImageEnd(buffer, format);
+  const embedded = findEmbeddedFormat(buffer, imageEnd);
+  if (embedded) {
+    return { code: 'POLYGLOT', error: `File has a ${embedded} hidden in it` };
+  }
+
+  if (ACTIVE_CONTENT_PATTERN.test(buffer.toString('latin1', imageEnd, imageEnd + SNIFF_BYTES))) {
+    return { code: 'ACTIVE_CONTENT', error: 'File has markup or script hidden after the image' };
+  }
+
+  return { format, metadata };
+}
+
+/**
+ * Delete whatever is left in quarantine. Files only stay there if the server
+ * stopped in the middle of an upload, so this runs at startup.
+ */
+async function clearQuarantine() {
+  const filenames = await fs.promises.readdir(QUARANTINE_DIR).catch(() => []);
+
+  for (const filename of filenames) {
+    await fs.promises.rm(path.join(QUARANTINE_DIR, filename), { force: true, recursive: true });
+  }
+
+  if (filenames.length > 0) {
+    console.log(`🧹 Removed ${filenames.length} abandoned upload(s) from quarantine`);
+  }
+}
+
+/**
+ * Record a rejected upload for the household's rejection list
+ */
+async function recordRejection({ userId, householdId, file, code, error }) {
+  await runQuery(
+    `INSERT INTO upload_rejections
+     (user_id, household_id, original_filename, mime_type, file_size, code, error)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [userId, householdId, file.originalname, file.mimetype || null, file.size || null, code, error]
+  );
+}
+
+module.exports = {
+  MAX_IMAGE_PIXELS,
+  QUARANTINE_DIR,
+  clearQuarantine,
+  validateUpload,
+  recordRejection
+};